@@ -0,0 +1,53 @@
+/* global globalThis */
+// Service worker for Web Push. Registered by src/services/pushService.js and
+// served as-is from public/, so it stays plain browser JavaScript;
+// globalThis is the worker's global scope (self).
+//
+// The dispatcher (scripts/dispatch-notifications.js) sends { title, body, url }
+// where url is a path in the app, e.g. /citizen/tracking/<id>.
+
+globalThis.addEventListener('install', () => {
+  globalThis.skipWaiting();
+});
+
+globalThis.addEventListener('activate', (event) => {
+  event.waitUntil(globalThis.clients.claim());
+});
+
+globalThis.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    globalThis.registration.showNotification(data.title || 'UrbanSetu', {
+      body: data.body || '',
+      icon: '/logo.png',
+      badge: '/logo.png',
+      data: { url: data.url || '/' },
+      // A newer update about the same page replaces the older one
+      tag: data.url || undefined,
+      renotify: Boolean(data.url)
+    })
+  );
+});
+
+// Open the linked page, reusing an open UrbanSetu tab when there is one
+globalThis.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', globalThis.location.origin).href;
+
+  event.waitUntil(
+    // Only tabs this worker controls can be navigated
+    globalThis.clients.matchAll({ type: 'window' }).then((windows) => {
+      const existing = windows[0];
+      if (existing) {
+        return existing.focus().then(client => client.navigate(url));
+      }
+      return globalThis.clients.openWindow(url);
+    })
+  );
+});
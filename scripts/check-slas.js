@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Flag complaints that have missed their SLA deadlines and notify their
+ * owners (see supabase/migrations/0022_complaint_slas.sql), then escalate
+ * breached complaints to the department head or the commissioner (see
+ * 0023_complaint_escalation.sql).
+ *
+ *   npm run sla:check                flag and escalate what is due now, then exit
+ *   npm run sla:check -- --watch     keep running, checking every
+ *                                    SLA_CHECK_INTERVAL_SECONDS (default 300)
+ *
+ * The notifications it creates are delivered by `npm run notify:dispatch`.
+ * A complaint is flagged once and escalated one level at a time, so running
+ * several checkers is harmless.
+ */
+const { connect } = require('./lib/db');
+
+const main = async () => {
+  const watch = process.argv.includes('--watch');
+  const intervalMs = Number(process.env.SLA_CHECK_INTERVAL_SECONDS || 300) * 1000;
+
+  const client = await connect();
+  let stopping = false;
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  try {
+    do {
+      const { rows: [{ flagged }] } = await client.query('SELECT public.flag_sla_breaches() AS flagged');
+      if (flagged > 0) {
+        console.log(`Flagged ${flagged} overdue complaint(s)`);
+      }
+      const { rows: [{ escalated }] } = await client.query('SELECT public.escalate_overdue_complaints() AS escalated');
+      if (escalated > 0) {
+        console.log(`Escalated ${escalated} complaint(s)`);
+      }
+      if (watch && !stopping) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    } while (watch && !stopping);
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`SLA check failed: ${error.message}`);
+  process.exit(1);
+});
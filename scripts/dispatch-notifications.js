@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Send the email, SMS and push notifications queued in notification_deliveries.
+ *
+ *   npm run notify:dispatch                send everything that is due, then exit
+ *   npm run notify:dispatch -- --watch     keep running, checking every
+ *                                          DISPATCH_INTERVAL_SECONDS (default 30)
+ *
+ * EMAIL_TRANSPORT, SMS_TRANSPORT and PUSH_TRANSPORT pick how messages go out
+ * (all default to console, which only prints them); see
+ * scripts/lib/transports.js. APP_URL is used for the links in messages.
+ *
+ * A push delivery goes to every browser the user turned push on in. Browsers
+ * the push service reports as gone are removed from push_subscriptions.
+ *
+ * Each batch is claimed (status 'sending') before anything is sent and each
+ * result is saved as soon as it is known, so several dispatchers can run at
+ * once and a crash re-sends at most the messages that were in flight. Claims
+ * older than DISPATCH_CLAIM_TIMEOUT_SECONDS (default 600) are taken over. A
+ * failed send is retried after 1, 4, 9, ... minutes and given up after
+ * MAX_ATTEMPTS tries, or straight away when it can never succeed.
+ */
+const { connect } = require('./lib/db');
+const { createTransport } = require('./lib/transports');
+const { renderNotification } = require('./lib/notificationTemplates');
+
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+// A claim older than this belongs to a dispatcher that died mid-batch
+const CLAIM_TIMEOUT_SECONDS = Number(process.env.DISPATCH_CLAIM_TIMEOUT_SECONDS || 600);
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Citizens follow a complaint on its tracking page, staff from the dashboard
+const pathFor = (delivery) => {
+  if (!delivery.complaint_id) return null;
+  return delivery.role === 'citizen'
+    ? `/citizen/tracking/${delivery.complaint_id}`
+    : '/admin';
+};
+
+// Send to each of the user's browsers; succeeds if any of them took it
+const sendPush = async (client, transport, delivery, message) => {
+  const { rows: subscriptions } = await client.query(
+    'SELECT id, endpoint, p256dh, auth FROM public.push_subscriptions WHERE user_id = $1',
+    [delivery.user_id]
+  );
+
+  let delivered = 0;
+  // Nothing to retry once every subscription is gone
+  let lastError = Object.assign(new Error('No push subscriptions left'), { final: true });
+  for (const subscription of subscriptions) {
+    try {
+      await transport.send({
+        to: { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        ...message
+      });
+      delivered += 1;
+    } catch (error) {
+      if (error.expired) {
+        await client.query('DELETE FROM public.push_subscriptions WHERE id = $1', [subscription.id]);
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (delivered === 0) throw lastError;
+};
+
+const sendDelivery = async (client, transports, delivery) => {
+  const path = pathFor(delivery);
+  const message = renderNotification(delivery, {
+    channel: delivery.channel,
+    language: delivery.language,
+    link: path && `${APP_URL}${path}`
+  });
+
+  if (delivery.channel === 'push') {
+    // The service worker opens the link in the app's own origin
+    await sendPush(client, transports.push, delivery, { ...message, link: path });
+    return;
+  }
+  await transports[delivery.channel].send({ to: delivery.recipient, ...message });
+};
+
+// Claim a batch of due deliveries, plus claims a dead dispatcher left
+// behind, and commit straight away so sending holds no locks. Each claim
+// counts as an attempt, so a message that keeps killing the dispatcher is
+// given up on like any other failure.
+const claimBatch = async (client) => {
+  await client.query(`
+    UPDATE public.notification_deliveries
+    SET status = 'failed', claimed_at = NULL,
+        last_error = COALESCE(last_error, 'Dispatcher stopped while sending')
+    WHERE status = 'sending'
+      AND claimed_at < NOW() - make_interval(secs => $1)
+      AND attempts >= $2
+  `, [CLAIM_TIMEOUT_SECONDS, MAX_ATTEMPTS]);
+
+  const { rows } = await client.query(`
+    WITH claimed AS (
+      UPDATE public.notification_deliveries d
+      SET status = 'sending', claimed_at = NOW(), attempts = d.attempts + 1
+      WHERE d.id IN (
+        SELECT id FROM public.notification_deliveries
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND claimed_at < NOW() - make_interval(secs => $2))
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING d.id, d.notification_id, d.channel, d.recipient, d.attempts
+    )
+    SELECT c.id, c.channel, c.recipient, c.attempts,
+           n.user_id, n.type, n.metadata, n.complaint_id,
+           p.role, COALESCE(np.language, 'en') AS language
+    FROM claimed c
+    JOIN public.notifications n ON n.id = c.notification_id
+    LEFT JOIN public.profiles p ON p.id = n.user_id
+    LEFT JOIN public.notification_preferences np ON np.user_id = n.user_id
+  `, [BATCH_SIZE, CLAIM_TIMEOUT_SECONDS]);
+  return rows;
+};
+
+// Send one batch of due deliveries, recording each result as soon as it is
+// known. Returns how many were attempted.
+const dispatchBatch = async (client, transports) => {
+  const rows = await claimBatch(client);
+
+  for (const delivery of rows) {
+    try {
+      await sendDelivery(client, transports, delivery);
+      await client.query(`
+        UPDATE public.notification_deliveries
+        SET status = 'sent', sent_at = NOW(), claimed_at = NULL, last_error = NULL
+        WHERE id = $1
+      `, [delivery.id]);
+    } catch (error) {
+      console.error(`${delivery.channel} to ${delivery.recipient} failed: ${error.message}`);
+      await client.query(`
+        UPDATE public.notification_deliveries
+        SET status = CASE WHEN attempts >= $3::INTEGER THEN 'failed' ELSE 'pending' END,
+            claimed_at = NULL,
+            last_error = $2,
+            next_attempt_at = NOW() + make_interval(mins => attempts * attempts)
+        WHERE id = $1
+      `, [delivery.id, error.message, error.final ? delivery.attempts : MAX_ATTEMPTS]);
+    }
+  }
+
+  return rows.length;
+};
+
+const dispatchDue = async (client, transports) => {
+  let total = 0;
+  let count;
+  do {
+    count = await dispatchBatch(client, transports);
+    total += count;
+  } while (count === BATCH_SIZE);
+  return total;
+};
+
+const main = async () => {
+  const watch = process.argv.includes('--watch');
+  const intervalMs = Number(process.env.DISPATCH_INTERVAL_SECONDS || 30) * 1000;
+  const transports = {
+    email: createTransport('email', process.env.EMAIL_TRANSPORT),
+    sms: createTransport('sms', process.env.SMS_TRANSPORT),
+    push: createTransport('push', process.env.PUSH_TRANSPORT)
+  };
+
+  const client = await connect();
+  let stopping = false;
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  try {
+    do {
+      const count = await dispatchDue(client, transports);
+      if (count > 0) {
+        console.log(`Dispatched ${count} notification(s)`);
+      }
+      if (watch && !stopping) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    } while (watch && !stopping);
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Dispatch failed: ${error.message}`);
+  process.exit(1);
+});
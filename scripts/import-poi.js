@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Load schools and hospitals into points_of_interest for priority scoring.
+ *
+ *   npm run poi:import                   load supabase/data/points_of_interest.json
+ *   npm run poi:import -- <file.json>    load another file
+ *
+ * The file is a JSON array of { id, name, kind, latitude, longitude } with
+ * kind 'school' or 'hospital'. The table is replaced with the file's
+ * contents in one transaction, so places removed from the file are removed
+ * from the database too.
+ */
+const fs = require('fs');
+const path = require('path');
+const { connect } = require('./lib/db');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'supabase', 'data', 'points_of_interest.json');
+const KINDS = ['school', 'hospital'];
+
+const readPlaces = (file) => {
+  const places = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(places)) {
+    throw new Error(`${file} must contain a JSON array`);
+  }
+
+  const ids = new Set();
+  places.forEach((place, index) => {
+    const where = `${file}, entry ${index + 1}`;
+    if (!place.id || !place.name) {
+      throw new Error(`${where}: id and name are required`);
+    }
+    if (ids.has(place.id)) {
+      throw new Error(`${where}: id '${place.id}' is used twice`);
+    }
+    if (!KINDS.includes(place.kind)) {
+      throw new Error(`${where}: kind must be one of ${KINDS.join(', ')}`);
+    }
+    if (!Number.isFinite(place.latitude) || !Number.isFinite(place.longitude)) {
+      throw new Error(`${where}: latitude and longitude must be numbers`);
+    }
+    ids.add(place.id);
+  });
+  return places;
+};
+
+const main = async () => {
+  const file = path.resolve(process.argv[2] || DEFAULT_FILE);
+  const places = readPlaces(file);
+  const client = await connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM public.points_of_interest WHERE NOT (id = ANY ($1))', [
+      places.map(place => place.id)
+    ]);
+    for (const place of places) {
+      await client.query(
+        `INSERT INTO public.points_of_interest (id, name, kind, latitude, longitude)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE
+         SET name = EXCLUDED.name,
+             kind = EXCLUDED.kind,
+             latitude = EXCLUDED.latitude,
+             longitude = EXCLUDED.longitude,
+             updated_at = NOW()`,
+        [place.id, place.name, place.kind, place.latitude, place.longitude]
+      );
+    }
+    await client.query('COMMIT');
+    console.log(`Loaded ${places.length} point(s) of interest from ${path.relative(process.cwd(), file)}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
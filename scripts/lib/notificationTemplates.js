@@ -0,0 +1,127 @@
+// Email, SMS and push wording for notifications, in English and Hindi.
+// The English status labels match src/constants/statuses.js; keep them in step.
+
+const STATUS_LABELS = {
+  en: {
+    pending: 'Pending',
+    acknowledged: 'Acknowledged',
+    assigned: 'Assigned',
+    in_progress: 'In Progress',
+    resolved: 'Resolved',
+    closed: 'Closed',
+    reopened: 'Reopened',
+    rejected: 'Rejected',
+    duplicate: 'Duplicate'
+  },
+  hi: {
+    pending: 'लंबित',
+    acknowledged: 'स्वीकार की गई',
+    assigned: 'सौंपी गई',
+    in_progress: 'कार्य प्रगति पर',
+    resolved: 'हल हो गई',
+    closed: 'बंद',
+    reopened: 'फिर से खोली गई',
+    rejected: 'अस्वीकृत',
+    duplicate: 'डुप्लिकेट'
+  }
+};
+
+// Who an escalated complaint went to, by complaints.escalation_level
+const ESCALATION_LEVELS = {
+  en: { 1: 'department head', 2: 'commissioner' },
+  hi: { 1: 'विभाग प्रमुख', 2: 'आयुक्त' }
+};
+
+// Each template gets { subject, actor, from, to, deadline, level } and returns { title, body }
+const TEMPLATES = {
+  en: {
+    status_changed: ({ subject, actor, from, to }) => ({
+      title: `${subject}: ${to}`,
+      body: `${actor} changed the status from ${from} to ${to}.`
+    }),
+    comment: ({ subject, actor }) => ({
+      title: `New comment on ${subject}`,
+      body: `${actor} added a comment.`
+    }),
+    assigned: ({ subject, actor }) => ({
+      title: `Assigned to you: ${subject}`,
+      body: `${actor} assigned this complaint to you.`
+    }),
+    sla_breached: ({ subject, deadline }) => ({
+      title: `Overdue: ${subject}`,
+      body: deadline === 'acknowledge'
+        ? 'This complaint has passed its acknowledgement deadline.'
+        : 'This complaint has passed its resolution deadline.'
+    }),
+    escalated: ({ subject, level }) => ({
+      title: `Escalated to you: ${subject}`,
+      body: `This complaint missed its deadline and has been escalated to you as ${level}.`
+    })
+  },
+  hi: {
+    status_changed: ({ subject, actor, from, to }) => ({
+      title: `${subject}: ${to}`,
+      body: `${actor} ने स्थिति "${from}" से बदलकर "${to}" कर दी है।`
+    }),
+    comment: ({ subject, actor }) => ({
+      title: `${subject} पर नई टिप्पणी`,
+      body: `${actor} ने एक टिप्पणी जोड़ी है।`
+    }),
+    assigned: ({ subject, actor }) => ({
+      title: `आपको सौंपी गई: ${subject}`,
+      body: `${actor} ने यह शिकायत आपको सौंपी है।`
+    }),
+    sla_breached: ({ subject, deadline }) => ({
+      title: `समय सीमा पार: ${subject}`,
+      body: deadline === 'acknowledge'
+        ? 'इस शिकायत को स्वीकार करने की समय सीमा निकल चुकी है।'
+        : 'इस शिकायत के समाधान की समय सीमा निकल चुकी है।'
+    }),
+    escalated: ({ subject, level }) => ({
+      title: `आपको भेजी गई: ${subject}`,
+      body: `समय सीमा पार होने पर यह शिकायत ${level} के रूप में आपको भेजी गई है।`
+    })
+  }
+};
+
+const COPY = {
+  en: { complaint: 'Your complaint', system: 'UrbanSetu', view: 'View the complaint', footer: 'You can change which updates you receive on your UrbanSetu profile page.' },
+  hi: { complaint: 'आपकी शिकायत', system: 'UrbanSetu', view: 'शिकायत देखें', footer: 'आप अपने UrbanSetu प्रोफ़ाइल पेज पर चुन सकते हैं कि कौन-सी सूचनाएँ मिलें।' }
+};
+
+/**
+ * Render a notification for one channel. notification is a notifications row;
+ * link is the page to open. Returns { subject, text } for email and push and
+ * { text } for SMS. Push messages leave the link to the notification itself.
+ */
+const renderNotification = (notification, { channel, language = 'en', link }) => {
+  const lang = TEMPLATES[language] ? language : 'en';
+  const details = notification.metadata || {};
+  const labels = STATUS_LABELS[lang];
+
+  const { title, body } = TEMPLATES[lang][notification.type]({
+    subject: [details.category, details.address].filter(Boolean).join(' - ') || COPY[lang].complaint,
+    actor: details.actor_name || COPY[lang].system,
+    from: labels[details.from_status] || details.from_status,
+    to: labels[details.to_status] || details.to_status,
+    deadline: details.deadline,
+    level: ESCALATION_LEVELS[lang][details.escalation_level]
+  });
+
+  if (channel === 'push') {
+    return { subject: title, text: body };
+  }
+
+  if (channel === 'sms') {
+    return { text: `UrbanSetu: ${title}. ${body}${link ? ` ${link}` : ''}` };
+  }
+
+  return {
+    subject: `UrbanSetu - ${title}`,
+    text: [body, link ? `${COPY[lang].view}: ${link}` : null, '--', COPY[lang].footer]
+      .filter(Boolean)
+      .join('\n\n')
+  };
+};
+
+module.exports = { renderNotification };
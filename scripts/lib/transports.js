@@ -0,0 +1,116 @@
+// Delivery transports for the notification dispatcher. Each factory returns
+// { send({ to, subject, text, link }) }; send resolves once the message is
+// accepted and throws if it wasn't. Add a transport by adding a factory below.
+//
+//   email  console  print to stdout (default, for development)
+//          smtp     SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER,
+//                   SMTP_PASSWORD, EMAIL_FROM. A local catcher such as
+//                   Mailpit (SMTP_HOST=localhost SMTP_PORT=1025) works too.
+//   sms    console  print to stdout (default, for development)
+//          http     POST { to, text } as JSON to SMS_HTTP_URL, with
+//                   SMS_HTTP_TOKEN as a bearer token if set
+//   push   console  print to stdout (default, for development)
+//          webpush  VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT. to is a
+//                   browser subscription { endpoint, keys }; a subscription
+//                   the push service no longer knows throws with expired set
+
+const consoleTransport = (channel) => ({
+  send: async ({ to, subject, text }) => {
+    const address = to.endpoint || to;
+    console.log(`[${channel}] to ${address}${subject ? `: ${subject}` : ''}\n${text}\n`);
+  }
+});
+
+const smtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  // Only needed when email really goes out
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+  const from = process.env.EMAIL_FROM || 'UrbanSetu <no-reply@urbansetu.in>';
+
+  return {
+    send: ({ to, subject, text }) => transporter.sendMail({ from, to, subject, text })
+  };
+};
+
+const httpSmsTransport = () => {
+  const url = process.env.SMS_HTTP_URL;
+  if (!url) {
+    throw new Error('SMS_HTTP_URL is required for the http SMS transport');
+  }
+
+  return {
+    send: async ({ to, text }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` } : {})
+        },
+        body: JSON.stringify({ to, text })
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway answered ${response.status}`);
+      }
+    }
+  };
+};
+
+const webPushTransport = () => {
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required for the webpush transport');
+  }
+
+  // Only needed when pushes really go out
+  const webpush = require('web-push');
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:no-reply@urbansetu.in',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+
+  return {
+    send: async ({ to, subject, text, link }) => {
+      try {
+        await webpush.sendNotification(to, JSON.stringify({ title: subject, body: text, url: link }));
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          const expired = new Error('Push subscription has expired');
+          expired.expired = true;
+          throw expired;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+const TRANSPORTS = {
+  email: { console: consoleTransport, smtp: smtpTransport },
+  sms: { console: consoleTransport, http: httpSmsTransport },
+  push: { console: consoleTransport, webpush: webPushTransport }
+};
+
+/**
+ * Create the transport called name for channel ('email', 'sms' or 'push').
+ */
+const createTransport = (channel, name = 'console') => {
+  const factory = TRANSPORTS[channel]?.[name];
+  if (!factory) {
+    const known = Object.keys(TRANSPORTS[channel] || {}).join(', ');
+    throw new Error(`Unknown ${channel} transport "${name}" (expected one of: ${known})`);
+  }
+  return factory(channel);
+};
+
+module.exports = { createTransport };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Apply pending migrations from supabase/migrations in filename order.
+ *
+ *   npm run db:migrate                 apply pending migrations
+ *   npm run db:migrate -- --status     list applied and pending migrations
+ *   npm run db:migrate -- --local      load supabase/local/supabase_stub.sql first,
+ *                                      for a plain Postgres without Supabase
+ *
+ * Applied migrations are recorded in migrations.schema_migrations. Each
+ * migration runs in its own transaction together with its bookkeeping row,
+ * so a failed migration leaves nothing half-applied.
+ */
+const fs = require('fs');
+const path = require('path');
+const { connect } = require('./lib/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+const STUB_FILE = path.join(__dirname, '..', 'supabase', 'local', 'supabase_stub.sql');
+
+// Arbitrary key so two runners never apply migrations at the same time
+const LOCK_KEY = 20251019;
+
+const readMigrations = () =>
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map(file => ({
+      version: file.split('_')[0],
+      name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+      file
+    }));
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE SCHEMA IF NOT EXISTS migrations;
+  CREATE TABLE IF NOT EXISTS migrations.schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+`);
+
+const getAppliedVersions = async (client) => {
+  const { rows } = await client.query('SELECT version FROM migrations.schema_migrations');
+  return new Set(rows.map(row => row.version));
+};
+
+const applyMigration = async (client, migration) => {
+  const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(
+      'INSERT INTO migrations.schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${migration.file}: ${error.message}`);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const client = await connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+    if (args.includes('--local')) {
+      console.log('Loading local Supabase stub');
+      await client.query(fs.readFileSync(STUB_FILE, 'utf8'));
+    }
+
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedVersions(client);
+    const migrations = readMigrations();
+
+    if (args.includes('--status')) {
+      migrations.forEach(migration => {
+        const state = applied.has(migration.version) ? 'applied' : 'pending';
+        console.log(`${state.padEnd(8)} ${migration.file}`);
+      });
+      return;
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    if (pending.length === 0) {
+      console.log('Database is up to date');
+      return;
+    }
+
+    for (const migration of pending) {
+      console.log(`Applying ${migration.file}`);
+      await applyMigration(client, migration);
+    }
+    console.log(`Applied ${pending.length} migration(s)`);
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
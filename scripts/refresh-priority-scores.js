@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Bring the stored priority scores of open complaints up to date (see
+ * supabase/migrations/0021_priority_scoring.sql). Scores are recomputed on
+ * every write to a complaint; this catches up the points that grow on their
+ * own, for time open and for reports filed nearby later, and applies a
+ * change to the category_severity setting.
+ *
+ *   npm run priority:refresh                rescore what is out of date, then exit
+ *   npm run priority:refresh -- --watch     keep running, rescoring every
+ *                                           PRIORITY_REFRESH_INTERVAL_SECONDS (default 3600)
+ *
+ * Only complaints whose breakdown changed are written, so running it often
+ * is cheap.
+ */
+const { connect } = require('./lib/db');
+
+const main = async () => {
+  const watch = process.argv.includes('--watch');
+  const intervalMs = Number(process.env.PRIORITY_REFRESH_INTERVAL_SECONDS || 3600) * 1000;
+
+  const client = await connect();
+  let stopping = false;
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  try {
+    do {
+      const { rows: [{ rescored }] } = await client.query('SELECT public.refresh_priority_scores() AS rescored');
+      if (rescored > 0) {
+        console.log(`Rescored ${rescored} complaint(s)`);
+      }
+      if (watch && !stopping) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    } while (watch && !stopping);
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Priority refresh failed: ${error.message}`);
+  process.exit(1);
+});
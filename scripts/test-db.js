@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Run the SQL test files in supabase/tests against DATABASE_URL.
+ *
+ *   npm run db:test                           run every *.test.sql file
+ *   npm run db:test -- complaints_rls         run files whose name matches
+ *
+ * Each test file wraps itself in a transaction and rolls back, and raises an
+ * exception on the first failed assertion. Migrations must already be applied.
+ * The shared assertion helpers in helpers.sql are loaded first.
+ */
+const fs = require('fs');
+const path = require('path');
+const { connect } = require('./lib/db');
+
+const TESTS_DIR = path.join(__dirname, '..', 'supabase', 'tests');
+const HELPERS_FILE = path.join(TESTS_DIR, 'helpers.sql');
+
+const main = async () => {
+  const filter = process.argv[2];
+  const files = fs.readdirSync(TESTS_DIR)
+    .filter(file => file.endsWith('.test.sql'))
+    .filter(file => !filter || file.includes(filter))
+    .sort();
+
+  const client = await connect({ printNotices: true });
+  let failed = 0;
+
+  try {
+    await client.query(fs.readFileSync(HELPERS_FILE, 'utf8'));
+
+    for (const file of files) {
+      console.log(file);
+      try {
+        await client.query(fs.readFileSync(path.join(TESTS_DIR, file), 'utf8'));
+      } catch (error) {
+        failed += 1;
+        console.error(`  ${error.message}`);
+        // Abandon the failed test's transaction before the next file
+        await client.query('ROLLBACK').catch(() => {});
+      }
+    }
+  } finally {
+    await client.end();
+  }
+
+  console.log(`\n${files.length - failed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -10,10 +10,14 @@ import LoginPage from './components/auth/LoginPage';
 import RegisterPage from './components/auth/RegisterPage';
 import CitizenDashboard from './components/citizen/CitizenDashboard';
 import AdminDashboard from './components/admin/AdminDashboard';
+import UserManagement from './components/admin/UserManagement';
+import SlaPolicies from './components/admin/SlaPolicies';
 import ReportComplaint from './components/citizen/ReportComplaint';
 import ComplaintTracking from './components/citizen/ComplaintTracking';
+import NearbyIssues from './components/citizen/NearbyIssues';
 import ProfilePage from './components/ProfilePage';
 import ProtectedRoute from './components/auth/ProtectedRoute';
+import { ROLES } from './constants/roles';
 
 function App() {
   return (
@@ -26,6 +30,7 @@ function App() {
               <Route path="/" element={<LandingPage />} />
               <Route path="/login" element={<LoginPage />} />
               <Route path="/register" element={<RegisterPage />} />
+              <Route path="/nearby" element={<NearbyIssues />} />
               
               {/* Protected Citizen Routes */}
               <Route path="/citizen" element={
@@ -50,6 +55,16 @@ function App() {
                   <AdminDashboard />
                 </ProtectedRoute>
               } />
+              <Route path="/admin/users" element={
+                <ProtectedRoute roles={[ROLES.SUPER_ADMIN]}>
+                  <UserManagement />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/slas" element={
+                <ProtectedRoute roles={[ROLES.SUPER_ADMIN]}>
+                  <SlaPolicies />
+                </ProtectedRoute>
+              } />
               
               {/* Profile Route */}
               <Route path="/profile" element={
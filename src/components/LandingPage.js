@@ -96,6 +96,13 @@ const LandingPage = () => {
               >
                 {isDark ? '☀️' : '🌙'}
               </button>
+              <Link
+                to="/nearby"
+                title="Issues near you"
+                className="p-2 rounded-lg glass-effect dark:glass-effect-dark hover:bg-white/20 transition-colors"
+              >
+                <MapPin className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+              </Link>
               <Link to="/login" className="btn-primary px-2 sm:px-6 py-2 text-xs sm:text-base">
                 <span className="sm:whitespace-nowrap">
                   <span className="block sm:inline">Get</span>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
@@ -19,6 +19,28 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { ROLE_LABELS, isStaffRole } from '../constants/roles';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../services/notificationService';
+import {
+  isPushSupported,
+  getPushSubscription,
+  enablePush,
+  disablePush
+} from '../services/pushService';
+
+// Notification types a user can choose to get by email or SMS. Only staff
+// are assigned complaints, warned about overdue ones or escalated to.
+const NOTIFICATION_TYPES = [
+  { value: 'status_changed', label: 'Status changes' },
+  { value: 'comment', label: 'New comments' },
+  { value: 'assigned', label: 'Complaints assigned to me', staffOnly: true },
+  { value: 'sla_breached', label: 'Overdue complaints', staffOnly: true },
+  { value: 'escalated', label: 'Complaints escalated to me', staffOnly: true }
+];
 
 const ProfilePage = () => {
   const { user, updateProfile, logout } = useAuth();
@@ -32,6 +54,62 @@ const ProfilePage = () => {
     phone: user?.phone || '',
     address: user?.address || '',
   });
+  const [notificationPrefs, setNotificationPrefs] = useState(null);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    getNotificationPreferences(user.id)
+      .then(setNotificationPrefs)
+      .catch(() => toast.error('Failed to load notification preferences'));
+  }, [user?.id]);
+
+  useEffect(() => {
+    getPushSubscription()
+      .then(subscription => setPushEnabled(Boolean(subscription)))
+      .catch(() => {});
+  }, []);
+
+  const togglePush = async () => {
+    setPushBusy(true);
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+      } else {
+        await enablePush();
+        setPushEnabled(true);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to change push notifications');
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  const notificationTypes = NOTIFICATION_TYPES.filter(type => !type.staffOnly || isStaffRole(user?.role));
+
+  const saveNotificationPrefs = async (changes) => {
+    const previous = notificationPrefs;
+    setNotificationPrefs({ ...previous, ...changes });
+    try {
+      await updateNotificationPreferences(user.id, changes);
+    } catch (error) {
+      setNotificationPrefs(previous);
+      toast.error('Failed to save notification preferences');
+    }
+  };
+
+  const toggleNotificationType = (channelKey, type) => {
+    const current = notificationPrefs[channelKey];
+    saveNotificationPrefs({
+      [channelKey]: current.includes(type)
+        ? current.filter(value => value !== type)
+        : [...current, type]
+    });
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -41,8 +119,8 @@ const ProfilePage = () => {
     }));
   };
 
-  const handleSave = () => {
-    updateProfile(formData);
+  const handleSave = async () => {
+    await updateProfile(formData);
     setIsEditing(false);
   };
 
@@ -56,8 +134,8 @@ const ProfilePage = () => {
     setIsEditing(false);
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -120,7 +198,7 @@ const ProfilePage = () => {
                 {user?.name}
               </h2>
               <p className="text-gray-600 dark:text-gray-400 mb-2">
-                {user?.userType === 'admin' ? 'Administrator' : 'Citizen'}
+                {ROLE_LABELS[user?.role]}
               </p>
               <p className="text-sm text-gray-500 dark:text-gray-400">
                 Member since {format(new Date(user?.createdAt), 'MMMM yyyy')}
@@ -284,7 +362,7 @@ const ProfilePage = () => {
                     <Shield className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 dark:text-gray-500" />
                     <input
                       type="text"
-                      value={user?.userType === 'admin' ? 'Administrator' : 'Citizen'}
+                      value={user?.department ? `${ROLE_LABELS[user?.role]} · ${user.department}` : ROLE_LABELS[user?.role]}
                       disabled
                       className="input-field dark:input-field-dark pl-10 bg-gray-50 dark:bg-dark-700 cursor-not-allowed"
                       style={{ paddingLeft: '2.75rem' }}
@@ -300,22 +378,102 @@ const ProfilePage = () => {
                 Preferences
               </h3>
               <div className="space-y-4">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-3">
+                <div>
+                  <div className="flex items-center space-x-3 mb-3">
                     <Bell className="w-5 h-5 text-gray-400 dark:text-gray-500" />
                     <div>
-                      <p className="font-medium text-gray-900 dark:text-white">Email Notifications</p>
+                      <p className="font-medium text-gray-900 dark:text-white">Notifications</p>
                       <p className="text-sm text-gray-600 dark:text-gray-400">
-                        Receive updates about your complaints
+                        Choose which updates reach you by email, SMS and push
                       </p>
                     </div>
                   </div>
-                  <label className="relative inline-flex items-center cursor-pointer">
-                    <input type="checkbox" className="sr-only peer" defaultChecked />
-                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
-                  </label>
+
+                  {!notificationPrefs ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 ml-8">Loading...</p>
+                  ) : (
+                    <div className="ml-8 space-y-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700 dark:text-gray-300">Language</span>
+                        <select
+                          value={notificationPrefs.language}
+                          onChange={(e) => saveNotificationPrefs({ language: e.target.value })}
+                          className="input-field dark:input-field-dark w-auto py-1.5 text-sm"
+                        >
+                          <option value="en">English</option>
+                          <option value="hi">हिंदी</option>
+                        </select>
+                      </div>
+
+                      {isPushSupported() && (
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm text-gray-700 dark:text-gray-300">Push notifications on this device</span>
+                          <label className="relative inline-flex items-center cursor-pointer">
+                            <input
+                              type="checkbox"
+                              className="sr-only peer"
+                              checked={pushEnabled}
+                              onChange={togglePush}
+                              disabled={pushBusy}
+                            />
+                            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
+                          </label>
+                        </div>
+                      )}
+
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+                            <th className="font-medium pb-2">Event</th>
+                            <th className="font-medium pb-2 text-center w-16">Email</th>
+                            <th className="font-medium pb-2 text-center w-16">SMS</th>
+                            <th className="font-medium pb-2 text-center w-16">Push</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {notificationTypes.map(type => (
+                            <tr key={type.value} className="border-t border-gray-100 dark:border-dark-700">
+                              <td className="py-2 text-gray-700 dark:text-gray-300">{type.label}</td>
+                              <td className="py-2 text-center">
+                                <input
+                                  type="checkbox"
+                                  checked={notificationPrefs.email_types.includes(type.value)}
+                                  onChange={() => toggleNotificationType('email_types', type.value)}
+                                  disabled={!user?.email}
+                                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
+                                />
+                              </td>
+                              <td className="py-2 text-center">
+                                <input
+                                  type="checkbox"
+                                  checked={notificationPrefs.sms_types.includes(type.value)}
+                                  onChange={() => toggleNotificationType('sms_types', type.value)}
+                                  disabled={!user?.phone}
+                                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
+                                />
+                              </td>
+                              <td className="py-2 text-center">
+                                <input
+                                  type="checkbox"
+                                  checked={notificationPrefs.push_types.includes(type.value)}
+                                  onChange={() => toggleNotificationType('push_types', type.value)}
+                                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                                />
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+
+                      {!user?.phone && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          Add a phone number above to get SMS updates.
+                        </p>
+                      )}
+                    </div>
+                  )}
                 </div>
-                
+
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-3">
                     <Globe className="w-5 h-5 text-gray-400 dark:text-gray-500" />
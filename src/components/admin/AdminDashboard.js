@@ -1,11 +1,10 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   MapPin, 
   Bell, 
   User, 
-  Filter,
   Search,
   MoreVertical,
   Eye,
@@ -17,14 +16,49 @@ import {
   FileText,
   Calendar,
   Download,
-  Globe
+  Globe,
+  MessageSquare,
+  X,
+  Star,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  ChevronLeft,
+  ChevronRight,
+  ChevronsUp,
+  ThumbsUp,
+  Timer
 } from 'lucide-react';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
 import L from 'leaflet';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
-import { format } from 'date-fns';
-import { getAllComplaints, updateComplaintStatus } from '../../services/complaintService';
+import { format, formatDistanceToNowStrict } from 'date-fns';
+import {
+  getComplaintsPage,
+  getComplaintStatusCounts,
+  getOverdueCount,
+  getRatingSummary,
+  getReopenSummary,
+  subscribeToComplaints
+} from '../../services/complaintService';
+import { exportComplaints } from '../../services/exportService';
+import { getProfilesByIds } from '../../services/userService';
+import { ROLES, ROLE_LABELS, ESCALATION_LEVEL_LABELS } from '../../constants/roles';
+import { getScorePriority } from '../../constants/priorities';
+import {
+  STATUS_STAGES,
+  getStatusColor,
+  getStatusLabel,
+  getStatusStage
+} from '../../constants/statuses';
+import CommentThread from '../common/CommentThread';
+import NotificationBell from '../common/NotificationBell';
+import ComplaintDrawer from './ComplaintDrawer';
+import BulkActionBar from './BulkActionBar';
+import ComplaintFilterBar from './ComplaintFilterBar';
+import MapAreaSelector from './MapAreaSelector';
+import { PAGE_SIZES, parseComplaintView, toComplaintViewParams } from './complaintViewParams';
 import toast from 'react-hot-toast';
 
 // Create custom red markers
@@ -58,23 +92,52 @@ const createRedIcon = () => {
   });
 };
 
+// Roll the per department/category rating rows up by one of the two keys
+const summarizeRatings = (rows, key) => {
+  const groups = {};
+  rows.forEach(row => {
+    const group = groups[row[key]] || { name: row[key], count: 0, total: 0, lowCount: 0 };
+    group.count += row.count;
+    group.total += row.average * row.count;
+    group.lowCount += row.lowCount;
+    groups[row[key]] = group;
+  });
+
+  return Object.values(groups)
+    .map(group => ({ ...group, average: group.total / group.count }))
+    .sort((a, b) => a.average - b.average);
+};
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+// Bulk updates arrive as a burst of changes; reload once for the lot
+const LIVE_RELOAD_DELAY_MS = 1000;
+
 const AdminDashboard = () => {
   const { user, logout } = useAuth();
   const { isDark, toggleTheme } = useTheme();
   const navigate = useNavigate();
   
   const [complaints, setComplaints] = useState([]);
-  const [stats, setStats] = useState({
-    total: 0,
-    pending: 0,
-    inProgress: 0,
-    resolved: 0,
-    today: 0
-  });
-  const [selectedFilter, setSelectedFilter] = useState('all');
-  const [searchQuery, setSearchQuery] = useState('');
+  const [totalComplaints, setTotalComplaints] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [overdueCount, setOverdueCount] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState(() => searchParams.get('q') || '');
+  const [drawingArea, setDrawingArea] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [discussionComplaint, setDiscussionComplaint] = useState(null);
+  const [selectedComplaintId, setSelectedComplaintId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [reloadToken, setReloadToken] = useState(0);
+  // Complaints filed since the dashboard was opened that nobody has looked at yet
+  const [unreadIds, setUnreadIds] = useState([]);
+  const liveReloadTimer = useRef(null);
+  const [ratingSummary, setRatingSummary] = useState([]);
+  const [reopenSummary, setReopenSummary] = useState([]);
   
-  // Map pins generated from complaints data
+  // Map pins for the complaints on the current page
   const mapPins = complaints.map(complaint => ({
     id: complaint.id,
     position: [complaint.latitude || 26.8467, complaint.longitude || 80.9462],
@@ -84,15 +147,49 @@ const AdminDashboard = () => {
     priority: complaint.priority
   }));
 
+  // Filters (shared by the table and the export), sort and page, from the URL
+  const view = useMemo(() => parseComplaintView(searchParams), [searchParams]);
+  const { filters, page, pageSize, sort } = view;
+
+  // Any change other than the page itself starts again from the first page
+  const updateView = useCallback((changes) => {
+    setSearchParams(toComplaintViewParams({ ...view, page: 1, ...changes }), { replace: true });
+  }, [view, setSearchParams]);
+
+  const changeFilters = (changes) => {
+    updateView({ filters: { ...filters, ...changes } });
+  };
+
+  // Searching sorts by best match until another column is picked
+  useEffect(() => {
+    const search = searchQuery.trim();
+    if (search === (filters.search || '')) return;
+
+    const timer = setTimeout(() => {
+      const defaultSort = ['created_at', 'relevance'].includes(sort.by) && sort.direction === 'desc';
+      updateView({
+        filters: { ...filters, search: search || undefined },
+        sort: defaultSort ? { by: search ? 'relevance' : 'created_at', direction: 'desc' } : sort
+      });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery, filters, sort, updateView]);
+
   // Load complaints from Supabase
   useEffect(() => {
     const loadData = async () => {
       try {
-        const complaintsData = await getAllComplaints({
-          status: selectedFilter !== 'all' ? selectedFilter : undefined,
-          search: searchQuery
+        const { complaints: complaintsData, total } = await getComplaintsPage(filters, {
+          page,
+          pageSize,
+          sortBy: sort.by,
+          sortDirection: sort.direction
         });
 
+        // Reporter names; citizen profiles are only readable by super admins
+        const reporterIds = [...new Set(complaintsData.map(complaint => complaint.user_id).filter(Boolean))];
+        const reporters = await getProfilesByIds(reporterIds, 'id, name, email').catch(() => ({}));
+
         // Transform complaints to match expected format
         const transformedComplaints = complaintsData.map(complaint => ({
           id: complaint.id,
@@ -103,26 +200,20 @@ const AdminDashboard = () => {
           category: complaint.category,
           department: complaint.department,
           location: complaint.address,
-          reporter: 'User', // You can join with users table later to get actual name
+          reporter: reporters[complaint.user_id]?.name || reporters[complaint.user_id]?.email || null,
           createdAt: new Date(complaint.created_at),
           image: complaint.image_url,
           latitude: complaint.latitude,
-          longitude: complaint.longitude
+          longitude: complaint.longitude,
+          supporters: complaint.supporter_count || 0,
+          score: complaint.priority_score ?? 0,
+          dueAt: complaint.resolve_due_at ? new Date(complaint.resolve_due_at) : null,
+          overdue: Boolean(complaint.is_overdue),
+          escalationLevel: complaint.escalation_level || 0
         }));
 
         setComplaints(transformedComplaints);
-        
-        // Calculate stats
-        const today = new Date().toDateString();
-        setStats({
-          total: transformedComplaints.length,
-          pending: transformedComplaints.filter(c => c.status === 'pending').length,
-          inProgress: transformedComplaints.filter(c => c.status === 'in_progress').length,
-          resolved: transformedComplaints.filter(c => c.status === 'resolved').length,
-          today: transformedComplaints.filter(c => 
-            new Date(c.createdAt).toDateString() === today
-          ).length
-        });
+        setTotalComplaints(total);
       } catch (error) {
         console.error('Error loading complaints:', error);
         toast.error('Failed to load complaints');
@@ -130,17 +221,120 @@ const AdminDashboard = () => {
     };
 
     loadData();
-  }, [selectedFilter, searchQuery]);
+  }, [filters, page, pageSize, sort, reloadToken]);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'resolved': return 'text-green-600 bg-green-100 dark:bg-green-900/30';
-      case 'in_progress': return 'text-blue-600 bg-blue-100 dark:bg-blue-900/30';
-      case 'pending': return 'text-yellow-600 bg-yellow-100 dark:bg-yellow-900/30';
-      default: return 'text-gray-600 bg-gray-100 dark:bg-gray-900/30';
+  // Stat cards count every complaint the user can see, not just this page
+  useEffect(() => {
+    getComplaintStatusCounts()
+      .then(setStatusCounts)
+      .catch(() => toast.error('Failed to load complaint counts'));
+    getOverdueCount()
+      .then(setOverdueCount)
+      .catch(() => toast.error('Failed to load overdue complaints'));
+  }, [reloadToken]);
+
+  // New and changed complaints show up without a reload
+  useEffect(() => {
+    const unsubscribe = subscribeToComplaints((eventType, row) => {
+      if (eventType === 'INSERT') {
+        setUnreadIds(prev => [row.id, ...prev]);
+        toast(`New complaint: ${row.category} - ${row.address?.split(',')[0] || 'Location'}`, { icon: '🔔' });
+      }
+      clearTimeout(liveReloadTimer.current);
+      liveReloadTimer.current = setTimeout(() => {
+        setReloadToken(token => token + 1);
+      }, LIVE_RELOAD_DELAY_MS);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(liveReloadTimer.current);
+    };
+  }, []);
+
+  // Citizen satisfaction with resolutions, and how often fixes are disputed
+  useEffect(() => {
+    getRatingSummary()
+      .then(setRatingSummary)
+      .catch(() => toast.error('Failed to load satisfaction ratings'));
+    getReopenSummary()
+      .then(setReopenSummary)
+      .catch(() => toast.error('Failed to load reopen rates'));
+  }, []);
+
+  // Calculate stats
+  const countStage = (stage) => Object.entries(statusCounts)
+    .filter(([status]) => getStatusStage(status) === stage)
+    .reduce((sum, [, count]) => sum + count.total, 0);
+  const stats = {
+    total: Object.values(statusCounts).reduce((sum, count) => sum + count.total, 0),
+    pending: countStage(STATUS_STAGES.OPEN),
+    inProgress: countStage(STATUS_STAGES.ACTIVE),
+    resolved: countStage(STATUS_STAGES.DONE),
+    today: Object.values(statusCounts).reduce((sum, count) => sum + count.today, 0)
+  };
+
+  const pageCount = Math.max(1, Math.ceil(totalComplaints / pageSize));
+
+  const handleSort = (field) => {
+    updateView({
+      sort: { by: field, direction: sort.by === field && sort.direction === 'desc' ? 'asc' : 'desc' }
+    });
+  };
+
+  const clearFilters = () => {
+    updateView({ filters: { search: filters.search } });
+    setDrawingArea(false);
+  };
+
+  const handleAreaDrawn = (area) => {
+    setDrawingArea(false);
+    changeFilters({ area });
+  };
+
+  const renderSortableHeader = (label, field) => (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+      <button
+        onClick={() => handleSort(field)}
+        className="flex items-center space-x-1 uppercase tracking-wider hover:text-gray-700 dark:hover:text-gray-200"
+      >
+        <span>{label}</span>
+        {sort.by !== field ? (
+          <ArrowUpDown className="w-3 h-3 opacity-50" />
+        ) : sort.direction === 'asc' ? (
+          <ArrowUp className="w-3 h-3" />
+        ) : (
+          <ArrowDown className="w-3 h-3" />
+        )}
+      </button>
+    </th>
+  );
+
+  const handleExport = async (fileType) => {
+    setShowExportMenu(false);
+    setExporting(true);
+    try {
+      const count = await exportComplaints(filters, fileType);
+      toast.success(`Exported ${count} complaint${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
     }
   };
 
+  const closeDrawer = useCallback(() => setSelectedComplaintId(null), []);
+
+  const openComplaint = (complaintId) => {
+    setSelectedComplaintId(complaintId);
+    setUnreadIds(prev => prev.filter(id => id !== complaintId));
+  };
+
+  // Edits in the drawer can move a row to another page or stat card
+  const handleComplaintUpdated = () => {
+    setReloadToken(token => token + 1);
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'urgent': return 'text-red-600 bg-red-100 dark:bg-red-900/30';
@@ -151,13 +345,25 @@ const AdminDashboard = () => {
     }
   };
 
-  const filteredComplaints = complaints.filter(complaint => {
-    const matchesFilter = selectedFilter === 'all' || complaint.status === selectedFilter;
-    const matchesSearch = complaint.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         complaint.reporter.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         complaint.location.toLowerCase().includes(searchQuery.toLowerCase());
-    return matchesFilter && matchesSearch;
-  });
+  // Bulk selection only ever covers rows that are on screen
+  const selectedComplaints = complaints.filter(complaint => selectedIds.includes(complaint.id));
+  const allSelected = complaints.length > 0 && selectedComplaints.length === complaints.length;
+
+  const toggleSelected = (complaintId) => {
+    setSelectedIds(prev => (
+      prev.includes(complaintId) ? prev.filter(id => id !== complaintId) : [...prev, complaintId]
+    ));
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : complaints.map(complaint => complaint.id));
+  };
+
+  // Keep the rows that failed selected so they can be fixed and retried
+  const handleBulkApplied = (result) => {
+    setSelectedIds(result.failed.map(failure => failure.id));
+    setReloadToken(token => token + 1);
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-dark-900">
@@ -174,7 +380,7 @@ const AdminDashboard = () => {
                   Admin Dashboard
                 </h1>
                 <p className="text-sm text-gray-500 dark:text-gray-400">
-                  Welcome, {user?.name}
+                  Welcome, {user?.name} · {ROLE_LABELS[user?.role]}{user?.department ? ` (${user.department})` : ''}
                 </p>
               </div>
             </div>
@@ -186,10 +392,25 @@ const AdminDashboard = () => {
               >
                 {isDark ? '☀️' : '🌙'}
               </button>
-              <button className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors relative">
-                <Bell className="w-5 h-5 text-gray-600 dark:text-gray-400" />
-                <span className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full"></span>
-              </button>
+              <NotificationBell onOpenComplaint={openComplaint} />
+              {user?.role === ROLES.SUPER_ADMIN && (
+                <>
+                  <Link
+                    to="/admin/slas"
+                    title="Edit SLA policies"
+                    className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+                  >
+                    <Timer className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                  </Link>
+                  <Link
+                    to="/admin/users"
+                    title="Manage user roles"
+                    className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+                  >
+                    <Users className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                  </Link>
+                </>
+              )}
               <Link
                 to="/profile"
                 className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
@@ -208,7 +429,7 @@ const AdminDashboard = () => {
           animate={{ opacity: 1, y: 0 }}
           className="mb-8"
         >
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-6">
             <div className="card dark:card-dark">
               <div className="flex items-center justify-between">
                 <div>
@@ -268,6 +489,24 @@ const AdminDashboard = () => {
                 </div>
               </div>
             </div>
+
+            {/* Past an SLA deadline; toggles the overdue view of the table */}
+            <button
+              type="button"
+              onClick={() => changeFilters({ overdue: filters.overdue ? undefined : true })}
+              title={filters.overdue ? 'Show all complaints' : 'Show only overdue complaints'}
+              className={`card dark:card-dark text-left ${filters.overdue ? 'ring-2 ring-red-500' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Overdue</p>
+                  <p className="text-2xl font-bold text-red-600">{overdueCount}</p>
+                </div>
+                <div className="w-12 h-12 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center">
+                  <AlertCircle className="w-6 h-6 text-red-600" />
+                </div>
+              </div>
+            </button>
           </div>
         </motion.div>
 
@@ -284,10 +523,33 @@ const AdminDashboard = () => {
                 <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
                   Complaints Map - Lucknow
                 </h2>
-                <button className="btn-secondary flex items-center space-x-2">
-                  <Download className="w-4 h-4" />
-                  <span>Export</span>
-                </button>
+                <div className="relative">
+                  <button
+                    onClick={() => setShowExportMenu(open => !open)}
+                    disabled={exporting}
+                    title="Export the complaints matching the filters below"
+                    className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>{exporting ? 'Exporting...' : 'Export'}</span>
+                  </button>
+                  {showExportMenu && (
+                    <div className="absolute right-0 mt-2 w-44 rounded-lg shadow-lg bg-white dark:bg-dark-700 border border-gray-200 dark:border-dark-600 z-[1000]">
+                      <button
+                        onClick={() => handleExport('csv')}
+                        className="block w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-dark-600 rounded-t-lg"
+                      >
+                        CSV (.csv)
+                      </button>
+                      <button
+                        onClick={() => handleExport('xlsx')}
+                        className="block w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-dark-600 rounded-b-lg"
+                      >
+                        Excel (.xlsx)
+                      </button>
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
             <div className="h-96 w-full">
@@ -300,6 +562,11 @@ const AdminDashboard = () => {
                   url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                 />
+                <MapAreaSelector
+                  area={filters.area}
+                  drawing={drawingArea}
+                  onDrawn={handleAreaDrawn}
+                />
                 {mapPins.map((pin) => (
                   <Marker key={pin.id} position={pin.position} icon={createRedIcon()}>
                     <Popup>
@@ -308,12 +575,18 @@ const AdminDashboard = () => {
                         <p className="text-sm text-gray-600 mb-2">{pin.description}</p>
                         <div className="flex items-center space-x-2">
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(pin.status)}`}>
-                            {pin.status.replace('_', ' ').toUpperCase()}
+                            {getStatusLabel(pin.status).toUpperCase()}
                           </span>
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(pin.priority)}`}>
                             {pin.priority.toUpperCase()}
                           </span>
                         </div>
+                        <button
+                          onClick={() => openComplaint(pin.id)}
+                          className="mt-2 text-sm font-medium text-primary-600 hover:text-primary-700"
+                        >
+                          View details
+                        </button>
                       </div>
                     </Popup>
                   </Marker>
@@ -323,6 +596,88 @@ const AdminDashboard = () => {
           </div>
         </motion.div>
 
+        {/* Citizen Satisfaction */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.12 }}
+          className="mb-8"
+        >
+          <div className="card dark:card-dark">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Citizen Satisfaction
+              </h2>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                Lowest rated first
+              </span>
+            </div>
+
+            {ratingSummary.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No resolutions have been rated yet.
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {[
+                  { title: 'By Department', rows: summarizeRatings(ratingSummary, 'department') },
+                  { title: 'By Category', rows: summarizeRatings(ratingSummary, 'category') }
+                ].map(section => (
+                  <div key={section.title}>
+                    <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                      {section.title}
+                    </h3>
+                    <div className="space-y-3">
+                      {section.rows.map(row => (
+                        <div key={row.name} className="flex items-center justify-between">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900 dark:text-white">{row.name}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              {row.count} rating{row.count === 1 ? '' : 's'}
+                              {row.lowCount > 0 && ` · ${row.lowCount} rated 2 stars or less`}
+                            </p>
+                          </div>
+                          <div className={`flex items-center space-x-1 text-sm font-semibold ${
+                            row.average < 3 ? 'text-red-600' : row.average < 4 ? 'text-yellow-600' : 'text-green-600'
+                          }`}>
+                            <Star className="w-4 h-4 fill-current" />
+                            <span>{row.average.toFixed(1)}</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {reopenSummary.length > 0 && (
+              <div className="mt-6 pt-6 border-t border-gray-200 dark:border-dark-700">
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                  Reopened as Not Fixed
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+                  {reopenSummary.map(row => (
+                    <div key={row.department} className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">{row.department}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {row.reopenedCount} of {row.resolvedCount} resolved complaint{row.resolvedCount === 1 ? '' : 's'}
+                        </p>
+                      </div>
+                      <span className={`text-sm font-semibold ${
+                        row.rate >= 0.2 ? 'text-red-600' : row.rate >= 0.1 ? 'text-yellow-600' : 'text-green-600'
+                      }`}>
+                        {Math.round(row.rate * 100)}%
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+
         {/* Complaints Management Header */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -330,9 +685,21 @@ const AdminDashboard = () => {
           transition={{ delay: 0.15 }}
           className="mb-6"
         >
-          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-            Complaints Management
-          </h2>
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+              Complaints Management
+            </h2>
+            {unreadIds.length > 0 && (
+              <button
+                onClick={() => setUnreadIds([])}
+                title="Mark as seen"
+                className="flex items-center space-x-2 px-3 py-1 rounded-full bg-red-100 dark:bg-red-900/30 text-sm font-medium text-red-700 dark:text-red-300 hover:bg-red-200 dark:hover:bg-red-900/50"
+              >
+                <Bell className="w-4 h-4" />
+                <span>{unreadIds.length} new complaint{unreadIds.length === 1 ? '' : 's'}</span>
+              </button>
+            )}
+          </div>
         </motion.div>
 
         {/* Filters and Search */}
@@ -347,28 +714,33 @@ const AdminDashboard = () => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search complaints..."
+                placeholder="Search description, address, notes... (English or हिंदी)"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
               />
             </div>
-            <div className="flex items-center space-x-2">
-              <Filter className="w-4 h-4 text-gray-400" />
-              <select
-                value={selectedFilter}
-                onChange={(e) => setSelectedFilter(e.target.value)}
-                className="px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              >
-                <option value="all">All Status</option>
-                <option value="pending">Pending</option>
-                <option value="in_progress">In Progress</option>
-                <option value="resolved">Resolved</option>
-              </select>
-            </div>
+          </div>
+          <div className="mt-4">
+            <ComplaintFilterBar
+              filters={filters}
+              onChange={changeFilters}
+              showDepartments={user?.role === ROLES.SUPER_ADMIN}
+              drawingArea={drawingArea}
+              onToggleDrawArea={() => setDrawingArea(current => !current)}
+              onClear={clearFilters}
+            />
           </div>
         </motion.div>
 
+        {selectedComplaints.length > 0 && (
+          <BulkActionBar
+            selectedComplaints={selectedComplaints}
+            onApplied={handleBulkApplied}
+            onClear={() => setSelectedIds([])}
+          />
+        )}
+
         {/* Complaints Table */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -380,38 +752,54 @@ const AdminDashboard = () => {
             <table className="w-full">
               <thead className="bg-gray-50 dark:bg-dark-700">
                 <tr>
+                  <th className="pl-6 py-3 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleAllSelected}
+                      title="Select all"
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                     Complaint
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                     Reporter
                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                    Department
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                    Priority
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                    Date
-                  </th>
+                  {renderSortableHeader('Department', 'department')}
+                  {renderSortableHeader('Status', 'status')}
+                  {renderSortableHeader('Priority', 'priority')}
+                  {renderSortableHeader('Score', 'score')}
+                  {renderSortableHeader('Support', 'support')}
+                  {renderSortableHeader('Date', 'created_at')}
+                  {renderSortableHeader('Age', 'age')}
+                  {renderSortableHeader('Due', 'due')}
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                     Actions
                   </th>
                 </tr>
               </thead>
               <tbody className="bg-white dark:bg-dark-800 divide-y divide-gray-200 dark:divide-dark-700">
-                {filteredComplaints.map((complaint, index) => (
+                {complaints.map((complaint, index) => (
                   <motion.tr
                     key={complaint.id}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: index * 0.05 }}
-                    className="hover:bg-gray-50 dark:hover:bg-dark-700 transition-colors"
+                    onClick={() => openComplaint(complaint.id)}
+                    className={`hover:bg-gray-50 dark:hover:bg-dark-700 transition-colors cursor-pointer ${
+                      selectedIds.includes(complaint.id) ? 'bg-primary-50 dark:bg-primary-900/20' : ''
+                    }`}
                   >
+                    <td className="pl-6 py-4" onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(complaint.id)}
+                        onChange={() => toggleSelected(complaint.id)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center space-x-3">
                         <div className="w-12 h-12 rounded-lg overflow-hidden flex-shrink-0">
@@ -422,8 +810,22 @@ const AdminDashboard = () => {
                           />
                         </div>
                         <div>
-                          <div className="text-sm font-medium text-gray-900 dark:text-white">
-                            {complaint.title}
+                          <div className="flex items-center space-x-2 text-sm font-medium text-gray-900 dark:text-white">
+                            <span>{complaint.title}</span>
+                            {unreadIds.includes(complaint.id) && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300">
+                                New
+                              </span>
+                            )}
+                            {complaint.escalationLevel > 0 && (
+                              <span
+                                title={`Escalated to the ${ESCALATION_LEVEL_LABELS[complaint.escalationLevel].toLowerCase()} after missing its deadline`}
+                                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-300"
+                              >
+                                <ChevronsUp className="w-3 h-3 mr-0.5" />
+                                {ESCALATION_LEVEL_LABELS[complaint.escalationLevel]}
+                              </span>
+                            )}
                           </div>
                           <div className="text-sm text-gray-500 dark:text-gray-400">
                             {complaint.location}
@@ -432,9 +834,15 @@ const AdminDashboard = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900 dark:text-white">
-                        {complaint.reporter}
-                      </div>
+                      {complaint.reporter ? (
+                        <div className="text-sm text-gray-900 dark:text-white">
+                          {complaint.reporter}
+                        </div>
+                      ) : (
+                        <div className="text-sm text-gray-500 dark:text-gray-400" title="Only super admins can see who filed a complaint">
+                          —
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900 dark:text-white">
@@ -443,7 +851,7 @@ const AdminDashboard = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
-                        {complaint.status.replace('_', ' ').toUpperCase()}
+                        {getStatusLabel(complaint.status).toUpperCase()}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -451,15 +859,61 @@ const AdminDashboard = () => {
                         {complaint.priority.toUpperCase()}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        title="Automatic priority score out of 100; open the complaint to see how it was worked out"
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(getScorePriority(complaint.score))}`}
+                      >
+                        {complaint.score}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                      <span className="inline-flex items-center space-x-1" title="Citizens who said this affects them too">
+                        <ThumbsUp className="w-4 h-4 text-gray-400" />
+                        <span>{complaint.supporters}</span>
+                      </span>
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                       {format(complaint.createdAt, 'MMM dd, yyyy')}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {formatDistanceToNowStrict(complaint.createdAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                      {complaint.overdue ? (
+                        <span
+                          title={complaint.dueAt ? `Resolution was due ${format(complaint.dueAt, 'MMM dd, yyyy HH:mm')}` : 'Not acknowledged in time'}
+                          className="px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-100 dark:bg-red-900/30"
+                        >
+                          OVERDUE
+                        </span>
+                      ) : complaint.dueAt ? (
+                        format(complaint.dueAt, 'MMM dd, yyyy')
+                      ) : (
+                        '—'
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex items-center space-x-2">
-                        <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300">
+                      <div className="flex items-center space-x-2" onClick={(e) => e.stopPropagation()}>
+                        <button
+                          onClick={() => openComplaint(complaint.id)}
+                          title="View details"
+                          className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                        >
                           <Eye className="w-4 h-4" />
                         </button>
-                        <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
+                        <button
+                          onClick={() => setDiscussionComplaint(complaint)}
+                          title="Comments"
+                          className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                        >
+                          <MessageSquare className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => openComplaint(complaint.id)}
+                          title="Edit status, priority and assignment"
+                          className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                        >
                           <MoreVertical className="w-4 h-4" />
                         </button>
                       </div>
@@ -470,7 +924,47 @@ const AdminDashboard = () => {
             </table>
           </div>
 
-          {filteredComplaints.length === 0 && (
+          {totalComplaints > 0 && (
+            <div className="flex flex-col sm:flex-row items-center justify-between gap-3 px-6 py-4 border-t border-gray-200 dark:border-dark-700">
+              <div className="flex items-center space-x-3 text-sm text-gray-600 dark:text-gray-400">
+                <span>
+                  Showing {(page - 1) * pageSize + 1}–{Math.min(page * pageSize, totalComplaints)} of {totalComplaints}
+                </span>
+                <select
+                  value={pageSize}
+                  onChange={(e) => updateView({ pageSize: Number(e.target.value) })}
+                  className="px-2 py-1 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm"
+                >
+                  {PAGE_SIZES.map(size => (
+                    <option key={size} value={size}>{size} per page</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => updateView({ page: page - 1 })}
+                  disabled={page <= 1}
+                  title="Previous page"
+                  className="p-2 rounded-lg border border-gray-300 dark:border-dark-600 hover:bg-gray-50 dark:hover:bg-dark-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                </button>
+                <span className="text-sm text-gray-600 dark:text-gray-400">
+                  Page {page} of {pageCount}
+                </span>
+                <button
+                  onClick={() => updateView({ page: page + 1 })}
+                  disabled={page >= pageCount}
+                  title="Next page"
+                  className="p-2 rounded-lg border border-gray-300 dark:border-dark-600 hover:bg-gray-50 dark:hover:bg-dark-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronRight className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                </button>
+              </div>
+            </div>
+          )}
+
+          {complaints.length === 0 && (
             <div className="text-center py-12">
               <div className="w-24 h-24 bg-gray-100 dark:bg-dark-700 rounded-full flex items-center justify-center mx-auto mb-4">
                 <FileText className="w-12 h-12 text-gray-400" />
@@ -485,6 +979,48 @@ const AdminDashboard = () => {
           )}
         </motion.div>
       </div>
+
+      {/* Detail drawer for the selected complaint */}
+      {selectedComplaintId && (
+        <ComplaintDrawer
+          complaintId={selectedComplaintId}
+          onClose={closeDrawer}
+          onUpdated={handleComplaintUpdated}
+        />
+      )}
+
+      {/* Comment thread for the selected complaint */}
+      {discussionComplaint && (
+        <div
+          className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+          onClick={() => setDiscussionComplaint(null)}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="card dark:card-dark w-full max-w-lg max-h-[80vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Comments
+                </h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {discussionComplaint.title}
+                </p>
+              </div>
+              <button
+                onClick={() => setDiscussionComplaint(null)}
+                className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+              >
+                <X className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+            <CommentThread complaintId={discussionComplaint.id} />
+          </motion.div>
+        </div>
+      )}
     </div>
   );
 };
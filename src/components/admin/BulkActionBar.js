@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { X, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { bulkUpdateComplaints, mergeComplaints } from '../../services/complaintService';
+import { listStaffProfiles } from '../../services/userService';
+import { ROLES } from '../../constants/roles';
+import { DEPARTMENTS } from '../../constants/departments';
+import { PRIORITIES, getPriorityLabel } from '../../constants/priorities';
+import { STATUSES, getStaffTransitions, getStatusLabel } from '../../constants/statuses';
+
+const selectClassName = 'px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+
+// Actions for the rows ticked in the admin complaints table. Failed rows are
+// listed with the reason and stay selected so they can be retried.
+const BulkActionBar = ({ selectedComplaints, onApplied, onClear }) => {
+  const { user } = useAuth();
+  const [action, setAction] = useState('status');
+  const [value, setValue] = useState('');
+  const [staff, setStaff] = useState([]);
+  const [applying, setApplying] = useState(false);
+  const [failures, setFailures] = useState([]);
+
+  useEffect(() => {
+    listStaffProfiles()
+      .then(setStaff)
+      .catch(() => toast.error('Failed to load officers'));
+  }, []);
+
+  // Statuses at least one selected complaint can move to. Duplicates need an
+  // original, so they go through their own action.
+  const statusOptions = [...new Set(
+    selectedComplaints.flatMap(complaint => getStaffTransitions(complaint.status))
+  )].filter(status => status !== STATUSES.DUPLICATE);
+
+  // Super admins, plus officers of the department every selected complaint
+  // is in. Anyone else would be rejected row by row.
+  const departments = new Set(selectedComplaints.map(complaint => complaint.department));
+  const assignees = staff.filter(person =>
+    person.role === ROLES.SUPER_ADMIN || (departments.size === 1 && departments.has(person.department))
+  );
+
+  const options = {
+    status: statusOptions.map(status => ({ value: status, label: getStatusLabel(status) })),
+    priority: PRIORITIES.map(priority => ({ value: priority, label: getPriorityLabel(priority) })),
+    department: DEPARTMENTS.map(department => ({ value: department, label: department })),
+    assigned_to: assignees.map(person => ({
+      value: person.id,
+      label: `${person.name}${person.department ? ` (${person.department})` : ''}`
+    })),
+    duplicate_of: selectedComplaints.map(complaint => ({
+      value: complaint.id,
+      label: `Original: ${complaint.title}`
+    }))
+  };
+
+  const actions = [
+    { value: 'status', label: 'Change status' },
+    { value: 'priority', label: 'Change priority' },
+    // Officers can't move complaints out of their department
+    ...(user?.role === ROLES.SUPER_ADMIN ? [{ value: 'department', label: 'Move to department' }] : []),
+    { value: 'assigned_to', label: 'Assign to officer' },
+    { value: 'duplicate_of', label: 'Merge duplicates into' }
+  ];
+
+  const handleActionChange = (e) => {
+    setAction(e.target.value);
+    setValue('');
+  };
+
+  const handleApply = async () => {
+    if (!value) {
+      toast.error('Choose a value to apply');
+      return;
+    }
+
+    let ids = selectedComplaints.map(complaint => complaint.id);
+    if (action === 'duplicate_of') {
+      ids = ids.filter(id => id !== value);
+      if (ids.length === 0) {
+        toast.error('Select the duplicates as well as the original');
+        return;
+      }
+    }
+
+    setApplying(true);
+    try {
+      // Merging also moves the duplicates' reporters over as supporters
+      const result = action === 'duplicate_of'
+        ? await mergeComplaints(value, ids)
+        : await bulkUpdateComplaints(ids, { [action]: value });
+      setFailures(result.failed.map(failure => ({
+        ...failure,
+        title: selectedComplaints.find(complaint => complaint.id === failure.id)?.title || failure.id
+      })));
+
+      if (result.failed.length === 0) {
+        toast.success(`Updated ${result.updated.length} complaint${result.updated.length === 1 ? '' : 's'}`);
+      } else {
+        toast.error(`Updated ${result.updated.length}, ${result.failed.length} failed`);
+      }
+      setValue('');
+      onApplied(result);
+    } catch (error) {
+      toast.error(error.message || 'Bulk update failed');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-4 p-4 rounded-lg border border-primary-200 dark:border-primary-800 bg-primary-50 dark:bg-primary-900/20"
+    >
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <span className="text-sm font-medium text-gray-900 dark:text-white">
+          {selectedComplaints.length} selected
+        </span>
+        <select value={action} onChange={handleActionChange} className={selectClassName}>
+          {actions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={value} onChange={(e) => setValue(e.target.value)} className={`${selectClassName} md:flex-1`}>
+          <option value="">Choose...</option>
+          {options[action].map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleApply}
+          disabled={applying || !value}
+          className="btn-primary text-sm disabled:opacity-50"
+        >
+          {applying ? 'Applying...' : 'Apply'}
+        </button>
+        <button
+          onClick={onClear}
+          title="Clear selection"
+          className="p-2 rounded-lg hover:bg-white dark:hover:bg-dark-700 transition-colors"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {failures.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-primary-200 dark:border-primary-800">
+          <p className="flex items-center space-x-2 text-sm font-medium text-red-600 mb-2">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{failures.length} complaint{failures.length === 1 ? ' was' : 's were'} not updated</span>
+          </p>
+          <ul className="space-y-1">
+            {failures.map(failure => (
+              <li key={failure.id} className="text-sm text-gray-700 dark:text-gray-300">
+                <span className="font-medium">{failure.title}</span>: {failure.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,537 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  MapPin,
+  Calendar,
+  Brain,
+  Camera,
+  ExternalLink,
+  Save,
+  History,
+  Copy,
+  GitMerge,
+  ThumbsUp,
+  Gauge,
+  Timer,
+  ChevronsUp
+} from 'lucide-react';
+import { MapContainer, TileLayer, CircleMarker } from 'react-leaflet';
+import { format, formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import {
+  getComplaintById,
+  getComplaintEvents,
+  updateComplaintStatus,
+  getDuplicateCandidates,
+  getMergedComplaints,
+  mergeComplaints,
+  getPriorityBreakdown
+} from '../../services/complaintService';
+import { listStaffProfiles } from '../../services/userService';
+import { ROLES, ROLE_LABELS, ESCALATION_LEVEL_LABELS } from '../../constants/roles';
+import { PRIORITIES, getPriorityLabel } from '../../constants/priorities';
+import {
+  getStaffTransitions,
+  getStatusColor,
+  getStatusLabel,
+  isOpenStatus
+} from '../../constants/statuses';
+
+// Editable fields, as the form holds them
+const toForm = (row) => ({
+  status: row.status,
+  priority: row.priority,
+  assigned_to: row.assigned_to || '',
+  admin_notes: row.admin_notes || ''
+});
+
+// One line of history per complaint_events row
+const describeEvent = (event) => {
+  switch (event.event_type) {
+    case 'created':
+      return 'Complaint filed';
+    case 'status_changed':
+      return event.from_status
+        ? `${getStatusLabel(event.from_status)} → ${getStatusLabel(event.to_status)}`
+        : `Status set to ${getStatusLabel(event.to_status)}`;
+    case 'assigned':
+      return event.metadata?.assigned_to ? `Assigned to ${event.message || 'an officer'}` : 'Unassigned';
+    case 'escalated':
+      return `Escalated to ${ESCALATION_LEVEL_LABELS[event.metadata?.to_level] || 'the next level'}: ${event.message || 'nobody'}`;
+    case 'note':
+      return `Note: ${event.message}`;
+    default:
+      return 'Comment added';
+  }
+};
+
+// Side panel for reviewing and working a single complaint from the admin dashboard
+const ComplaintDrawer = ({ complaintId, onClose, onUpdated }) => {
+  const [complaint, setComplaint] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [merged, setMerged] = useState([]);
+  const [mergingId, setMergingId] = useState(null);
+  const [score, setScore] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setEvents(await getComplaintEvents(complaintId));
+    } catch (error) {
+      toast.error('Failed to load complaint history');
+    }
+  }, [complaintId]);
+
+  const loadScore = useCallback(async () => {
+    try {
+      setScore(await getPriorityBreakdown(complaintId));
+    } catch (error) {
+      toast.error('Failed to load priority score');
+    }
+  }, [complaintId]);
+
+  const loadDuplicates = useCallback(async () => {
+    try {
+      const [candidateRows, mergedRows] = await Promise.all([
+        getDuplicateCandidates(complaintId),
+        getMergedComplaints(complaintId)
+      ]);
+      setCandidates(candidateRows);
+      setMerged(mergedRows);
+    } catch (error) {
+      toast.error('Failed to load possible duplicates');
+    }
+  }, [complaintId]);
+
+  useEffect(() => {
+    const loadComplaint = async () => {
+      setLoading(true);
+      try {
+        const row = await getComplaintById(complaintId);
+        setComplaint(row);
+        setForm(toForm(row));
+      } catch (error) {
+        toast.error(error.message || 'Failed to load complaint');
+        onClose();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadComplaint();
+    loadEvents();
+    loadDuplicates();
+    loadScore();
+  }, [complaintId, loadEvents, loadDuplicates, loadScore, onClose]);
+
+  useEffect(() => {
+    listStaffProfiles()
+      .then(setStaff)
+      .catch(() => toast.error('Failed to load officers'));
+  }, []);
+
+  const handleChange = (field) => (e) => {
+    const { value } = e.target;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const original = toForm(complaint);
+    const changes = {};
+    Object.keys(form).forEach(field => {
+      if (form[field] !== original[field]) {
+        changes[field] = form[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      toast('Nothing to save');
+      return;
+    }
+    if ('assigned_to' in changes) {
+      changes.assigned_to = changes.assigned_to || null;
+    }
+
+    setSaving(true);
+    try {
+      const updated = await updateComplaintStatus(complaint.id, changes);
+      setComplaint(updated);
+      setForm(toForm(updated));
+      loadEvents();
+      loadScore();
+      onUpdated?.(updated);
+      toast.success('Complaint updated');
+    } catch (error) {
+      toast.error(error.message || 'Failed to update complaint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Closes candidateId as a duplicate of this complaint
+  const handleMerge = async (candidateId) => {
+    setMergingId(candidateId);
+    try {
+      const result = await mergeComplaints(complaint.id, [candidateId]);
+      if (result.failed.length > 0) {
+        throw new Error(result.failed[0].error);
+      }
+      // The merged reporters now count as supporters
+      const updated = await getComplaintById(complaint.id);
+      setComplaint(updated);
+      loadDuplicates();
+      loadEvents();
+      loadScore();
+      onUpdated?.(updated);
+      toast.success('Merged into this complaint');
+    } catch (error) {
+      toast.error(error.message || 'Failed to merge complaint');
+    } finally {
+      setMergingId(null);
+    }
+  };
+
+  // Officers of the complaint's department, plus super admins
+  const assignees = complaint
+    ? staff.filter(person => person.role === ROLES.SUPER_ADMIN || person.department === complaint.department)
+    : [];
+
+  const prediction = complaint?.ai_prediction?.predictedClass
+    ? {
+        className: complaint.ai_prediction.predictedClass,
+        probability: Number(complaint.ai_prediction.confidence ?? complaint.ai_confidence ?? 0)
+      }
+    : null;
+  const latitude = Number(complaint?.latitude);
+  const longitude = Number(complaint?.longitude);
+  const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude) && (latitude !== 0 || longitude !== 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex justify-end z-50" onClick={onClose}>
+      <motion.div
+        initial={{ x: '100%' }}
+        animate={{ x: 0 }}
+        transition={{ type: 'tween', duration: 0.2 }}
+        className="h-full w-full max-w-xl bg-white dark:bg-dark-800 shadow-xl overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="sticky top-0 z-10 flex items-start justify-between p-6 border-b border-gray-200 dark:border-dark-700 bg-white dark:bg-dark-800">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+              {complaint ? `${complaint.category} - ${complaint.address?.split(',')[0] || 'Location'}` : 'Complaint'}
+            </h3>
+            {complaint && (
+              <div className="flex items-center space-x-2 mt-1">
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
+                  {getStatusLabel(complaint.status).toUpperCase()}
+                </span>
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {complaint.department}
+                </span>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        {loading || !complaint ? (
+          <div className="flex justify-center py-16">
+            <div className="w-8 h-8 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            {/* Photo and AI prediction */}
+            <div>
+              {complaint.image_url ? (
+                <img
+                  src={complaint.image_url}
+                  alt={complaint.category}
+                  className="w-full h-56 object-cover rounded-lg"
+                />
+              ) : (
+                <div className="w-full h-32 rounded-lg bg-gray-100 dark:bg-dark-700 flex flex-col items-center justify-center text-gray-400">
+                  <Camera className="w-8 h-8 mb-1" />
+                  <span className="text-sm">No photo attached</span>
+                </div>
+              )}
+              {prediction && (
+                <div className="flex items-center space-x-2 mt-3 text-sm text-gray-700 dark:text-gray-300">
+                  <Brain className="w-4 h-4 text-primary-600" />
+                  <span>
+                    AI Detection: {prediction.className} ({Math.round(prediction.probability * 100)}% confidence)
+                  </span>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <p className="text-gray-700 dark:text-gray-300">{complaint.description}</p>
+              <div className="mt-3 space-y-1 text-sm text-gray-500 dark:text-gray-400">
+                <div className="flex items-center space-x-2">
+                  <MapPin className="w-4 h-4" />
+                  <span>{complaint.address}</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Calendar className="w-4 h-4" />
+                  <span>Filed {format(new Date(complaint.created_at), 'MMM dd, yyyy HH:mm')}</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <ThumbsUp className="w-4 h-4" />
+                  <span>
+                    {complaint.supporter_count === 1
+                      ? '1 citizen says this affects them too'
+                      : `${complaint.supporter_count || 0} citizens say this affects them too`}
+                  </span>
+                </div>
+                {/* SLA deadlines from 0022_complaint_slas.sql */}
+                {complaint.resolve_due_at && (
+                  <div className={`flex items-center space-x-2 ${complaint.sla_breached_at ? 'text-red-600 dark:text-red-400' : ''}`}>
+                    <Timer className="w-4 h-4" />
+                    <span>
+                      {!complaint.acknowledged_at && isOpenStatus(complaint.status) && complaint.acknowledge_due_at
+                        ? `Acknowledge by ${format(new Date(complaint.acknowledge_due_at), 'MMM dd, yyyy HH:mm')} · `
+                        : ''}
+                      Resolve by {format(new Date(complaint.resolve_due_at), 'MMM dd, yyyy HH:mm')}
+                      {complaint.sla_breached_at &&
+                        ` · SLA breached ${formatDistanceToNow(new Date(complaint.sla_breached_at), { addSuffix: true })}`}
+                    </span>
+                  </div>
+                )}
+                {complaint.escalation_level > 0 && (
+                  <div className="flex items-center space-x-2 text-orange-600 dark:text-orange-400">
+                    <ChevronsUp className="w-4 h-4" />
+                    <span>
+                      Escalated to the {ESCALATION_LEVEL_LABELS[complaint.escalation_level].toLowerCase()}{' '}
+                      {formatDistanceToNow(new Date(complaint.escalated_at), { addSuffix: true })}
+                    </span>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Automatic priority */}
+            {score && (
+              <div>
+                <h4 className="flex items-center space-x-2 text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                  <Gauge className="w-4 h-4" />
+                  <span>Priority score: {score.score}/100 · {getPriorityLabel(score.priority)}</span>
+                </h4>
+                <ul className="space-y-1 text-sm">
+                  {score.factors.map(factor => (
+                    <li key={factor.factor} className="flex justify-between space-x-3">
+                      <span className="text-gray-700 dark:text-gray-300">
+                        {factor.label}
+                        <span className="text-gray-500 dark:text-gray-400"> · {factor.detail}</span>
+                      </span>
+                      <span className={`flex-shrink-0 font-medium ${factor.points > 0 ? 'text-gray-900 dark:text-white' : 'text-gray-400'}`}>
+                        +{factor.points}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {score.priority !== complaint.priority && (
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    The priority field below is set to {getPriorityLabel(complaint.priority)}.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Location */}
+            {hasLocation && (
+              <div>
+                <div className="h-48 rounded-lg overflow-hidden">
+                  <MapContainer
+                    center={[latitude, longitude]}
+                    zoom={16}
+                    scrollWheelZoom={false}
+                    style={{ height: '100%', width: '100%' }}
+                  >
+                    <TileLayer
+                      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                    />
+                    <CircleMarker
+                      center={[latitude, longitude]}
+                      radius={10}
+                      pathOptions={{ color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.6 }}
+                    />
+                  </MapContainer>
+                </div>
+                <a
+                  href={`https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=18/${latitude}/${longitude}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center space-x-1 mt-2 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <ExternalLink className="w-3 h-3" />
+                  <span>Open in OpenStreetMap</span>
+                </a>
+              </div>
+            )}
+
+            {/* Editing */}
+            <div className="space-y-4 pt-6 border-t border-gray-200 dark:border-dark-700">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={form.status}
+                    onChange={handleChange('status')}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    {[complaint.status, ...getStaffTransitions(complaint.status)].map(status => (
+                      <option key={status} value={status}>{getStatusLabel(status)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Priority
+                  </label>
+                  <select
+                    value={form.priority}
+                    onChange={handleChange('priority')}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    {PRIORITIES.map(priority => (
+                      <option key={priority} value={priority}>{getPriorityLabel(priority)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Assigned to
+                </label>
+                <select
+                  value={form.assigned_to}
+                  onChange={handleChange('assigned_to')}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Unassigned</option>
+                  {assignees.map(person => (
+                    <option key={person.id} value={person.id}>
+                      {person.name} · {ROLE_LABELS[person.role]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Admin notes
+                </label>
+                <textarea
+                  value={form.admin_notes}
+                  onChange={handleChange('admin_notes')}
+                  rows={3}
+                  placeholder="Visible in the complaint history"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none"
+                />
+              </div>
+
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="btn-primary w-full flex items-center justify-center space-x-2 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{saving ? 'Saving...' : 'Save Changes'}</span>
+              </button>
+            </div>
+
+            {/* Duplicates */}
+            {(candidates.length > 0 || merged.length > 0) && (
+              <div className="pt-6 border-t border-gray-200 dark:border-dark-700 space-y-4">
+                {candidates.length > 0 && (
+                  <div>
+                    <h4 className="flex items-center space-x-2 text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                      <Copy className="w-4 h-4" />
+                      <span>Possible duplicates</span>
+                    </h4>
+                    <ul className="space-y-3">
+                      {candidates.map(candidate => (
+                        <li key={candidate.id} className="flex items-center justify-between space-x-3 text-sm">
+                          <div className="min-w-0">
+                            <p className="text-gray-900 dark:text-white truncate">{candidate.description}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                              {getStatusLabel(candidate.status)} · {candidate.address?.split(',')[0]} · {formatDistanceToNow(new Date(candidate.created_at), { addSuffix: true })}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleMerge(candidate.id)}
+                            disabled={Boolean(mergingId)}
+                            className="btn-secondary text-xs px-3 py-1.5 flex-shrink-0 disabled:opacity-50"
+                          >
+                            {mergingId === candidate.id ? 'Merging...' : 'Merge here'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {merged.length > 0 && (
+                  <div>
+                    <h4 className="flex items-center space-x-2 text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                      <GitMerge className="w-4 h-4" />
+                      <span>Merged reports ({merged.length})</span>
+                    </h4>
+                    <ul className="space-y-3">
+                      {merged.map(report => (
+                        <li key={report.id} className="text-sm">
+                          <p className="text-gray-900 dark:text-white truncate">{report.description}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {report.address?.split(',')[0]} · {formatDistanceToNow(new Date(report.created_at), { addSuffix: true })}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* History */}
+            <div className="pt-6 border-t border-gray-200 dark:border-dark-700">
+              <h4 className="flex items-center space-x-2 text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3">
+                <History className="w-4 h-4" />
+                <span>History</span>
+              </h4>
+              {events.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No history yet.</p>
+              ) : (
+                <ol className="space-y-3">
+                  {[...events].reverse().map(event => (
+                    <li key={event.id} className="text-sm">
+                      <p className="text-gray-900 dark:text-white">{describeEvent(event)}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {event.actor_name || 'System'} · {formatDistanceToNow(new Date(event.created_at), { addSuffix: true })}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default ComplaintDrawer;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Filter, Calendar, ChevronDown, Clock, Square, X } from 'lucide-react';
+import { CATEGORIES, DEPARTMENTS } from '../../constants/departments';
+import { PRIORITIES, getPriorityLabel } from '../../constants/priorities';
+import { STATUS_ORDER, getStatusLabel } from '../../constants/statuses';
+import { countActiveFilters } from './complaintViewParams';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+
+// Dropdown of checkboxes. An empty selection means "all".
+const MultiSelect = ({ label, options, selected, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggle = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value]);
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(current => !current)}
+        className={`${inputClassName} flex items-center space-x-2`}
+      >
+        <span>
+          {selected.length === 0 ? `All ${label}` : selected.length === 1
+            ? options.find(option => option.value === selected[0])?.label
+            : `${selected.length} ${label}`}
+        </span>
+        <ChevronDown className="w-4 h-4 text-gray-400" />
+      </button>
+      {open && (
+        <div className="absolute left-0 mt-2 w-56 max-h-64 overflow-y-auto rounded-lg shadow-lg bg-white dark:bg-dark-700 border border-gray-200 dark:border-dark-600 z-[1000] py-1">
+          {options.map(option => (
+            <label
+              key={option.value}
+              className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-dark-600 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={() => toggle(option.value)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>{option.label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DateRange = ({ title, from, to, onChange }) => (
+  <div className="flex items-center space-x-2">
+    <Calendar className="w-4 h-4 text-gray-400" />
+    <span className="text-sm text-gray-500 dark:text-gray-400">{title}</span>
+    <input
+      type="date"
+      value={from || ''}
+      max={to || undefined}
+      onChange={(e) => onChange(e.target.value || undefined, to)}
+      title={`${title} on or after`}
+      className={inputClassName}
+    />
+    <span className="text-gray-400">–</span>
+    <input
+      type="date"
+      value={to || ''}
+      min={from || undefined}
+      onChange={(e) => onChange(from, e.target.value || undefined)}
+      title={`${title} on or before`}
+      className={inputClassName}
+    />
+  </div>
+);
+
+// Filters for the admin complaints table. onChange receives only the
+// filters that changed. The map area itself is drawn on the dashboard map.
+const ComplaintFilterBar = ({
+  filters,
+  onChange,
+  showDepartments,
+  drawingArea,
+  onToggleDrawArea,
+  onClear
+}) => {
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Filter className="w-4 h-4 text-gray-400" />
+        <select
+          value={filters.status || 'all'}
+          onChange={(e) => onChange({ status: e.target.value === 'all' ? undefined : e.target.value })}
+          className={inputClassName}
+        >
+          <option value="all">All Status</option>
+          {STATUS_ORDER.map(status => (
+            <option key={status} value={status}>{getStatusLabel(status)}</option>
+          ))}
+        </select>
+        <MultiSelect
+          label="Categories"
+          options={CATEGORIES.map(category => ({ value: category, label: category }))}
+          selected={filters.categories}
+          onChange={(categories) => onChange({ categories })}
+        />
+        {/* Officers only ever see their own department */}
+        {showDepartments && (
+          <MultiSelect
+            label="Departments"
+            options={DEPARTMENTS.map(department => ({ value: department, label: department }))}
+            selected={filters.departments}
+            onChange={(departments) => onChange({ departments })}
+          />
+        )}
+        <MultiSelect
+          label="Priorities"
+          options={PRIORITIES.map(priority => ({ value: priority, label: getPriorityLabel(priority) }))}
+          selected={filters.priorities}
+          onChange={(priorities) => onChange({ priorities })}
+        />
+        <div className="flex items-center space-x-2">
+          <Clock className="w-4 h-4 text-gray-400" />
+          <input
+            type="number"
+            min="1"
+            placeholder="Open > days"
+            value={filters.olderThanDays || ''}
+            onChange={(e) => {
+              const days = parseInt(e.target.value, 10);
+              onChange({ olderThanDays: days > 0 ? days : undefined });
+            }}
+            title="Unresolved for more than this many days"
+            className={`${inputClassName} w-32`}
+          />
+        </div>
+        <label
+          title="Open and past an acknowledgement or resolution deadline"
+          className={`${inputClassName} flex items-center space-x-2 cursor-pointer`}
+        >
+          <input
+            type="checkbox"
+            checked={Boolean(filters.overdue)}
+            onChange={(e) => onChange({ overdue: e.target.checked || undefined })}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          <span>Overdue only</span>
+        </label>
+        {filters.area ? (
+          <span className="inline-flex items-center space-x-1 px-3 py-2 rounded-lg bg-primary-50 dark:bg-primary-900/30 text-sm text-primary-700 dark:text-primary-300">
+            <Square className="w-4 h-4" />
+            <span>Map area</span>
+            <button
+              type="button"
+              onClick={() => onChange({ area: undefined })}
+              title="Remove the map area"
+              className="p-0.5 rounded hover:bg-primary-100 dark:hover:bg-primary-900/50"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ) : (
+          <button
+            type="button"
+            onClick={onToggleDrawArea}
+            className={`${inputClassName} flex items-center space-x-2 ${drawingArea ? 'ring-2 ring-primary-500' : ''}`}
+          >
+            <Square className="w-4 h-4" />
+            <span>{drawingArea ? 'Click two corners on the map...' : 'Draw area on map'}</span>
+          </button>
+        )}
+        {activeCount > 0 && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            Clear filters ({activeCount})
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4">
+        <DateRange
+          title="Filed"
+          from={filters.createdFrom}
+          to={filters.createdTo}
+          onChange={(createdFrom, createdTo) => onChange({ createdFrom, createdTo })}
+        />
+        <DateRange
+          title="Resolved"
+          from={filters.resolvedFrom}
+          to={filters.resolvedTo}
+          onChange={(resolvedFrom, resolvedTo) => onChange({ resolvedFrom, resolvedTo })}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ComplaintFilterBar;
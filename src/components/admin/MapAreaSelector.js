@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Rectangle, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+
+const areaToBounds = (area) => [[area.south, area.west], [area.north, area.east]];
+
+// Goes inside a MapContainer. Shows the selected area and, while drawing is
+// on, lets the user click two opposite corners of a new one.
+const MapAreaSelector = ({ area, drawing, onDrawn }) => {
+  const [corner, setCorner] = useState(null);
+  const [pointer, setPointer] = useState(null);
+
+  useEffect(() => {
+    if (!drawing) setCorner(null);
+  }, [drawing]);
+
+  const map = useMapEvents({
+    click(e) {
+      if (!drawing) return;
+      if (!corner) {
+        setCorner(e.latlng);
+        return;
+      }
+
+      const bounds = L.latLngBounds(corner, e.latlng);
+      setCorner(null);
+      onDrawn({
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast()
+      });
+    },
+    mousemove(e) {
+      if (corner) setPointer(e.latlng);
+    }
+  });
+
+  // A crosshair makes it clear the next click draws rather than pans
+  useEffect(() => {
+    const container = map.getContainer();
+    container.style.cursor = drawing ? 'crosshair' : '';
+    return () => {
+      container.style.cursor = '';
+    };
+  }, [map, drawing]);
+
+  if (corner && pointer) {
+    return (
+      <Rectangle
+        bounds={L.latLngBounds(corner, pointer)}
+        pathOptions={{ color: '#48bb78', dashArray: '6 4', weight: 2 }}
+      />
+    );
+  }
+  if (area) {
+    return (
+      <Rectangle
+        bounds={areaToBounds(area)}
+        pathOptions={{ color: '#48bb78', weight: 2, fillOpacity: 0.05 }}
+      />
+    );
+  }
+  return null;
+};
+
+export default MapAreaSelector;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Timer, Save, Trash2, Plus } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { format } from 'date-fns';
+import {
+  listSlaPolicies,
+  saveSlaPolicy,
+  deleteSlaPolicy
+} from '../../services/slaService';
+import { DEPARTMENTS, DEPARTMENT_MAPPING, CATEGORIES } from '../../constants/departments';
+import toast from 'react-hot-toast';
+
+const EMPTY_POLICY = { department: '', category: '', acknowledgeHours: '24', resolveHours: '72' };
+
+const inputClass = 'px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm disabled:opacity-50';
+const headerClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider';
+
+// Whole hours above zero, as the sla_policies check constraints require
+const parseHours = (value) => {
+  const hours = Number(value);
+  return Number.isInteger(hours) && hours > 0 ? hours : null;
+};
+
+const SlaPolicies = () => {
+  const { isDark, toggleTheme } = useTheme();
+  const navigate = useNavigate();
+
+  const [policies, setPolicies] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [newPolicy, setNewPolicy] = useState(EMPTY_POLICY);
+  const [savingId, setSavingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadPolicies = async () => {
+      try {
+        setPolicies(await listSlaPolicies());
+      } catch (error) {
+        toast.error('Failed to load SLA policies');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPolicies();
+  }, []);
+
+  const getDraft = (policy) => drafts[policy.id] || {
+    acknowledgeHours: String(policy.acknowledge_hours),
+    resolveHours: String(policy.resolve_hours)
+  };
+
+  const updateDraft = (policy, changes) => {
+    setDrafts(prev => ({
+      ...prev,
+      [policy.id]: { ...getDraft(policy), ...changes }
+    }));
+  };
+
+  const clearDraft = (policyId) => {
+    setDrafts(prev => {
+      const { [policyId]: _saved, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const describeScope = (policy) =>
+    `${policy.department} — ${policy.category || 'all other categories'}`;
+
+  const handleSave = async (policy) => {
+    const draft = getDraft(policy);
+    const acknowledgeHours = parseHours(draft.acknowledgeHours);
+    const resolveHours = parseHours(draft.resolveHours);
+    if (!acknowledgeHours || !resolveHours) {
+      toast.error('Enter whole hours above zero');
+      return;
+    }
+
+    setSavingId(policy.id);
+    try {
+      const updated = await saveSlaPolicy({ id: policy.id, acknowledgeHours, resolveHours });
+      setPolicies(prev => prev.map(p => (p.id === policy.id ? updated : p)));
+      clearDraft(policy.id);
+      toast.success(`Updated ${describeScope(policy)}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save SLA policy');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Remove the SLA for ${describeScope(policy)}?`)) return;
+
+    setSavingId(policy.id);
+    try {
+      await deleteSlaPolicy(policy.id);
+      setPolicies(prev => prev.filter(p => p.id !== policy.id));
+      clearDraft(policy.id);
+      toast.success(`Removed ${describeScope(policy)}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove SLA policy');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    const acknowledgeHours = parseHours(newPolicy.acknowledgeHours);
+    const resolveHours = parseHours(newPolicy.resolveHours);
+    if (!newPolicy.department) {
+      toast.error('Select a department');
+      return;
+    }
+    if (!acknowledgeHours || !resolveHours) {
+      toast.error('Enter whole hours above zero');
+      return;
+    }
+
+    setSavingId('new');
+    try {
+      const added = await saveSlaPolicy({
+        department: newPolicy.department,
+        category: newPolicy.category || null,
+        acknowledgeHours,
+        resolveHours
+      });
+      setPolicies(prev => [...prev, added].sort((a, b) =>
+        a.department.localeCompare(b.department) ||
+        (a.category || '').localeCompare(b.category || '')
+      ));
+      setNewPolicy(EMPTY_POLICY);
+      toast.success(`Added ${describeScope(added)}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to add SLA policy');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const departmentCategories = CATEGORIES.filter(
+    category => DEPARTMENT_MAPPING[category] === newPolicy.department
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-dark-800 shadow-sm border-b border-gray-200 dark:border-dark-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={() => navigate('/admin')}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </button>
+              <div>
+                <h1 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  SLA Policies
+                </h1>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Hours each department has to acknowledge and resolve a complaint
+                </p>
+              </div>
+            </div>
+
+            <button
+              onClick={toggleTheme}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+            >
+              {isDark ? '☀️' : '🌙'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <motion.p
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-6 text-sm text-gray-600 dark:text-gray-400"
+        >
+          A category's policy wins over the department-wide one. Changes apply to
+          complaints filed afterwards; complaints already filed keep their deadlines.
+        </motion.p>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card dark:card-dark overflow-hidden"
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 dark:bg-dark-700">
+                <tr>
+                  <th className={headerClass}>Department</th>
+                  <th className={headerClass}>Category</th>
+                  <th className={headerClass}>Acknowledge Within (hours)</th>
+                  <th className={headerClass}>Resolve Within (hours)</th>
+                  <th className={headerClass}>Last Changed</th>
+                  <th className={headerClass}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-dark-800 divide-y divide-gray-200 dark:divide-dark-700">
+                {policies.map((policy) => {
+                  const draft = getDraft(policy);
+                  const isDirty = !!drafts[policy.id];
+
+                  return (
+                    <tr key={policy.id} className="hover:bg-gray-50 dark:hover:bg-dark-700 transition-colors">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                        {policy.department}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {policy.category || 'All other categories'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={draft.acknowledgeHours}
+                          onChange={(e) => updateDraft(policy, { acknowledgeHours: e.target.value })}
+                          className={`${inputClass} w-24`}
+                        />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={draft.resolveHours}
+                          onChange={(e) => updateDraft(policy, { resolveHours: e.target.value })}
+                          className={`${inputClass} w-24`}
+                        />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {policy.updated_at ? format(new Date(policy.updated_at), 'MMM dd, yyyy') : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => handleSave(policy)}
+                            disabled={!isDirty || savingId === policy.id}
+                            className="btn-primary text-sm flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            <Save className="w-4 h-4" />
+                            <span>{savingId === policy.id ? 'Saving...' : 'Save'}</span>
+                          </button>
+                          <button
+                            onClick={() => handleDelete(policy)}
+                            disabled={savingId === policy.id}
+                            title="Remove this policy"
+                            className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-50"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+
+                {/* New policy */}
+                <tr className="bg-gray-50 dark:bg-dark-700/50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <select
+                      value={newPolicy.department}
+                      onChange={(e) => setNewPolicy(prev => ({ ...prev, department: e.target.value, category: '' }))}
+                      className={inputClass}
+                    >
+                      <option value="">Select Department</option>
+                      {DEPARTMENTS.map(department => (
+                        <option key={department} value={department}>{department}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <select
+                      value={newPolicy.category}
+                      disabled={!newPolicy.department}
+                      onChange={(e) => setNewPolicy(prev => ({ ...prev, category: e.target.value }))}
+                      className={inputClass}
+                    >
+                      <option value="">All other categories</option>
+                      {departmentCategories.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={newPolicy.acknowledgeHours}
+                      onChange={(e) => setNewPolicy(prev => ({ ...prev, acknowledgeHours: e.target.value }))}
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={newPolicy.resolveHours}
+                      onChange={(e) => setNewPolicy(prev => ({ ...prev, resolveHours: e.target.value }))}
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                  <td className="px-6 py-4" />
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <button
+                      onClick={handleAdd}
+                      disabled={savingId === 'new'}
+                      className="btn-primary text-sm flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Plus className="w-4 h-4" />
+                      <span>{savingId === 'new' ? 'Adding...' : 'Add'}</span>
+                    </button>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && policies.length === 0 && (
+            <div className="text-center py-12">
+              <div className="w-24 h-24 bg-gray-100 dark:bg-dark-700 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Timer className="w-12 h-12 text-gray-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+                No SLA policies yet
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Complaints get no deadlines until their department has one
+              </p>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default SlaPolicies;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Search, Shield, Save } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { format } from 'date-fns';
+import { listProfiles, setUserRole } from '../../services/userService';
+import {
+  ROLES,
+  ROLE_LABELS,
+  ROLE_STAFF_LEVELS,
+  STAFF_LEVEL_LABELS
+} from '../../constants/roles';
+import { DEPARTMENTS } from '../../constants/departments';
+import toast from 'react-hot-toast';
+
+const UserManagement = () => {
+  const { user } = useAuth();
+  const { isDark, toggleTheme } = useTheme();
+  const navigate = useNavigate();
+
+  const [profiles, setProfiles] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [savingId, setSavingId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        setProfiles(await listProfiles());
+      } catch (error) {
+        toast.error('Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProfiles();
+  }, []);
+
+  const getDraft = (profile) => drafts[profile.id] || {
+    role: profile.role,
+    department: profile.department || '',
+    staffLevel: profile.staff_level || ''
+  };
+
+  const updateDraft = (profile, changes) => {
+    setDrafts(prev => ({
+      ...prev,
+      [profile.id]: { ...getDraft(profile), ...changes }
+    }));
+  };
+
+  const handleSave = async (profile) => {
+    const draft = getDraft(profile);
+    if (draft.role === ROLES.OFFICER && !draft.department) {
+      toast.error('Select a department for the officer');
+      return;
+    }
+
+    setSavingId(profile.id);
+    try {
+      const updated = await setUserRole(
+        profile.id,
+        draft.role,
+        draft.department || null,
+        draft.staffLevel || null
+      );
+      setProfiles(prev => prev.map(p => (p.id === profile.id ? updated : p)));
+      setDrafts(prev => {
+        const { [profile.id]: _saved, ...rest } = prev;
+        return rest;
+      });
+      toast.success(`${profile.name || profile.email} is now ${ROLE_LABELS[updated.role]}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update role');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const filteredProfiles = profiles.filter(profile => {
+    const query = searchQuery.toLowerCase();
+    return (profile.name || '').toLowerCase().includes(query) ||
+           (profile.email || '').toLowerCase().includes(query);
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-dark-800 shadow-sm border-b border-gray-200 dark:border-dark-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={() => navigate('/admin')}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </button>
+              <div>
+                <h1 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  User Roles
+                </h1>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Grant officer and super admin access
+                </p>
+              </div>
+            </div>
+
+            <button
+              onClick={toggleTheme}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+            >
+              {isDark ? '☀️' : '🌙'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-6"
+        >
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by name or email..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card dark:card-dark overflow-hidden"
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 dark:bg-dark-700">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    User
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Role
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Department
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Escalation Level
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Joined
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-dark-800 divide-y divide-gray-200 dark:divide-dark-700">
+                {filteredProfiles.map((profile) => {
+                  const draft = getDraft(profile);
+                  const isDirty = !!drafts[profile.id];
+                  const isSelf = profile.id === user?.id;
+
+                  return (
+                    <tr key={profile.id} className="hover:bg-gray-50 dark:hover:bg-dark-700 transition-colors">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900 dark:text-white">
+                          {profile.name || 'Unnamed user'}
+                        </div>
+                        <div className="text-sm text-gray-500 dark:text-gray-400">
+                          {profile.email}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={draft.role}
+                          disabled={isSelf}
+                          onChange={(e) => updateDraft(profile, { role: e.target.value, staffLevel: '' })}
+                          className="px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+                        >
+                          {Object.values(ROLES).map(role => (
+                            <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={draft.department}
+                          disabled={draft.role !== ROLES.OFFICER}
+                          onChange={(e) => updateDraft(profile, { department: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+                        >
+                          <option value="">
+                            {draft.role === ROLES.OFFICER ? 'Select Department' : 'All departments'}
+                          </option>
+                          {DEPARTMENTS.map(department => (
+                            <option key={department} value={department}>{department}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {/* Overdue complaints escalate to department heads, then the commissioner */}
+                        <select
+                          value={draft.staffLevel}
+                          disabled={!ROLE_STAFF_LEVELS[draft.role]}
+                          onChange={(e) => updateDraft(profile, { staffLevel: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+                        >
+                          <option value="">
+                            {draft.role === ROLES.OFFICER ? 'Field Officer' : '—'}
+                          </option>
+                          {ROLE_STAFF_LEVELS[draft.role] && (
+                            <option value={ROLE_STAFF_LEVELS[draft.role]}>
+                              {STAFF_LEVEL_LABELS[ROLE_STAFF_LEVELS[draft.role]]}
+                            </option>
+                          )}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {profile.created_at ? format(new Date(profile.created_at), 'MMM dd, yyyy') : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleSave(profile)}
+                          disabled={!isDirty || savingId === profile.id}
+                          className="btn-primary text-sm flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Save className="w-4 h-4" />
+                          <span>{savingId === profile.id ? 'Saving...' : 'Save'}</span>
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && filteredProfiles.length === 0 && (
+            <div className="text-center py-12">
+              <div className="w-24 h-24 bg-gray-100 dark:bg-dark-700 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Shield className="w-12 h-12 text-gray-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+                No users found
+              </h3>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,119 @@
+import { CATEGORIES, DEPARTMENTS } from '../../constants/departments';
+import { PRIORITIES } from '../../constants/priorities';
+import { STATUS_ORDER } from '../../constants/statuses';
+import { COMPLAINT_SORT_FIELDS } from '../../services/complaintService';
+
+// The admin table view (filters, sort and page) lives in the URL so a view
+// can be bookmarked or shared. Lists repeat their key:
+// ?category=Pothole&category=Garbage&older_than=7&overdue=1&area=26.84,80.93,26.86,80.96
+
+export const PAGE_SIZES = [25, 50, 100];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const listParam = (params, key, allowed) =>
+  params.getAll(key).filter(value => allowed.includes(value));
+
+const dateParam = (params, key) => {
+  const value = params.get(key);
+  return DATE_PATTERN.test(value || '') ? value : undefined;
+};
+
+const positiveIntParam = (params, key) => {
+  const value = Number(params.get(key));
+  return Number.isInteger(value) && value > 0 ? value : undefined;
+};
+
+// 'south,west,north,east'
+const areaParam = (params) => {
+  const parts = (params.get('area') || '').split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return undefined;
+
+  const [south, west, north, east] = parts;
+  return south < north && west < east ? { south, west, north, east } : undefined;
+};
+
+/**
+ * Read the admin table view from URL search params. Unknown or malformed
+ * values are dropped. Returns { filters, page, pageSize, sort }.
+ */
+export const parseComplaintView = (params) => {
+  const status = params.get('status');
+  const search = params.get('q')?.trim() || undefined;
+  const sortBy = params.get('sort');
+
+  return {
+    filters: {
+      status: STATUS_ORDER.includes(status) ? status : undefined,
+      categories: listParam(params, 'category', CATEGORIES),
+      departments: listParam(params, 'department', DEPARTMENTS),
+      priorities: listParam(params, 'priority', PRIORITIES),
+      createdFrom: dateParam(params, 'created_from'),
+      createdTo: dateParam(params, 'created_to'),
+      resolvedFrom: dateParam(params, 'resolved_from'),
+      resolvedTo: dateParam(params, 'resolved_to'),
+      olderThanDays: positiveIntParam(params, 'older_than'),
+      overdue: params.get('overdue') === '1' || undefined,
+      area: areaParam(params),
+      search
+    },
+    page: positiveIntParam(params, 'page') || 1,
+    pageSize: PAGE_SIZES.includes(Number(params.get('size'))) ? Number(params.get('size')) : PAGE_SIZES[0],
+    sort: {
+      // Searches default to best match, everything else to newest first
+      by: COMPLAINT_SORT_FIELDS[sortBy] ? sortBy : (search ? 'relevance' : 'created_at'),
+      direction: params.get('dir') === 'asc' ? 'asc' : 'desc'
+    }
+  };
+};
+
+/**
+ * Turn a view back into URL search params, leaving out defaults so shared
+ * links stay short.
+ */
+export const toComplaintViewParams = ({ filters, page, pageSize, sort }) => {
+  const params = new URLSearchParams();
+  const set = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  };
+
+  set('q', filters.search);
+  set('status', filters.status);
+  (filters.categories || []).forEach(category => params.append('category', category));
+  (filters.departments || []).forEach(department => params.append('department', department));
+  (filters.priorities || []).forEach(priority => params.append('priority', priority));
+  set('created_from', filters.createdFrom);
+  set('created_to', filters.createdTo);
+  set('resolved_from', filters.resolvedFrom);
+  set('resolved_to', filters.resolvedTo);
+  set('older_than', filters.olderThanDays);
+  if (filters.overdue) set('overdue', 1);
+  if (filters.area) {
+    const { south, west, north, east } = filters.area;
+    set('area', [south, west, north, east].map(value => value.toFixed(5)).join(','));
+  }
+
+  const defaultSort = filters.search ? 'relevance' : 'created_at';
+  if (sort.by !== defaultSort || sort.direction !== 'desc') {
+    set('sort', sort.by);
+    set('dir', sort.direction);
+  }
+  if (page > 1) set('page', page);
+  if (pageSize !== PAGE_SIZES[0]) set('size', pageSize);
+  return params;
+};
+
+/**
+ * Number of filters in use, not counting the search box.
+ */
+export const countActiveFilters = (filters) => [
+  filters.status,
+  filters.categories?.length,
+  filters.departments?.length,
+  filters.priorities?.length,
+  filters.createdFrom || filters.createdTo,
+  filters.resolvedFrom || filters.resolvedTo,
+  filters.olderThanDays,
+  filters.overdue,
+  filters.area
+].filter(Boolean).length;
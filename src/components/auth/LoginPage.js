@@ -2,22 +2,20 @@ import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
-import { Eye, EyeOff, Mail, Lock, Smartphone, User, Globe } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, Smartphone, Globe } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { getHomePath } from '../../constants/roles';
 import toast from 'react-hot-toast';
 
 const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
-  const [userType, setUserType] = useState('citizen');
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
   const { isDark, toggleTheme } = useTheme();
   const navigate = useNavigate();
   const location = useLocation();
 
-  const from = location.state?.from?.pathname || (userType === 'admin' ? '/admin' : '/citizen');
-
   const {
     register,
     handleSubmit,
@@ -27,8 +25,10 @@ const LoginPage = () => {
   const onSubmit = async (data) => {
     setLoading(true);
     try {
-      const result = await login(data.email, data.password, userType);
+      const result = await login(data.email, data.password);
       if (result.success) {
+        // Land on the page that sent us here, or the dashboard for the stored role
+        const from = location.state?.from?.pathname || getHomePath(result.user.role);
         navigate(from, { replace: true });
       }
     } catch (error) {
@@ -61,41 +61,6 @@ const LoginPage = () => {
           </p>
         </motion.div>
 
-        {/* User Type Selection */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className="mb-6"
-        >
-          <div className="flex bg-gray-100 dark:bg-dark-700 rounded-lg p-1">
-            <button
-              type="button"
-              onClick={() => setUserType('citizen')}
-              className={`flex-1 flex items-center justify-center space-x-2 py-2 px-4 rounded-md transition-all ${
-                userType === 'citizen'
-                  ? 'bg-white dark:bg-dark-600 text-primary-600 shadow-sm'
-                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
-              }`}
-            >
-              <User className="w-4 h-4" />
-              <span className="font-medium">Citizen</span>
-            </button>
-            <button
-              type="button"
-              onClick={() => setUserType('admin')}
-              className={`flex-1 flex items-center justify-center space-x-2 py-2 px-4 rounded-md transition-all ${
-                userType === 'admin'
-                  ? 'bg-white dark:bg-dark-600 text-primary-600 shadow-sm'
-                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
-              }`}
-            >
-              <Smartphone className="w-4 h-4" />
-              <span className="font-medium">Admin</span>
-            </button>
-          </div>
-        </motion.div>
-
         {/* Login Form */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
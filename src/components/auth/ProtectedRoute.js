@@ -1,9 +1,24 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { isStaffRole, getHomePath } from '../../constants/roles';
 import LoadingSpinner from '../common/LoadingSpinner';
 
-const ProtectedRoute = ({ children, userType }) => {
+// Checks the role loaded from the server-side profile, not anything the client chose
+const hasAccess = (role, userType, roles) => {
+  if (roles) {
+    return roles.includes(role);
+  }
+  if (userType === 'admin') {
+    return isStaffRole(role);
+  }
+  if (userType === 'citizen') {
+    return !isStaffRole(role);
+  }
+  return true;
+};
+
+const ProtectedRoute = ({ children, userType, roles }) => {
   const { user, loading } = useAuth();
   const location = useLocation();
 
@@ -16,10 +31,9 @@ const ProtectedRoute = ({ children, userType }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  if (userType && user.userType !== userType) {
-    // Redirect to appropriate dashboard based on user type
-    const redirectPath = user.userType === 'admin' ? '/admin' : '/citizen';
-    return <Navigate to={redirectPath} replace />;
+  if (!hasAccess(user.role, userType, roles)) {
+    // Redirect to the dashboard this role is allowed to use
+    return <Navigate to={getHomePath(user.role)} replace />;
   }
 
   return children;
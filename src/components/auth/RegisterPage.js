@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
-import { Eye, EyeOff, Mail, Lock, User, Phone, Globe, Building } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, User, Phone, Globe } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import toast from 'react-hot-toast';
@@ -10,7 +10,6 @@ import toast from 'react-hot-toast';
 const RegisterPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
-  const [userType, setUserType] = useState('citizen');
   const [loading, setLoading] = useState(false);
   const { register: registerUser } = useAuth();
   const { isDark, toggleTheme } = useTheme();
@@ -29,12 +28,11 @@ const RegisterPage = () => {
     setLoading(true);
     try {
       const { confirmPassword, ...userData } = data;
-      const result = await registerUser({
-        ...userData,
-        userType,
-      });
-      if (result.success) {
-        navigate(userType === 'admin' ? '/admin' : '/citizen');
+      const result = await registerUser(userData);
+      if (result.success && result.needsConfirmation) {
+        navigate('/login');
+      } else if (result.success) {
+        navigate('/citizen');
       }
     } catch (error) {
       toast.error('Registration failed. Please try again.');
@@ -64,41 +62,9 @@ const RegisterPage = () => {
           <p className="text-gray-600 dark:text-gray-400">
             Be part of the change in your city
           </p>
-        </motion.div>
-
-        {/* User Type Selection */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className="mb-6"
-        >
-          <div className="flex bg-gray-100 dark:bg-dark-700 rounded-lg p-1">
-            <button
-              type="button"
-              onClick={() => setUserType('citizen')}
-              className={`flex-1 flex items-center justify-center space-x-2 py-2 px-4 rounded-md transition-all ${
-                userType === 'citizen'
-                  ? 'bg-white dark:bg-dark-600 text-primary-600 shadow-sm'
-                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
-              }`}
-            >
-              <User className="w-4 h-4" />
-              <span className="font-medium">Citizen</span>
-            </button>
-            <button
-              type="button"
-              onClick={() => setUserType('admin')}
-              className={`flex-1 flex items-center justify-center space-x-2 py-2 px-4 rounded-md transition-all ${
-                userType === 'admin'
-                  ? 'bg-white dark:bg-dark-600 text-primary-600 shadow-sm'
-                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
-              }`}
-            >
-              <Building className="w-4 h-4" />
-              <span className="font-medium">Admin</span>
-            </button>
-          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Department staff: register here, then ask your administrator to grant officer access
+          </p>
         </motion.div>
 
         {/* Registration Form */}
@@ -193,38 +159,6 @@ const RegisterPage = () => {
               )}
             </div>
 
-            {/* Department Field (for Admin) */}
-            {userType === 'admin' && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                  Department
-                </label>
-                <div className="relative">
-                  <Building className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-                  <select
-                    {...register('department', {
-                      required: userType === 'admin' ? 'Department is required' : false,
-                    })}
-                    className={`input-field dark:input-field-dark pl-16 ${
-                      errors.department ? 'border-red-500 focus:border-red-500 focus:ring-red-500/20' : ''
-                    }`}
-                    style={{ paddingLeft: '4rem' }}
-                  >
-                    <option value="">Select Department</option>
-                    <option value="road-authority">Road Authority</option>
-                    <option value="sanitation">Sanitation Department</option>
-                    <option value="water-sewage">Water & Sewage Board</option>
-                    <option value="electrical">Electrical Department</option>
-                    <option value="parks-horticulture">Parks & Horticulture</option>
-                    <option value="municipal-corporation">Municipal Corporation</option>
-                  </select>
-                </div>
-                {errors.department && (
-                  <p className="mt-1 text-sm text-red-600">{errors.department.message}</p>
-                )}
-              </div>
-            )}
-
             {/* Password Field */}
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -1,9 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   Camera, 
-  Bell, 
   User, 
   MapPin, 
   Clock, 
@@ -20,7 +19,20 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { format } from 'date-fns';
-import { getUserComplaints, getComplaintStats } from '../../services/complaintService';
+import {
+  getUserComplaints,
+  getComplaintStats,
+  subscribeToComplaints
+} from '../../services/complaintService';
+import {
+  STATUS_STAGES,
+  getStatusColor,
+  getStatusLabel,
+  getStatusProgress,
+  getStatusStage
+} from '../../constants/statuses';
+import NotificationBell from '../common/NotificationBell';
+import PushPrompt from './PushPrompt';
 import toast from 'react-hot-toast';
 
 const CitizenDashboard = () => {
@@ -37,6 +49,9 @@ const CitizenDashboard = () => {
   const [hasRecentSubmission, setHasRecentSubmission] = useState(false);
   const [showProgressBar, setShowProgressBar] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [reloadToken, setReloadToken] = useState(0);
+  // Last known status of each complaint, to tell status changes from other edits
+  const knownStatuses = useRef({});
 
   // Scroll to top when component mounts
   useEffect(() => {
@@ -69,6 +84,9 @@ const CitizenDashboard = () => {
         }));
 
         setRecentComplaints(transformedComplaints);
+        knownStatuses.current = Object.fromEntries(
+          transformedComplaints.map(complaint => [complaint.id, complaint.status])
+        );
         setStats({
           total: statsData.total,
           resolved: statsData.resolved,
@@ -81,7 +99,7 @@ const CitizenDashboard = () => {
         const recentSubmission = transformedComplaints.find(complaint => {
           const complaintTime = new Date(complaint.createdAt);
           const hoursDiff = (now - complaintTime) / (1000 * 60 * 60);
-          return hoursDiff <= 24 && (complaint.status === 'pending' || complaint.status === 'in_progress');
+          return hoursDiff <= 24 && [STATUS_STAGES.OPEN, STATUS_STAGES.ACTIVE].includes(getStatusStage(complaint.status));
         });
         
         setHasRecentSubmission(!!recentSubmission);
@@ -114,22 +132,25 @@ const CitizenDashboard = () => {
     };
 
     loadComplaints();
-  }, [user]);
+  }, [user, reloadToken]);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'resolved': return 'text-green-600 bg-green-100 dark:bg-green-900/30';
-      case 'in_progress': return 'text-blue-600 bg-blue-100 dark:bg-blue-900/30';
-      case 'pending': return 'text-yellow-600 bg-yellow-100 dark:bg-yellow-900/30';
-      default: return 'text-gray-600 bg-gray-100 dark:bg-gray-900/30';
-    }
-  };
+  // Reload as soon as staff change one of this citizen's complaints
+  useEffect(() => {
+    if (!user?.id) return;
+
+    return subscribeToComplaints((eventType, row) => {
+      const previousStatus = knownStatuses.current[row.id];
+      if (eventType === 'UPDATE' && previousStatus && previousStatus !== row.status) {
+        toast.success(`${row.category} complaint is now ${getStatusLabel(row.status)}`);
+      }
+      setReloadToken(token => token + 1);
+    }, { filter: `user_id=eq.${user.id}` });
+  }, [user?.id]);
 
   const getStatusIcon = (status) => {
-    switch (status) {
-      case 'resolved': return <CheckCircle className="w-4 h-4" />;
-      case 'in_progress': return <Clock className="w-4 h-4" />;
-      case 'pending': return <AlertCircle className="w-4 h-4" />;
+    switch (getStatusStage(status)) {
+      case STATUS_STAGES.DONE: return <CheckCircle className="w-4 h-4" />;
+      case STATUS_STAGES.ACTIVE: return <Clock className="w-4 h-4" />;
       default: return <AlertCircle className="w-4 h-4" />;
     }
   };
@@ -143,17 +164,6 @@ const CitizenDashboard = () => {
     }
   };
 
-  // Get progress height based on complaint status
-  const getProgressHeight = (status) => {
-    switch (status) {
-      case 'registered': return '25%';
-      case 'pending': return '50%';
-      case 'in_progress': return '75%';
-      case 'resolved': return '100%';
-      default: return '25%';
-    }
-  };
-
   // Function to show progress bar after complaint submission
   const handleComplaintSubmitted = () => {
     setShowProgressBar(true);
@@ -169,7 +179,7 @@ const CitizenDashboard = () => {
     complaint.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
     complaint.location.toLowerCase().includes(searchQuery.toLowerCase()) ||
     complaint.category.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    complaint.status.toLowerCase().includes(searchQuery.toLowerCase())
+    getStatusLabel(complaint.status).toLowerCase().includes(searchQuery.toLowerCase())
   );
 
   return (
@@ -199,10 +209,14 @@ const CitizenDashboard = () => {
               >
                 {isDark ? '☀️' : '🌙'}
               </button>
-              <button className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors relative">
-                <Bell className="w-5 h-5 text-gray-600 dark:text-gray-400" />
-                <span className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full"></span>
-              </button>
+              <Link
+                to="/nearby"
+                title="Issues near you"
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+              >
+                <MapPin className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </Link>
+              <NotificationBell onOpenComplaint={(complaintId) => navigate(`/citizen/tracking/${complaintId}`)} />
               <Link
                 to="/profile"
                 className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
@@ -215,6 +229,8 @@ const CitizenDashboard = () => {
       </header>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <PushPrompt />
+
         {/* Quick Actions */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -420,9 +436,9 @@ const CitizenDashboard = () => {
                   <div 
                     className="w-full bg-gradient-to-b from-primary-500 to-primary-600 rounded-full transition-all duration-2000 ease-in-out shadow-lg"
                     style={{ 
-                      height: getProgressHeight(complaint.status),
+                      height: getStatusProgress(complaint.status),
                       animation: 'verticalProgressAnimation 2s ease-in-out',
-                      '--progress-height': getProgressHeight(complaint.status)
+                      '--progress-height': getStatusProgress(complaint.status)
                     }}
                   ></div>
                 </div>
@@ -462,7 +478,7 @@ const CitizenDashboard = () => {
                         <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${getStatusColor(complaint.status)}`}>
                           <span className="flex items-center space-x-1">
                             {getStatusIcon(complaint.status)}
-                            <span className="capitalize">{complaint.status.replace('_', ' ')}</span>
+                            <span>{getStatusLabel(complaint.status)}</span>
                           </span>
                         </span>
                         <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${getPriorityColor(complaint.priority)}`}>
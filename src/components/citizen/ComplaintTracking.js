@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
@@ -12,18 +12,167 @@ import {
   Star,
   Camera,
   Calendar,
-  Phone,
-  Mail,
   Download,
   Share2,
   ThumbsUp,
-  ThumbsDown
+  ThumbsDown,
+  Lock,
+  RotateCcw,
+  ChevronsUp
 } from 'lucide-react';
+import { MapContainer, TileLayer, CircleMarker } from 'react-leaflet';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { format, formatDistanceToNow } from 'date-fns';
+import {
+  getComplaintById,
+  getComplaintEvents,
+  getComplaintRating,
+  submitComplaintRating,
+  reopenComplaint,
+  uploadImageFile,
+  getImageUrl,
+  subscribeToComplaints,
+  COMPLAINT_NOT_FOUND,
+  COMPLAINT_FORBIDDEN
+} from '../../services/complaintService';
+import { getStaffProfile } from '../../services/userService';
+import { getSetting } from '../../services/settingsService';
+import { ESCALATION_LEVEL_LABELS } from '../../constants/roles';
+import {
+  STATUSES,
+  canTransition,
+  getStatusColor,
+  getStatusLabel,
+  isFixedStatus,
+  isOpenStatus
+} from '../../constants/statuses';
+import CommentThread from '../common/CommentThread';
 import toast from 'react-hot-toast';
 
+// ReportComplaint stores { predictedClass, confidence, allPredictions }
+const getAIPrediction = (row) => {
+  const prediction = row.ai_prediction;
+  if (!prediction?.predictedClass) return null;
+
+  return {
+    className: prediction.predictedClass,
+    probability: Number(prediction.confidence ?? row.ai_confidence ?? 0)
+  };
+};
+
+// Shape a complaints row into what the page renders
+const mapComplaint = (row, officer) => ({
+  id: row.id,
+  title: `${row.category} - ${row.address?.split(',')[0] || 'Location'}`,
+  description: row.description,
+  status: row.status,
+  priority: row.priority,
+  category: row.category,
+  department: row.department,
+  address: row.address,
+  latitude: Number(row.latitude),
+  longitude: Number(row.longitude),
+  image: row.image_url,
+  createdAt: new Date(row.created_at),
+  updatedAt: new Date(row.updated_at || row.created_at),
+  resolvedAt: row.resolved_at ? new Date(row.resolved_at) : null,
+  resolveDueAt: row.resolve_due_at ? new Date(row.resolve_due_at) : null,
+  reopenCount: row.reopen_count || 0,
+  supporterCount: row.supporter_count || 0,
+  assignedTo: officer ? {
+    name: officer.name,
+    department: officer.department || row.department
+  } : null,
+  aiPrediction: getAIPrediction(row)
+});
+
+// Used until the configured window loads (app_settings.reopen_window_days)
+const DEFAULT_REOPEN_WINDOW_DAYS = 7;
+
+// Turn a complaint_events row into a timeline entry
+const mapEvent = (event, complaint) => {
+  const base = {
+    id: event.id,
+    status: event.to_status || event.event_type,
+    timestamp: new Date(event.created_at),
+    user: event.actor_name || 'System'
+  };
+
+  switch (event.event_type) {
+    case 'created':
+      return {
+        ...base,
+        title: 'Complaint Registered',
+        description: `Your complaint has been registered and sent to the ${complaint.department}.`,
+        icon: <CheckCircle className="w-5 h-5" />,
+        color: 'text-green-600 bg-green-100 dark:bg-green-900/30'
+      };
+    case 'status_changed':
+      if (event.to_status === STATUSES.REOPENED) {
+        return {
+          ...base,
+          title: 'Reopened: Not Fixed',
+          description: event.message || 'The reporter says the issue was not fixed.',
+          image: event.metadata?.evidence_path && getImageUrl(event.metadata.evidence_path),
+          icon: <RotateCcw className="w-5 h-5" />,
+          color: 'text-orange-600 bg-orange-100 dark:bg-orange-900/30'
+        };
+      }
+      return {
+        ...base,
+        title: event.to_status === STATUSES.RESOLVED ? 'Issue Resolved' : `Status: ${getStatusLabel(event.to_status)}`,
+        description: event.from_status
+          ? `Status changed from ${getStatusLabel(event.from_status)} to ${getStatusLabel(event.to_status)}.`
+          : `Status set to ${getStatusLabel(event.to_status)}.`,
+        icon: isFixedStatus(event.to_status)
+          ? <CheckCircle className="w-5 h-5" />
+          : <AlertCircle className="w-5 h-5" />,
+        color: getStatusColor(event.to_status)
+      };
+    case 'assigned':
+      return {
+        ...base,
+        title: event.metadata?.assigned_to ? 'Officer Assigned' : 'Officer Unassigned',
+        description: event.metadata?.assigned_to
+          ? `Assigned to ${event.message || 'an officer'}.`
+          : 'The complaint is waiting for a new officer.',
+        icon: <User className="w-5 h-5" />,
+        color: 'text-purple-600 bg-purple-100 dark:bg-purple-900/30'
+      };
+    case 'escalated':
+      return {
+        ...base,
+        title: 'Complaint Escalated',
+        description: `This complaint missed its deadline and was passed to the ${
+          (ESCALATION_LEVEL_LABELS[event.metadata?.to_level] || 'next level').toLowerCase()
+        }${event.message ? `, ${event.message}` : ''}.`,
+        icon: <ChevronsUp className="w-5 h-5" />,
+        color: 'text-orange-600 bg-orange-100 dark:bg-orange-900/30'
+      };
+    case 'note':
+      return {
+        ...base,
+        title: 'Department Update',
+        description: event.message,
+        icon: <Clock className="w-5 h-5" />,
+        color: 'text-yellow-600 bg-yellow-100 dark:bg-yellow-900/30'
+      };
+    default:
+      return {
+        ...base,
+        title: 'Comment Added',
+        description: 'Added a comment to the discussion below.',
+        icon: <MessageSquare className="w-5 h-5" />,
+        color: 'text-gray-600 bg-gray-100 dark:bg-gray-900/30'
+      };
+  }
+};
+
+const hasLocation = (complaint) =>
+  Number.isFinite(complaint.latitude) && Number.isFinite(complaint.longitude) &&
+  !(complaint.latitude === 0 && complaint.longitude === 0);
+
 const ComplaintTracking = () => {
   const { id } = useParams();
   const { user } = useAuth();
@@ -33,215 +182,74 @@ const ComplaintTracking = () => {
   const [complaint, setComplaint] = useState(null);
   const [timeline, setTimeline] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [newComment, setNewComment] = useState('');
+  const [loadError, setLoadError] = useState(null);
   const [rating, setRating] = useState(0);
+  const [feedback, setFeedback] = useState('');
+  const [savedRating, setSavedRating] = useState(null);
   const [showRating, setShowRating] = useState(false);
+  const [submittingRating, setSubmittingRating] = useState(false);
+  const [reopenWindowDays, setReopenWindowDays] = useState(DEFAULT_REOPEN_WINDOW_DAYS);
+  const [showReopen, setShowReopen] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+  const [reopenPhoto, setReopenPhoto] = useState(null);
+  const [reopening, setReopening] = useState(false);
 
-  // Mock data - replace with actual API calls
-  useEffect(() => {
-    const loadComplaint = async () => {
+  // A background reload keeps the page on screen instead of showing the spinner
+  const loadComplaint = useCallback(async ({ background = false } = {}) => {
+    if (!background) {
       setLoading(true);
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Get the appropriate image based on complaint ID
-      const getImageForComplaint = (complaintId) => {
-        switch (complaintId) {
-          case '1': return 'https://raw.githubusercontent.com/heyabhishekbajpai/UrbanSetu/main/public/pothole.jpg';
-          case '2': return 'https://raw.githubusercontent.com/heyabhishekbajpai/UrbanSetu/main/public/streetlight.jpg';
-          case '3': return 'https://raw.githubusercontent.com/heyabhishekbajpai/UrbanSetu/main/public/garbage.png';
-          case '4': return 'https://raw.githubusercontent.com/heyabhishekbajpai/UrbanSetu/main/public/water.jpg';
-          default: return 'https://raw.githubusercontent.com/heyabhishekbajpai/UrbanSetu/main/public/pothole.jpg';
-        }
-      };
+      setLoadError(null);
+    }
 
-      // Get AI probability based on category
-      const getAIProbability = (category) => {
-        switch (category) {
-          case 'Pothole': return 0.87;
-          case 'StreetLight': return 0.92;
-          case 'Garbage': return 0.78;
-          case 'Water': return 0.95;
-          default: return 0.85;
-        }
-      };
+    try {
+      const row = await getComplaintById(id);
+      // The officer's directory entry; a failure just hides the card
+      const [officer, events, existingRating] = await Promise.all([
+        row.assigned_to ? getStaffProfile(row.assigned_to).catch(() => null) : null,
+        getComplaintEvents(row.id),
+        isFixedStatus(row.status) ? getComplaintRating(row.id).catch(() => null) : null
+      ]);
 
-      // Get complaint details based on ID
-      const getComplaintDetails = (complaintId) => {
-        switch (complaintId) {
-          case '1':
-            return {
-              title: 'Pothole on Main Road',
-              description: 'Large pothole causing traffic issues and safety concerns for pedestrians and vehicles.',
-              category: 'Pothole',
-              department: 'Road Authority',
-              location: 'Main Road, Sector 15',
-              address: 'Main Road, Sector 15, Noida, Uttar Pradesh 201301',
-              status: 'resolved',
-              priority: 'high'
-            };
-          case '2':
-            return {
-              title: 'Broken Street Light',
-              description: 'Street light not working near park, causing safety issues for pedestrians.',
-              category: 'StreetLight',
-              department: 'Electrical Dept',
-              location: 'Park Road, Sector 12',
-              address: 'Park Road, Sector 12, Noida, Uttar Pradesh 201301',
-              status: 'in_progress',
-              priority: 'medium'
-            };
-          case '3':
-            return {
-              title: 'Garbage Accumulation',
-              description: 'Garbage not being collected regularly, causing health and hygiene issues.',
-              category: 'Garbage',
-              department: 'Sanitation Dept',
-              location: 'Residential Area, Sector 8',
-              address: 'Residential Area, Sector 8, Noida, Uttar Pradesh 201301',
-              status: 'pending',
-              priority: 'high'
-            };
-          case '4':
-            return {
-              title: 'Water Leakage',
-              description: 'Water pipe burst causing flooding in the area, immediate attention required.',
-              category: 'Water',
-              department: 'Water Board',
-              location: 'Near Community Center, Sector 5',
-              address: 'Near Community Center, Sector 5, Noida, Uttar Pradesh 201301',
-              status: 'registered',
-              priority: 'urgent'
-            };
-          default:
-            return {
-              title: 'Pothole on Main Road',
-              description: 'Large pothole causing traffic issues and safety concerns for pedestrians and vehicles.',
-              category: 'Pothole',
-              department: 'Road Authority',
-              location: 'Main Road, Sector 15',
-              address: 'Main Road, Sector 15, Noida, Uttar Pradesh 201301',
-              status: 'in_progress',
-              priority: 'high'
-            };
-        }
-      };
-
-      const complaintDetails = getComplaintDetails(id);
-      const mockComplaint = {
-        id: id,
-        title: complaintDetails.title,
-        description: complaintDetails.description,
-        status: complaintDetails.status,
-        priority: complaintDetails.priority,
-        category: complaintDetails.category,
-        department: complaintDetails.department,
-        location: complaintDetails.location,
-        address: complaintDetails.address,
-        latitude: 28.5355,
-        longitude: 77.3910,
-        image: getImageForComplaint(id),
-        createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
-        updatedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-        estimatedResolution: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
-        reporter: {
-          name: user?.name || 'John Doe',
-          email: user?.email || 'john@example.com',
-          phone: '+91 98765 43210'
-        },
-        assignedTo: {
-          name: 'Rajesh Kumar',
-          department: 'Road Authority',
-          phone: '+91 98765 12345',
-          email: 'rajesh.kumar@noida.gov.in'
-        },
-        aiPrediction: {
-          className: complaintDetails.category,
-          probability: getAIProbability(complaintDetails.category)
-        }
-      };
+      setComplaint(mapComplaint(row, officer));
+      setTimeline(events.map(event => mapEvent(event, row)));
+      setSavedRating(existingRating);
+    } catch (error) {
+      // Keep showing what we have if a background refresh fails
+      if (background) return;
+      setComplaint(null);
+      setLoadError(error.code || 'unknown');
+      if (error.code !== COMPLAINT_NOT_FOUND && error.code !== COMPLAINT_FORBIDDEN) {
+        toast.error('Failed to load complaint');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
 
-      // Create timeline based on complaint ID and status
-      const getTimelineForComplaint = (complaintId, status) => {
-        const baseTimeline = [
-          {
-            id: '1',
-            status: 'registered',
-            title: 'Complaint Registered',
-            description: 'Your complaint has been successfully registered and assigned a tracking ID.',
-            timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-            user: 'System',
-            icon: <CheckCircle className="w-5 h-5" />,
-            color: 'text-green-600 bg-green-100 dark:bg-green-900/30'
-          }
-        ];
-
-        // Add timeline entries based on complaint status
-        if (status === 'registered') {
-          return baseTimeline;
-        } else if (status === 'in_progress') {
-          return [
-            ...baseTimeline,
-            {
-              id: '2',
-              status: 'forwarded',
-              title: 'Forwarded to Department',
-              description: 'Complaint has been forwarded to the relevant department for review and action.',
-              timestamp: new Date(Date.now() - 1 * 60 * 60 * 1000), // 1 hour ago
-              user: 'System',
-              icon: <AlertCircle className="w-5 h-5" />,
-              color: 'text-blue-600 bg-blue-100 dark:bg-blue-900/30'
-            }
-          ];
-        } else if (status === 'resolved') {
-          return [
-            ...baseTimeline,
-            {
-              id: '2',
-              status: 'forwarded',
-              title: 'Forwarded to Department',
-              description: 'Complaint has been forwarded to the relevant department for review and action.',
-              timestamp: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000),
-              user: 'System',
-              icon: <AlertCircle className="w-5 h-5" />,
-              color: 'text-blue-600 bg-blue-100 dark:bg-blue-900/30'
-            },
-            {
-              id: '3',
-              status: 'resolved',
-              title: 'Issue Resolved',
-              description: 'The issue has been successfully resolved by the department.',
-              timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-              user: 'Rajesh Kumar',
-              icon: <CheckCircle className="w-5 h-5" />,
-              color: 'text-green-600 bg-green-100 dark:bg-green-900/30'
-            }
-          ];
-        } else {
-          return baseTimeline;
-        }
-      };
+  useEffect(() => {
+    loadComplaint();
+  }, [loadComplaint]);
 
-      const mockTimeline = getTimelineForComplaint(id, complaintDetails.status);
+  // Follow changes made by staff while the page is open
+  const complaintId = complaint?.id;
+  const knownStatus = useRef(null);
+  knownStatus.current = complaint?.status;
+  useEffect(() => {
+    if (!complaintId) return;
 
-      setComplaint(mockComplaint);
-      setTimeline(mockTimeline);
-      setLoading(false);
-    };
+    return subscribeToComplaints((eventType, row) => {
+      if (row.status !== knownStatus.current) {
+        toast.success(`Status updated: ${getStatusLabel(row.status)}`);
+      }
+      loadComplaint({ background: true });
+    }, { filter: `id=eq.${complaintId}` });
+  }, [complaintId, loadComplaint]);
 
-    loadComplaint();
-  }, [id, user]);
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'resolved': return 'text-green-600 bg-green-100 dark:bg-green-900/30';
-      case 'in_progress': return 'text-blue-600 bg-blue-100 dark:bg-blue-900/30';
-      case 'pending': return 'text-yellow-600 bg-yellow-100 dark:bg-yellow-900/30';
-      case 'closed': return 'text-gray-600 bg-gray-100 dark:bg-gray-900/30';
-      default: return 'text-gray-600 bg-gray-100 dark:bg-gray-900/30';
-    }
-  };
+  useEffect(() => {
+    getSetting('reopen_window_days', DEFAULT_REOPEN_WINDOW_DAYS)
+      .then(days => setReopenWindowDays(Number(days)))
+      .catch(() => {});
+  }, []);
 
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -253,36 +261,58 @@ const ComplaintTracking = () => {
     }
   };
 
-  const handleAddComment = () => {
-    if (newComment.trim()) {
-      const comment = {
-        id: Date.now().toString(),
-        text: newComment,
-        timestamp: new Date(),
-        user: user?.name || 'You'
-      };
-      
-      // Add to timeline
-      setTimeline(prev => [...prev, {
-        id: comment.id,
-        status: 'comment',
-        title: 'Comment Added',
-        description: comment.text,
-        timestamp: comment.timestamp,
-        user: comment.user,
-        icon: <MessageSquare className="w-5 h-5" />,
-        color: 'text-gray-600 bg-gray-100 dark:bg-gray-900/30'
-      }]);
-      
-      setNewComment('');
-      toast.success('Comment added successfully');
+  // Comments are part of the history, so refresh the timeline when the thread changes
+  const refreshTimeline = async () => {
+    try {
+      const events = await getComplaintEvents(complaint.id);
+      setTimeline(events.map(event => mapEvent(event, complaint)));
+    } catch (error) {
+      // The thread itself already reported the change; a stale timeline is fine
     }
   };
 
-  const handleRating = (value) => {
-    setRating(value);
-    setShowRating(false);
-    toast.success('Thank you for your feedback!');
+  const handleRating = async () => {
+    if (!rating) return;
+
+    setSubmittingRating(true);
+    try {
+      setSavedRating(await submitComplaintRating(complaint.id, rating, feedback));
+      setShowRating(false);
+      toast.success('Thank you for your feedback!');
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit rating');
+    } finally {
+      setSubmittingRating(false);
+    }
+  };
+
+  const handleReopen = async () => {
+    if (!reopenPhoto) {
+      toast.error('Add a photo showing the issue is still there');
+      return;
+    }
+
+    setReopening(true);
+    try {
+      const evidencePath = await uploadImageFile(reopenPhoto, user.id);
+      const updated = await reopenComplaint(complaint.id, reopenReason, evidencePath);
+
+      setComplaint(prev => ({
+        ...prev,
+        status: updated.status,
+        resolvedAt: null,
+        reopenCount: updated.reopen_count
+      }));
+      setShowReopen(false);
+      setReopenReason('');
+      setReopenPhoto(null);
+      refreshTimeline();
+      toast.success('Complaint reopened. The department has been asked to look again.');
+    } catch (error) {
+      toast.error(error.message || 'Failed to reopen complaint');
+    } finally {
+      setReopening(false);
+    }
   };
 
   if (loading) {
@@ -297,15 +327,26 @@ const ComplaintTracking = () => {
   }
 
   if (!complaint) {
+    const isForbidden = loadError === COMPLAINT_FORBIDDEN;
+    const isMissing = loadError === COMPLAINT_NOT_FOUND;
+
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-dark-900 flex items-center justify-center">
         <div className="text-center">
-          <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          {isForbidden ? (
+            <Lock className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          ) : (
+            <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          )}
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-            Complaint Not Found
+            {isForbidden ? 'Access Denied' : isMissing ? 'Complaint Not Found' : 'Something Went Wrong'}
           </h2>
           <p className="text-gray-600 dark:text-gray-400 mb-4">
-            The complaint you're looking for doesn't exist or has been removed.
+            {isForbidden
+              ? 'This complaint belongs to another account. You can only track complaints you reported.'
+              : isMissing
+                ? "The complaint you're looking for doesn't exist or has been removed."
+                : "We couldn't load this complaint. Check your connection and try again."}
           </p>
           <button
             onClick={() => navigate('/citizen')}
@@ -318,6 +359,9 @@ const ComplaintTracking = () => {
     );
   }
 
+  const canReopen = canTransition(complaint.status, STATUSES.REOPENED) && complaint.resolvedAt &&
+    Date.now() - complaint.resolvedAt.getTime() < reopenWindowDays * 24 * 60 * 60 * 1000;
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-dark-900">
       {/* Header */}
@@ -333,7 +377,7 @@ const ComplaintTracking = () => {
               </button>
               <div>
                 <h1 className="text-lg font-semibold text-gray-900 dark:text-white">
-                  Complaint #{complaint.id}
+                  Complaint #{complaint.id.slice(0, 8).toUpperCase()}
                 </h1>
                 <p className="text-sm text-gray-500 dark:text-gray-400">
                   {complaint.title}
@@ -367,14 +411,21 @@ const ComplaintTracking = () => {
               className="card dark:card-dark"
             >
               <div className="relative">
-                <img
-                  src={complaint.image}
-                  alt={complaint.title}
-                  className="w-full h-64 object-cover rounded-lg"
-                />
+                {complaint.image ? (
+                  <img
+                    src={complaint.image}
+                    alt={complaint.title}
+                    className="w-full h-64 object-cover rounded-lg"
+                  />
+                ) : (
+                  <div className="w-full h-64 rounded-lg bg-gray-100 dark:bg-dark-700 flex flex-col items-center justify-center">
+                    <Camera className="w-12 h-12 text-gray-400 mb-2" />
+                    <span className="text-sm text-gray-500 dark:text-gray-400">No photo attached</span>
+                  </div>
+                )}
                 <div className="absolute top-4 left-4 flex space-x-2">
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(complaint.status)}`}>
-                    {complaint.status.replace('_', ' ').toUpperCase()}
+                    {getStatusLabel(complaint.status).toUpperCase()}
                   </span>
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getPriorityColor(complaint.priority)}`}>
                     {complaint.priority.toUpperCase()}
@@ -441,6 +492,13 @@ const ComplaintTracking = () => {
                       <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
                         {item.description}
                       </p>
+                      {item.image && (
+                        <img
+                          src={item.image}
+                          alt={item.title}
+                          className="mt-2 w-32 h-24 object-cover rounded-lg"
+                        />
+                      )}
                       <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
                         by {item.user} • {format(item.timestamp, 'MMM dd, yyyy h:mm a')}
                       </p>
@@ -450,7 +508,7 @@ const ComplaintTracking = () => {
               </div>
             </motion.div>
 
-            {/* Add Comment */}
+            {/* Discussion */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -458,24 +516,9 @@ const ComplaintTracking = () => {
               className="card dark:card-dark"
             >
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                Add Comment
+                Discussion
               </h3>
-              <div className="space-y-3">
-                <textarea
-                  value={newComment}
-                  onChange={(e) => setNewComment(e.target.value)}
-                  placeholder="Add a comment or update..."
-                  rows={3}
-                  className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-dark-700 text-gray-900 dark:text-white"
-                />
-                <button
-                  onClick={handleAddComment}
-                  disabled={!newComment.trim()}
-                  className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  Add Comment
-                </button>
-              </div>
+              <CommentThread complaintId={complaint.id} onCommentsChange={refreshTimeline} />
             </motion.div>
           </div>
 
@@ -495,7 +538,7 @@ const ComplaintTracking = () => {
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600 dark:text-gray-400">Status:</span>
                   <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
-                    {complaint.status.replace('_', ' ').toUpperCase()}
+                    {getStatusLabel(complaint.status).toUpperCase()}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -512,17 +555,33 @@ const ComplaintTracking = () => {
                   <span className="text-sm text-gray-600 dark:text-gray-400">Department:</span>
                   <span className="text-sm text-gray-900 dark:text-white">{complaint.department}</span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-sm text-gray-600 dark:text-gray-400">Supported by:</span>
+                  <span className="text-sm text-gray-900 dark:text-white">
+                    {complaint.supporterCount === 1 ? '1 other citizen' : `${complaint.supporterCount} other citizens`}
+                  </span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600 dark:text-gray-400">Created:</span>
                   <span className="text-sm text-gray-900 dark:text-white">
                     {format(complaint.createdAt, 'MMM dd, yyyy')}
                   </span>
                 </div>
-                {complaint.estimatedResolution && (
+                {/* The department's SLA for this kind of complaint */}
+                {complaint.resolveDueAt && isOpenStatus(complaint.status) && (
                   <div className="flex justify-between">
-                    <span className="text-sm text-gray-600 dark:text-gray-400">Est. Resolution:</span>
+                    <span className="text-sm text-gray-600 dark:text-gray-400">Expected resolution by:</span>
+                    <span className={`text-sm ${complaint.resolveDueAt < new Date() ? 'text-red-600 font-medium' : 'text-gray-900 dark:text-white'}`}>
+                      {format(complaint.resolveDueAt, 'MMM dd, yyyy')}
+                      {complaint.resolveDueAt < new Date() && ' (overdue)'}
+                    </span>
+                  </div>
+                )}
+                {complaint.resolvedAt && (
+                  <div className="flex justify-between">
+                    <span className="text-sm text-gray-600 dark:text-gray-400">Resolved:</span>
                     <span className="text-sm text-gray-900 dark:text-white">
-                      {format(complaint.estimatedResolution, 'MMM dd, yyyy')}
+                      {format(complaint.resolvedAt, 'MMM dd, yyyy')}
                     </span>
                   </div>
                 )}
@@ -546,9 +605,39 @@ const ComplaintTracking = () => {
                     {complaint.address}
                   </span>
                 </div>
-                <button className="w-full btn-secondary text-sm">
-                  View on Map
-                </button>
+                {hasLocation(complaint) && (
+                  <>
+                    <div className="h-48 w-full rounded-lg overflow-hidden">
+                      <MapContainer
+                        center={[complaint.latitude, complaint.longitude]}
+                        zoom={16}
+                        scrollWheelZoom={false}
+                        style={{ height: '100%', width: '100%' }}
+                      >
+                        <TileLayer
+                          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                        />
+                        <CircleMarker
+                          center={[complaint.latitude, complaint.longitude]}
+                          radius={10}
+                          pathOptions={{ color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.6 }}
+                        />
+                      </MapContainer>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {complaint.latitude.toFixed(6)}, {complaint.longitude.toFixed(6)}
+                    </p>
+                    <a
+                      href={`https://www.openstreetmap.org/?mlat=${complaint.latitude}&mlon=${complaint.longitude}#map=18/${complaint.latitude}/${complaint.longitude}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="w-full btn-secondary text-sm block text-center"
+                    >
+                      View on Map
+                    </a>
+                  </>
+                )}
               </div>
             </motion.div>
 
@@ -562,7 +651,7 @@ const ComplaintTracking = () => {
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
                 Assigned Officer
               </h3>
-              <div className="space-y-3">
+              {complaint.assignedTo ? (
                 <div className="flex items-center space-x-3">
                   <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/30 rounded-full flex items-center justify-center">
                     <User className="w-5 h-5 text-primary-600" />
@@ -576,21 +665,11 @@ const ComplaintTracking = () => {
                     </p>
                   </div>
                 </div>
-                <div className="space-y-2">
-                  <div className="flex items-center space-x-2 text-sm">
-                    <Phone className="w-4 h-4 text-gray-500" />
-                    <span className="text-gray-600 dark:text-gray-400">
-                      {complaint.assignedTo.phone}
-                    </span>
-                  </div>
-                  <div className="flex items-center space-x-2 text-sm">
-                    <Mail className="w-4 h-4 text-gray-500" />
-                    <span className="text-gray-600 dark:text-gray-400">
-                      {complaint.assignedTo.email}
-                    </span>
-                  </div>
-                </div>
-              </div>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Not assigned yet. The {complaint.department} will assign an officer soon.
+                </p>
+              )}
             </motion.div>
 
             {/* Actions */}
@@ -612,7 +691,16 @@ const ComplaintTracking = () => {
                   <Share2 className="w-4 h-4" />
                   <span>Share Complaint</span>
                 </button>
-                {complaint.status === 'resolved' && !showRating && (
+                {canReopen && !showReopen && (
+                  <button
+                    onClick={() => setShowReopen(true)}
+                    className="w-full btn-secondary text-sm flex items-center justify-center space-x-2 text-orange-600"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    <span>Not Fixed?</span>
+                  </button>
+                )}
+                {isFixedStatus(complaint.status) && !savedRating && !showRating && (
                   <button
                     onClick={() => setShowRating(true)}
                     className="w-full btn-primary text-sm flex items-center justify-center space-x-2"
@@ -624,6 +712,58 @@ const ComplaintTracking = () => {
               </div>
             </motion.div>
 
+            {/* Reopen Form */}
+            {showReopen && (
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="card dark:card-dark"
+              >
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                  Issue Not Fixed
+                </h3>
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Take a new photo of the issue and tell the department what is still wrong.
+                    You can do this up to {reopenWindowDays} days after resolution.
+                  </p>
+                  <label className="w-full btn-secondary text-sm flex items-center justify-center space-x-2 cursor-pointer">
+                    <Camera className="w-4 h-4" />
+                    <span className="truncate">{reopenPhoto ? reopenPhoto.name : 'Add Photo'}</span>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      capture="environment"
+                      className="hidden"
+                      onChange={(e) => setReopenPhoto(e.target.files?.[0] || null)}
+                    />
+                  </label>
+                  <textarea
+                    value={reopenReason}
+                    onChange={(e) => setReopenReason(e.target.value)}
+                    placeholder="What is still wrong?"
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm"
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleReopen}
+                      disabled={!reopenPhoto || reopening}
+                      className="flex-1 btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {reopening ? 'Reopening...' : 'Reopen Complaint'}
+                    </button>
+                    <button
+                      onClick={() => setShowReopen(false)}
+                      className="btn-secondary text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            )}
+
             {/* Rating Modal */}
             {showRating && (
               <motion.div
@@ -642,7 +782,7 @@ const ComplaintTracking = () => {
                     {[1, 2, 3, 4, 5].map((value) => (
                       <button
                         key={value}
-                        onClick={() => handleRating(value)}
+                        onClick={() => setRating(value)}
                         className={`w-10 h-10 rounded-full flex items-center justify-center transition-colors ${
                           value <= rating
                             ? 'bg-yellow-400 text-white'
@@ -653,7 +793,63 @@ const ComplaintTracking = () => {
                       </button>
                     ))}
                   </div>
+                  <textarea
+                    value={feedback}
+                    onChange={(e) => setFeedback(e.target.value)}
+                    placeholder="Was the issue actually fixed? (optional)"
+                    rows={3}
+                    maxLength={1000}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-dark-700 text-gray-900 dark:text-white text-sm"
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleRating}
+                      disabled={!rating || submittingRating}
+                      className="flex-1 btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {submittingRating ? 'Submitting...' : 'Submit Rating'}
+                    </button>
+                    <button
+                      onClick={() => setShowRating(false)}
+                      className="btn-secondary text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            )}
+
+            {/* Submitted Rating */}
+            {savedRating && (
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                className="card dark:card-dark"
+              >
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                  Your Rating
+                </h3>
+                <div className="flex space-x-1 mb-2">
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <Star
+                      key={value}
+                      className={`w-5 h-5 ${
+                        value <= savedRating.rating
+                          ? 'text-yellow-400 fill-yellow-400'
+                          : 'text-gray-300 dark:text-gray-600'
+                      }`}
+                    />
+                  ))}
                 </div>
+                {savedRating.feedback && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {savedRating.feedback}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Rated on {format(new Date(savedRating.created_at), 'MMM dd, yyyy')}
+                </p>
               </motion.div>
             )}
           </div>
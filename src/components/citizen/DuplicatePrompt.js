@@ -0,0 +1,126 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { X, MapPin, Users, ThumbsUp, Camera } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { getStatusColor, getStatusLabel } from '../../constants/statuses';
+
+// Photos at least this alike are called out as showing the same thing
+const SIMILAR_PHOTO_THRESHOLD = 0.8;
+
+// Shown before a report is filed when open complaints of the same category
+// are already reported nearby. candidates come from findSimilarComplaints.
+const DuplicatePrompt = ({ candidates, supportingId, onSupport, onSubmitAnyway, onCancel }) => (
+  <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onCancel}>
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      className="card dark:card-dark w-full max-w-lg max-h-[85vh] overflow-y-auto"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            This looks already reported
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Add your support instead of filing it again. Issues with more support get attention sooner.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+        >
+          <X className="w-5 h-5 text-gray-500" />
+        </button>
+      </div>
+
+      <ul className="space-y-3">
+        {candidates.map(candidate => (
+          <li
+            key={candidate.id}
+            className="flex space-x-3 p-3 rounded-lg border border-gray-200 dark:border-dark-600"
+          >
+            {candidate.image_url ? (
+              <img
+                src={candidate.image_url}
+                alt={candidate.category}
+                className="w-20 h-20 rounded-lg object-cover flex-shrink-0"
+              />
+            ) : (
+              <div className="w-20 h-20 rounded-lg bg-gray-100 dark:bg-dark-700 flex items-center justify-center flex-shrink-0">
+                <Camera className="w-6 h-6 text-gray-400" />
+              </div>
+            )}
+
+            <div className="min-w-0 flex-1">
+              <div className="flex items-center space-x-2">
+                <span className="font-medium text-gray-900 dark:text-white">{candidate.category}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(candidate.status)}`}>
+                  {getStatusLabel(candidate.status)}
+                </span>
+              </div>
+              <p className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400 truncate">
+                <MapPin className="w-3 h-3 flex-shrink-0" />
+                <span className="truncate">{candidate.address?.split(',')[0]}</span>
+                <span className="flex-shrink-0">· {Math.round(candidate.distance_meters)} m away</span>
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                Reported {formatDistanceToNow(new Date(candidate.created_at), { addSuffix: true })}
+                {candidate.supporter_count > 0 && (
+                  <span className="inline-flex items-center ml-2">
+                    <Users className="w-3 h-3 mr-1" />
+                    {candidate.supporter_count} supporting
+                  </span>
+                )}
+                {candidate.image_similarity >= SIMILAR_PHOTO_THRESHOLD && (
+                  <span className="ml-2 text-primary-600">Similar photo</span>
+                )}
+              </p>
+
+              <div className="mt-2">
+                {candidate.reported_by_me ? (
+                  <Link
+                    to={`/citizen/tracking/${candidate.id}`}
+                    className="text-sm font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    You reported this - track it
+                  </Link>
+                ) : candidate.supported_by_me ? (
+                  <span className="text-sm text-gray-500 dark:text-gray-400">You already support this</span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onSupport(candidate.id)}
+                    disabled={Boolean(supportingId)}
+                    className="btn-primary text-sm py-1.5 flex items-center space-x-1 disabled:opacity-50"
+                  >
+                    <ThumbsUp className="w-4 h-4" />
+                    <span>{supportingId === candidate.id ? 'Adding...' : 'Add my support'}</span>
+                  </button>
+                )}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-between items-center mt-6">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Back
+        </button>
+        <button
+          type="button"
+          onClick={onSubmitAnyway}
+          disabled={Boolean(supportingId)}
+          className="text-sm font-medium text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+        >
+          It's a different issue - submit anyway
+        </button>
+      </div>
+    </motion.div>
+  </div>
+);
+
+export default DuplicatePrompt;
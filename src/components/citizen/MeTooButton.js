@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { ThumbsUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { supportComplaint, unsupportComplaint } from '../../services/complaintService';
+
+// "Me too" toggle for someone else's complaint. complaint is a row from
+// nearby_complaints(); onChange gets the complaint id and its new
+// { supporter_count, supported_by_me }.
+const MeTooButton = ({ complaint, onChange }) => {
+  const [saving, setSaving] = useState(false);
+
+  if (complaint.reported_by_me) {
+    return (
+      <span className="inline-flex items-center space-x-1 text-sm text-gray-500 dark:text-gray-400">
+        <ThumbsUp className="w-4 h-4" />
+        <span>{complaint.supporter_count} · Your report</span>
+      </span>
+    );
+  }
+
+  const handleClick = async () => {
+    setSaving(true);
+    try {
+      const supported = !complaint.supported_by_me;
+      const count = supported
+        ? await supportComplaint(complaint.id)
+        : await unsupportComplaint(complaint.id);
+      onChange(complaint.id, { supporter_count: count, supported_by_me: supported });
+    } catch (error) {
+      toast.error(error.message || 'Failed to update your support');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={saving}
+      title={complaint.supported_by_me ? 'Take back your support' : 'This affects me too'}
+      className={`inline-flex items-center space-x-1 px-3 py-1 rounded-full text-sm font-medium border transition-colors disabled:opacity-50 ${
+        complaint.supported_by_me
+          ? 'bg-primary-600 border-primary-600 text-white hover:bg-primary-700'
+          : 'border-primary-600 text-primary-600 hover:bg-primary-50 dark:hover:bg-primary-900/20'
+      }`}
+    >
+      <ThumbsUp className="w-4 h-4" />
+      <span>Me too · {complaint.supporter_count}</span>
+    </button>
+  );
+};
+
+export default MeTooButton;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, MapPin, Camera, LocateFixed, ThumbsUp } from 'lucide-react';
+import { MapContainer, TileLayer, CircleMarker, Popup } from 'react-leaflet';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { getNearbyComplaints, NEARBY_RADIUS_METERS } from '../../services/complaintService';
+import { getStatusColor, getStatusLabel } from '../../constants/statuses';
+import { ROLES, getHomePath } from '../../constants/roles';
+import MeTooButton from './MeTooButton';
+
+// Used when the browser won't share a location
+const LUCKNOW_CENTER = { latitude: 26.8467, longitude: 80.9462 };
+
+const formatDistance = (meters) =>
+  meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+
+// Open complaints around the visitor from every reporter, on a map and in a
+// list. Anyone can look; signed-in citizens get a "Me too" button on each.
+const NearbyIssues = () => {
+  const navigate = useNavigate();
+  const { isDark, toggleTheme } = useTheme();
+  const { user, loading: authLoading } = useAuth();
+  const canSupport = user?.role === ROLES.CITIZEN;
+  const [center, setCenter] = useState(null);
+  const [usingFallback, setUsingFallback] = useState(false);
+  const [complaints, setComplaints] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setUsingFallback(true);
+      setCenter(LUCKNOW_CENTER);
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => setCenter({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude
+      }),
+      () => {
+        setUsingFallback(true);
+        setCenter(LUCKNOW_CENTER);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  }, []);
+
+  useEffect(() => {
+    if (!center) return;
+
+    setLoading(true);
+    getNearbyComplaints(center)
+      .then(setComplaints)
+      .catch(() => toast.error('Failed to load nearby issues'))
+      .finally(() => setLoading(false));
+  }, [center]);
+
+  const handleSupportChange = (complaintId, changes) => {
+    setComplaints(prev => prev.map(complaint => (
+      complaint.id === complaintId ? { ...complaint, ...changes } : complaint
+    )));
+  };
+
+  const renderSupport = (complaint) => (canSupport ? (
+    <MeTooButton complaint={complaint} onChange={handleSupportChange} />
+  ) : (
+    <span
+      title={user ? 'Citizens who said this affects them too' : 'Sign in to say this affects you too'}
+      className="inline-flex items-center space-x-1 text-sm text-gray-500 dark:text-gray-400"
+    >
+      <ThumbsUp className="w-4 h-4" />
+      <span>{complaint.supporter_count}</span>
+    </span>
+  ));
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-dark-800 shadow-sm border-b border-gray-200 dark:border-dark-700">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={() => navigate(user ? getHomePath(user.role) : '/')}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </button>
+              <div>
+                <h1 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Issues Near You
+                </h1>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Open reports within {formatDistance(NEARBY_RADIUS_METERS)}
+                </p>
+              </div>
+            </div>
+
+            <button
+              onClick={toggleTheme}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+            >
+              {isDark ? '☀️' : '🌙'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {!user && !authLoading && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Seeing the same problem?{' '}
+            <Link to="/login" state={{ from: { pathname: '/nearby' } }} className="text-primary-600 hover:underline">
+              Sign in
+            </Link>{' '}
+            to say it affects you too, or to report a new one.
+          </p>
+        )}
+
+        {usingFallback && (
+          <p className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+            <LocateFixed className="w-4 h-4" />
+            <span>Allow location access to see issues around you. Showing central Lucknow instead.</span>
+          </p>
+        )}
+
+        {/* Map */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card dark:card-dark p-0 overflow-hidden"
+        >
+          <div className="h-96 w-full">
+            {center ? (
+              <MapContainer
+                center={[center.latitude, center.longitude]}
+                zoom={15}
+                style={{ height: '100%', width: '100%' }}
+              >
+                <TileLayer
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                />
+                <CircleMarker
+                  center={[center.latitude, center.longitude]}
+                  radius={6}
+                  pathOptions={{ color: '#2563eb', fillColor: '#2563eb', fillOpacity: 0.9 }}
+                />
+                {complaints.map(complaint => (
+                  <CircleMarker
+                    key={complaint.id}
+                    center={[complaint.latitude, complaint.longitude]}
+                    // Issues with more support stand out
+                    radius={8 + Math.min(complaint.supporter_count, 12)}
+                    pathOptions={{ color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.5 }}
+                  >
+                    <Popup>
+                      <div className="p-1 space-y-2">
+                        <h3 className="font-semibold text-gray-900">{complaint.category}</h3>
+                        <p className="text-sm text-gray-600">{complaint.address?.split(',')[0]}</p>
+                        <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
+                          {getStatusLabel(complaint.status).toUpperCase()}
+                        </span>
+                        <div>
+                          {renderSupport(complaint)}
+                        </div>
+                      </div>
+                    </Popup>
+                  </CircleMarker>
+                ))}
+              </MapContainer>
+            ) : (
+              <div className="h-full flex items-center justify-center">
+                <div className="w-8 h-8 border-2 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+
+        {/* List */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="card dark:card-dark"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+            {loading ? 'Looking for issues...' : `${complaints.length} open issue${complaints.length === 1 ? '' : 's'} nearby`}
+          </h3>
+
+          {!loading && complaints.length === 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Nothing reported around here yet.
+            </p>
+          )}
+
+          <ul className="divide-y divide-gray-200 dark:divide-dark-700">
+            {complaints.map(complaint => (
+              <li key={complaint.id} className="flex items-center space-x-4 py-3">
+                {complaint.image_url ? (
+                  <img
+                    src={complaint.image_url}
+                    alt={complaint.category}
+                    className="w-16 h-16 rounded-lg object-cover flex-shrink-0"
+                  />
+                ) : (
+                  <div className="w-16 h-16 rounded-lg bg-gray-100 dark:bg-dark-700 flex items-center justify-center flex-shrink-0">
+                    <Camera className="w-6 h-6 text-gray-400" />
+                  </div>
+                )}
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-900 dark:text-white">{complaint.category}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
+                      {getStatusLabel(complaint.status)}
+                    </span>
+                  </div>
+                  <p className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400">
+                    <MapPin className="w-3 h-3 flex-shrink-0" />
+                    <span className="truncate">{complaint.address?.split(',')[0]}</span>
+                    <span className="flex-shrink-0">· {formatDistance(complaint.distance_meters)} away</span>
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Reported {formatDistanceToNow(new Date(complaint.created_at), { addSuffix: true })}
+                  </p>
+                </div>
+                <div className="flex-shrink-0">
+                  {renderSupport(complaint)}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default NearbyIssues;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { BellRing, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { isPushSupported, enablePush, syncPushSubscription } from '../../services/pushService';
+
+const DISMISSED_KEY = 'pushPromptDismissed';
+
+// Banner on the citizen dashboard offering push notifications for status
+// changes on this device. Hidden once push is on, blocked or dismissed.
+const PushPrompt = () => {
+  const [visible, setVisible] = useState(false);
+  const [enabling, setEnabling] = useState(false);
+
+  useEffect(() => {
+    if (!isPushSupported()) return;
+
+    // Keeps an existing subscription pointed at whoever is signed in now
+    syncPushSubscription()
+      .then((enabled) => {
+        setVisible(!enabled &&
+          Notification.permission === 'default' &&
+          !localStorage.getItem(DISMISSED_KEY));
+      })
+      .catch(() => {});
+  }, []);
+
+  const handleEnable = async () => {
+    setEnabling(true);
+    try {
+      await enablePush();
+      setVisible(false);
+      toast.success("You'll be notified on this device when your complaints change");
+    } catch (error) {
+      toast.error(error.message || 'Failed to turn on notifications');
+    } finally {
+      setEnabling(false);
+    }
+  };
+
+  const handleDismiss = () => {
+    localStorage.setItem(DISMISSED_KEY, 'true');
+    setVisible(false);
+  };
+
+  if (!visible) return null;
+
+  return (
+    <div className="card dark:card-dark mb-6 flex items-center justify-between space-x-4">
+      <div className="flex items-center space-x-3">
+        <BellRing className="w-6 h-6 text-primary-600 flex-shrink-0" />
+        <div>
+          <p className="font-medium text-gray-900 dark:text-white">Get updates on this device</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            We'll send a notification when the status of a complaint you reported changes.
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        <button onClick={handleEnable} disabled={enabling} className="btn-primary">
+          {enabling ? 'Turning on...' : 'Turn on'}
+        </button>
+        <button
+          onClick={handleDismiss}
+          title="Not now"
+          className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PushPrompt;
@@ -21,7 +21,16 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import GoogleMap from '../common/GoogleMap';
-import { uploadImage, submitComplaint } from '../../services/complaintService';
+import DuplicatePrompt from './DuplicatePrompt';
+import {
+  uploadImage,
+  submitComplaint,
+  saveComplaintEmbedding,
+  findSimilarComplaints,
+  supportComplaint
+} from '../../services/complaintService';
+import { getImageEmbedding } from '../../services/imageEmbedding';
+import { DEPARTMENT_MAPPING } from '../../constants/departments';
 import toast from 'react-hot-toast';
 
 // AI Model Integration
@@ -30,14 +39,6 @@ const FALLBACK_MODEL_URL = 'https://teachablemachine.withgoogle.com/models/FzFLb
 const AI_CLASSES = ['Pothole', 'Garbage', 'Sewage', 'StreetLight', 'FallenTree'];
 const CONFIDENCE_THRESHOLD = 0.6;
 
-const DEPARTMENT_MAPPING = {
-  'Pothole': 'Road Authority',
-  'Garbage': 'Sanitation Department',
-  'Sewage': 'Water & Sewage Board',
-  'StreetLight': 'Electrical Department',
-  'FallenTree': 'Parks & Horticulture'
-};
-
 const DESCRIPTION_TEMPLATES = {
   'Pothole': 'I have noticed a pothole at [ADDRESS]. It is creating difficulty for pedestrians and vehicles.',
   'Garbage': 'There is accumulated garbage at [ADDRESS]. It needs immediate attention for cleanliness.',
@@ -59,6 +60,9 @@ const ReportComplaint = () => {
   const [isCapturing, setIsCapturing] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [aiPrediction, setAiPrediction] = useState(null);
+  const [imageEmbedding, setImageEmbedding] = useState(null);
+  const [duplicates, setDuplicates] = useState(null);
+  const [supportingId, setSupportingId] = useState(null);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [currentAddress, setCurrentAddress] = useState(null);
   const [isLoadingLocation, setIsLoadingLocation] = useState(false);
@@ -456,6 +460,7 @@ const ReportComplaint = () => {
   // Process image with AI
   const processImageWithAI = async (imageData) => {
     setIsProcessing(true);
+    setImageEmbedding(null);
     
     try {
       if (!model) {
@@ -494,6 +499,13 @@ const ReportComplaint = () => {
       };
       
       setAiPrediction(aiPrediction);
+
+      // Used to spot reports of the same scene; the report works without it
+      try {
+        setImageEmbedding(await getImageEmbedding(model, img));
+      } catch (embeddingError) {
+        console.warn('Could not compute image embedding:', embeddingError);
+      }
       
       if (aiPrediction.probability > CONFIDENCE_THRESHOLD) {
         const category = aiPrediction.className;
@@ -534,8 +546,49 @@ const ReportComplaint = () => {
     }
   };
 
-  // Submit form
+  // Submit form, first checking whether the issue is already reported nearby
   const onSubmit = async (data) => {
+    try {
+      setIsProcessing(true);
+      const candidates = await findSimilarComplaints({
+        category: data.category,
+        latitude: parseFloat(data.latitude || currentLocation?.lat || 0),
+        longitude: parseFloat(data.longitude || currentLocation?.lng || 0),
+        embedding: imageEmbedding
+      });
+
+      if (candidates.length > 0) {
+        setDuplicates(candidates);
+        setIsProcessing(false);
+        return;
+      }
+    } catch (error) {
+      // Not being able to check shouldn't stop anyone from reporting
+      console.error('Error checking for duplicates:', error);
+    }
+
+    await fileComplaint(data);
+  };
+
+  // Add the user's support to an existing complaint instead of filing a new one
+  const handleSupport = async (complaintId) => {
+    setSupportingId(complaintId);
+    try {
+      await supportComplaint(complaintId);
+      toast.success('Thanks! Your support has been added to the existing report.');
+      navigate('/citizen');
+    } catch (error) {
+      toast.error(error.message || 'Failed to add your support. Please try again.');
+      setSupportingId(null);
+    }
+  };
+
+  const handleSubmitAnyway = () => {
+    setDuplicates(null);
+    fileComplaint(getValues());
+  };
+
+  const fileComplaint = async (data) => {
     try {
       setIsProcessing(true);
       
@@ -576,7 +629,15 @@ const ReportComplaint = () => {
       };
 
       // 3. Submit to Supabase
-      await submitComplaint(complaintData);
+      const created = await submitComplaint(complaintData);
+
+      if (imageUrl && imageEmbedding) {
+        try {
+          await saveComplaintEmbedding(created.id, imageEmbedding);
+        } catch (embeddingError) {
+          console.error('Error saving image embedding:', embeddingError);
+        }
+      }
       
       toast.success('Complaint submitted successfully!');
       
@@ -1130,9 +1191,14 @@ const ReportComplaint = () => {
                   </button>
                   <button
                     type="submit"
-                    className="btn-primary flex items-center space-x-2"
+                    disabled={isProcessing}
+                    className="btn-primary flex items-center space-x-2 disabled:opacity-50"
                   >
-                    <CheckCircle className="w-5 h-5" />
+                    {isProcessing ? (
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                    ) : (
+                      <CheckCircle className="w-5 h-5" />
+                    )}
                     <span>Submit Report</span>
                   </button>
                 </div>
@@ -1141,6 +1207,16 @@ const ReportComplaint = () => {
           </AnimatePresence>
         </form>
       </div>
+
+      {duplicates && (
+        <DuplicatePrompt
+          candidates={duplicates}
+          supportingId={supportingId}
+          onSupport={handleSupport}
+          onSubmitAnyway={handleSubmitAnyway}
+          onCancel={() => setDuplicates(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MessageSquare, Send, Trash2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getComplaintComments,
+  addComplaintComment,
+  deleteComplaintComment
+} from '../../services/complaintService';
+import { ROLE_LABELS, isStaffRole } from '../../constants/roles';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Discussion between the reporter and department staff, shared by the
+// citizen tracking page and the admin dashboard
+const CommentThread = ({ complaintId, onCommentsChange }) => {
+  const { user } = useAuth();
+  const isStaff = isStaffRole(user?.role);
+
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [posting, setPosting] = useState(false);
+
+  const loadComments = useCallback(async () => {
+    try {
+      setComments(await getComplaintComments(complaintId));
+    } catch (error) {
+      toast.error('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [complaintId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadComments();
+  }, [loadComments]);
+
+  const handleSubmit = async () => {
+    if (!newComment.trim()) return;
+
+    setPosting(true);
+    try {
+      const comment = await addComplaintComment(complaintId, newComment);
+      setComments(prev => [...prev, comment]);
+      setNewComment('');
+      toast.success(isStaff ? 'Reply sent' : 'Comment added successfully');
+      onCommentsChange?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    try {
+      const deleted = await deleteComplaintComment(comment.id);
+      // Citizens can no longer read a deleted comment; staff keep seeing it marked as deleted
+      setComments(prev => (isStaff
+        ? prev.map(c => (c.id === comment.id ? deleted : c))
+        : prev.filter(c => c.id !== comment.id)));
+      toast.success('Comment deleted');
+      onCommentsChange?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
+          <MessageSquare className="w-4 h-4" />
+          <span>No comments yet.</span>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {comments.map((comment) => {
+            const fromStaff = isStaffRole(comment.author_role);
+            const canDelete = !comment.deleted_at && (comment.author_id === user?.id || isStaff);
+
+            return (
+              <div
+                key={comment.id}
+                className={`p-3 rounded-lg ${
+                  fromStaff
+                    ? 'bg-primary-50 dark:bg-primary-900/20'
+                    : 'bg-gray-50 dark:bg-dark-700'
+                } ${comment.deleted_at ? 'opacity-50' : ''}`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">
+                      {comment.author_id === user?.id ? 'You' : comment.author_name || 'Unknown user'}
+                    </span>
+                    {comment.author_role && (
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        fromStaff
+                          ? 'text-primary-700 bg-primary-100 dark:bg-primary-900/30'
+                          : 'text-gray-600 bg-gray-200 dark:bg-gray-900/30'
+                      }`}>
+                        {ROLE_LABELS[comment.author_role] || comment.author_role}
+                      </span>
+                    )}
+                    {comment.deleted_at && (
+                      <span className="text-xs text-red-500">Deleted</span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatDistanceToNow(new Date(comment.created_at), { addSuffix: true })}
+                    </span>
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDelete(comment)}
+                        title="Delete comment"
+                        className="p-1 rounded hover:bg-gray-200 dark:hover:bg-dark-600 transition-colors"
+                      >
+                        <Trash2 className="w-3 h-3 text-gray-400" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-words">
+                  {comment.body}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <textarea
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          placeholder={isStaff ? 'Reply to the citizen...' : 'Add a comment or update...'}
+          rows={3}
+          maxLength={MAX_COMMENT_LENGTH}
+          className="w-full px-3 py-2 border border-gray-300 dark:border-dark-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-dark-700 text-gray-900 dark:text-white"
+        />
+        <button
+          onClick={handleSubmit}
+          disabled={!newComment.trim() || posting}
+          className="btn-primary flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Send className="w-4 h-4" />
+          <span>{posting ? 'Sending...' : isStaff ? 'Send Reply' : 'Add Comment'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CommentThread;
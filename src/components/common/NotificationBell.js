@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Bell, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  subscribeToNotifications,
+  describeNotification
+} from '../../services/notificationService';
+
+// Bell with an unread badge and a dropdown inbox, shared by the citizen and
+// admin dashboards. onOpenComplaint(complaintId) shows the complaint a
+// notification is about.
+const NotificationBell = ({ onOpenComplaint }) => {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    getUnreadNotificationCount()
+      .then(setUnreadCount)
+      .catch(() => {});
+
+    return subscribeToNotifications(user.id, (notification) => {
+      setNotifications(prev => [notification, ...prev]);
+      setUnreadCount(count => count + 1);
+      toast(describeNotification(notification).title, { icon: '🔔' });
+    });
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setLoading(true);
+    getNotifications()
+      .then(setNotifications)
+      .catch(() => toast.error('Failed to load notifications'))
+      .finally(() => setLoading(false));
+
+    const handleClickOutside = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleOpenNotification = (notification) => {
+    setOpen(false);
+    if (!notification.read_at) {
+      setNotifications(prev => prev.map(item => (
+        item.id === notification.id ? { ...item, read_at: new Date().toISOString() } : item
+      )));
+      setUnreadCount(count => Math.max(0, count - 1));
+      markNotificationRead(notification.id).catch(() => {});
+    }
+    if (notification.complaint_id) {
+      onOpenComplaint?.(notification.complaint_id);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, read_at: item.read_at || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen(current => !current)}
+        title={unreadCount > 0 ? `${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}` : 'Notifications'}
+        className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-dark-700 transition-colors relative"
+      >
+        <Bell className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-medium rounded-full flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 rounded-lg shadow-lg bg-white dark:bg-dark-800 border border-gray-200 dark:border-dark-700 z-[1000]">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-dark-700">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center space-x-1 text-xs font-medium text-primary-600 hover:text-primary-700"
+              >
+                <CheckCheck className="w-4 h-4" />
+                <span>Mark all as read</span>
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                You're all caught up.
+              </p>
+            ) : (
+              notifications.map(notification => {
+                const { title, body } = describeNotification(notification);
+                return (
+                  <button
+                    key={notification.id}
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`block w-full text-left px-4 py-3 border-b last:border-b-0 border-gray-100 dark:border-dark-700 hover:bg-gray-50 dark:hover:bg-dark-700 ${
+                      notification.read_at ? '' : 'bg-primary-50 dark:bg-primary-900/20'
+                    }`}
+                  >
+                    <div className="flex items-start space-x-2">
+                      {!notification.read_at && (
+                        <span className="mt-1.5 w-2 h-2 rounded-full bg-red-500 flex-shrink-0" />
+                      )}
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">{title}</p>
+                        {body && <p className="text-xs text-gray-600 dark:text-gray-400 mt-0.5">{body}</p>}
+                        <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                          {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                        </p>
+                      </div>
+                    </div>
+                  </button>
+                );
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -8,5 +8,11 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.error('Please create a .env file with REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_ANON_KEY');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    persistSession: true, // Restore the session from localStorage on reload
+    autoRefreshToken: true, // Refresh the access token before it expires
+    detectSessionInUrl: true, // Pick up the session from email confirmation links
+  },
+});
 
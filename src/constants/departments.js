@@ -0,0 +1,12 @@
+// Department responsible for each complaint category
+export const DEPARTMENT_MAPPING = {
+  'Pothole': 'Road Authority',
+  'Garbage': 'Sanitation Department',
+  'Sewage': 'Water & Sewage Board',
+  'StreetLight': 'Electrical Department',
+  'FallenTree': 'Parks & Horticulture'
+};
+
+export const DEPARTMENTS = Object.values(DEPARTMENT_MAPPING);
+
+export const CATEGORIES = Object.keys(DEPARTMENT_MAPPING);
@@ -0,0 +1,17 @@
+// Complaint priorities, lowest first
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+export const getPriorityLabel = (priority) =>
+  priority ? priority.charAt(0).toUpperCase() + priority.slice(1) : '';
+
+// Lowest priority_score (0-100) for each effective priority, highest first.
+// Same bands as effective_priority() in 0021_priority_scoring.sql.
+export const PRIORITY_SCORE_BANDS = [
+  { priority: 'urgent', minScore: 70 },
+  { priority: 'high', minScore: 50 },
+  { priority: 'medium', minScore: 30 },
+  { priority: 'low', minScore: 0 }
+];
+
+export const getScorePriority = (score) =>
+  PRIORITY_SCORE_BANDS.find(band => score >= band.minScore)?.priority || 'low';
@@ -0,0 +1,45 @@
+// User roles as stored server-side in public.profiles.role
+export const ROLES = {
+  CITIZEN: 'citizen',
+  OFFICER: 'officer',
+  SUPER_ADMIN: 'super_admin'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.CITIZEN]: 'Citizen',
+  [ROLES.OFFICER]: 'Department Officer',
+  [ROLES.SUPER_ADMIN]: 'Super Admin'
+};
+
+// Rungs of the escalation ladder above field officers, as stored in
+// public.profiles.staff_level. Department heads are officers, the
+// commissioner is a super admin.
+export const STAFF_LEVELS = {
+  DEPARTMENT_HEAD: 'department_head',
+  COMMISSIONER: 'commissioner'
+};
+
+export const STAFF_LEVEL_LABELS = {
+  [STAFF_LEVELS.DEPARTMENT_HEAD]: 'Department Head',
+  [STAFF_LEVELS.COMMISSIONER]: 'Commissioner'
+};
+
+// Staff level each role can hold
+export const ROLE_STAFF_LEVELS = {
+  [ROLES.OFFICER]: STAFF_LEVELS.DEPARTMENT_HEAD,
+  [ROLES.SUPER_ADMIN]: STAFF_LEVELS.COMMISSIONER
+};
+
+// Who owns a complaint at each complaints.escalation_level
+export const ESCALATION_LEVEL_LABELS = ['Field Officer', 'Department Head', 'Commissioner'];
+
+/**
+ * Officers and super admins use the admin dashboard
+ */
+export const isStaffRole = (role) =>
+  role === ROLES.OFFICER || role === ROLES.SUPER_ADMIN;
+
+/**
+ * Dashboard a user lands on after signing in
+ */
+export const getHomePath = (role) => (isStaffRole(role) ? '/admin' : '/citizen');
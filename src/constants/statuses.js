@@ -0,0 +1,130 @@
+// Complaint lifecycle. The database enforces the same transitions
+// (supabase/migrations/0011_complaint_status_machine.sql), so keep the two in sync.
+export const STATUSES = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  ASSIGNED: 'assigned',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed',
+  REOPENED: 'reopened',
+  REJECTED: 'rejected',
+  DUPLICATE: 'duplicate'
+};
+
+// Stages group statuses for counters and icons:
+// open = waiting on the department, active = being worked on,
+// done = fixed, dismissed = closed without a fix
+export const STATUS_STAGES = {
+  OPEN: 'open',
+  ACTIVE: 'active',
+  DONE: 'done',
+  DISMISSED: 'dismissed'
+};
+
+export const STATUS_DEFINITIONS = {
+  [STATUSES.PENDING]: {
+    label: 'Pending',
+    color: 'text-yellow-600 bg-yellow-100 dark:bg-yellow-900/30',
+    stage: STATUS_STAGES.OPEN,
+    progress: 15,
+    next: [STATUSES.ACKNOWLEDGED, STATUSES.REJECTED, STATUSES.DUPLICATE]
+  },
+  [STATUSES.ACKNOWLEDGED]: {
+    label: 'Acknowledged',
+    color: 'text-indigo-600 bg-indigo-100 dark:bg-indigo-900/30',
+    stage: STATUS_STAGES.OPEN,
+    progress: 30,
+    next: [STATUSES.ASSIGNED, STATUSES.REJECTED, STATUSES.DUPLICATE]
+  },
+  [STATUSES.ASSIGNED]: {
+    label: 'Assigned',
+    color: 'text-purple-600 bg-purple-100 dark:bg-purple-900/30',
+    stage: STATUS_STAGES.ACTIVE,
+    progress: 50,
+    next: [STATUSES.IN_PROGRESS, STATUSES.ACKNOWLEDGED]
+  },
+  [STATUSES.IN_PROGRESS]: {
+    label: 'In Progress',
+    color: 'text-blue-600 bg-blue-100 dark:bg-blue-900/30',
+    stage: STATUS_STAGES.ACTIVE,
+    progress: 75,
+    next: [STATUSES.RESOLVED, STATUSES.ASSIGNED]
+  },
+  [STATUSES.RESOLVED]: {
+    label: 'Resolved',
+    color: 'text-green-600 bg-green-100 dark:bg-green-900/30',
+    stage: STATUS_STAGES.DONE,
+    progress: 100,
+    // Reopening is the reporter's call, through reopenComplaint()
+    next: [STATUSES.CLOSED, STATUSES.REOPENED]
+  },
+  [STATUSES.CLOSED]: {
+    label: 'Closed',
+    color: 'text-gray-600 bg-gray-100 dark:bg-gray-900/30',
+    stage: STATUS_STAGES.DONE,
+    progress: 100,
+    next: []
+  },
+  [STATUSES.REOPENED]: {
+    label: 'Reopened',
+    color: 'text-orange-600 bg-orange-100 dark:bg-orange-900/30',
+    stage: STATUS_STAGES.ACTIVE,
+    progress: 40,
+    next: [STATUSES.ASSIGNED, STATUSES.IN_PROGRESS]
+  },
+  [STATUSES.REJECTED]: {
+    label: 'Rejected',
+    color: 'text-red-600 bg-red-100 dark:bg-red-900/30',
+    stage: STATUS_STAGES.DISMISSED,
+    progress: 100,
+    next: []
+  },
+  [STATUSES.DUPLICATE]: {
+    label: 'Duplicate',
+    color: 'text-slate-600 bg-slate-100 dark:bg-slate-900/30',
+    stage: STATUS_STAGES.DISMISSED,
+    progress: 100,
+    next: []
+  }
+};
+
+// Lifecycle order, used for filter options
+export const STATUS_ORDER = Object.keys(STATUS_DEFINITIONS);
+
+const UNKNOWN_STATUS_COLOR = 'text-gray-600 bg-gray-100 dark:bg-gray-900/30';
+
+export const getStatusLabel = (status) =>
+  STATUS_DEFINITIONS[status]?.label || (status || '').replace(/_/g, ' ');
+
+export const getStatusColor = (status) =>
+  STATUS_DEFINITIONS[status]?.color || UNKNOWN_STATUS_COLOR;
+
+export const getStatusStage = (status) =>
+  STATUS_DEFINITIONS[status]?.stage || STATUS_STAGES.OPEN;
+
+/**
+ * How far along the lifecycle a complaint is, as a CSS percentage
+ */
+export const getStatusProgress = (status) =>
+  `${STATUS_DEFINITIONS[status]?.progress ?? 15}%`;
+
+export const canTransition = (from, to) =>
+  Boolean(STATUS_DEFINITIONS[from]?.next.includes(to));
+
+/**
+ * Statuses staff can move a complaint to from its current one
+ */
+export const getStaffTransitions = (status) =>
+  (STATUS_DEFINITIONS[status]?.next || []).filter(next => next !== STATUSES.REOPENED);
+
+/**
+ * Resolved or closed, i.e. the reporter can rate the fix
+ */
+export const isFixedStatus = (status) => getStatusStage(status) === STATUS_STAGES.DONE;
+
+/**
+ * Still waiting on the department, i.e. SLA deadlines apply
+ */
+export const isOpenStatus = (status) =>
+  [STATUS_STAGES.OPEN, STATUS_STAGES.ACTIVE].includes(getStatusStage(status));
@@ -1,14 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
-
-// Generate UUID v4
-const generateUUID = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
+import { supabase } from '../config/supabase';
+import { getProfile, updateOwnProfile } from '../services/userService';
+import { ROLES, isStaffRole } from '../constants/roles';
 
 const AuthContext = createContext();
 
@@ -20,55 +14,114 @@ export const useAuth = () => {
   return context;
 };
 
+// Shape a Supabase auth user and its profile row into the user object the UI expects.
+// The role always comes from the server-side profile, never from auth metadata.
+const mapAuthUser = (authUser, profile) => {
+  if (!authUser) return null;
+
+  const metadata = authUser.user_metadata || {};
+  const name = profile?.name || metadata.name || authUser.email?.split('@')[0] || 'User';
+  const role = profile?.role || ROLES.CITIZEN;
+
+  return {
+    id: authUser.id,
+    email: authUser.email,
+    name,
+    phone: profile?.phone || metadata.phone || '',
+    address: profile?.address || metadata.address || '',
+    role,
+    department: profile?.department || null,
+    userType: isStaffRole(role) ? 'admin' : 'citizen',
+    avatar: metadata.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=48bb78&color=fff`,
+    createdAt: authUser.created_at,
+  };
+};
+
+const PROFILE_ATTEMPTS = 3;
+
+// Load the profile for an auth user, retrying a flaky connection a couple of
+// times. Throws if it still can't be read: guessing the role would send staff
+// to the citizen UI.
+const loadUser = async (authUser) => {
+  if (!authUser) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const profile = await getProfile(authUser.id);
+      return mapAuthUser(authUser, profile);
+    } catch (error) {
+      if (attempt >= PROFILE_ATTEMPTS) throw error;
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+};
+
+const PROFILE_LOAD_ERROR = 'Could not load your account. Check your connection and refresh the page.';
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // Check for existing session on app load
-    const savedUser = localStorage.getItem('urbansetu-user');
-    if (savedUser) {
-      try {
-        const parsedUser = JSON.parse(savedUser);
-        // Migrate old timestamp IDs to UUID format
-        if (parsedUser.id && !parsedUser.id.includes('-')) {
-          // Old format detected (timestamp), generate new UUID
-          parsedUser.id = generateUUID();
-          localStorage.setItem('urbansetu-user', JSON.stringify(parsedUser));
+    // Drop the user object left behind by the old mock login
+    localStorage.removeItem('urbansetu-user');
+
+    // Restore the persisted session on app load
+    supabase.auth.getSession()
+      .then(async ({ data, error }) => {
+        if (error) {
+          console.error('Error restoring session:', error);
         }
-        setUser(parsedUser);
-      } catch (error) {
-        console.error('Error parsing saved user:', error);
-        localStorage.removeItem('urbansetu-user');
+        setSession(data?.session ?? null);
+        setUser(await loadUser(data?.session?.user));
+      })
+      .catch((error) => {
+        console.error('Error loading user:', error);
+        toast.error(PROFILE_LOAD_ERROR);
+        setUser(null);
+      })
+      .finally(() => setLoading(false));
+
+    // Keep state in sync with sign-in, sign-out and token refreshes
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, newSession) => {
+      setSession(newSession);
+
+      if (!newSession) {
+        setUser(null);
+      } else if (event === 'SIGNED_IN' || event === 'USER_UPDATED') {
+        // Defer the profile query: Supabase calls made inside this callback can deadlock
+        setTimeout(async () => {
+          try {
+            setUser(await loadUser(newSession.user));
+          } catch (error) {
+            console.error('Error loading user:', error);
+            toast.error(PROFILE_LOAD_ERROR);
+            setUser(null);
+          }
+        }, 0);
       }
-    }
-    setLoading(false);
+    });
+
+    return () => subscription.unsubscribe();
   }, []);
 
-  const login = async (email, password, userType) => {
+  const login = async (email, password) => {
     try {
       setLoading(true);
-      
-      // Simulate API call - replace with actual authentication
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Mock user data - replace with actual user data from API
-      const mockUser = {
-        id: generateUUID(), // Generate proper UUID
-        email,
-        name: email.split('@')[0],
-        userType,
-        avatar: `https://ui-avatars.com/api/?name=${email.split('@')[0]}&background=48bb78&color=fff`,
-        createdAt: new Date().toISOString(),
-      };
-
-      setUser(mockUser);
-      localStorage.setItem('urbansetu-user', JSON.stringify(mockUser));
-      
-      toast.success(`Welcome back, ${mockUser.name}!`);
-      return { success: true, user: mockUser };
+
+      const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+      if (error) throw error;
+
+      const loggedInUser = await loadUser(data.user);
+      setSession(data.session);
+      setUser(loggedInUser);
+
+      toast.success(`Welcome back, ${loggedInUser.name}!`);
+      return { success: true, user: loggedInUser };
     } catch (error) {
-      toast.error('Login failed. Please try again.');
+      console.error('Login error:', error);
+      toast.error(error.message || 'Login failed. Please try again.');
       return { success: false, error: error.message };
     } finally {
       setLoading(false);
@@ -78,48 +131,82 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       setLoading(true);
-      
-      // Simulate API call - replace with actual registration
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Mock user data - replace with actual user data from API
-      const mockUser = {
-        id: generateUUID(), // Generate proper UUID
-        ...userData,
-        avatar: `https://ui-avatars.com/api/?name=${userData.name}&background=48bb78&color=fff`,
-        createdAt: new Date().toISOString(),
-      };
-
-      setUser(mockUser);
-      localStorage.setItem('urbansetu-user', JSON.stringify(mockUser));
-      
-      toast.success(`Welcome to UrbanSetu, ${mockUser.name}!`);
-      return { success: true, user: mockUser };
+
+      // New accounts are always citizens; staff roles are granted by a super admin
+      const { email, password, name, phone } = userData;
+      const { data, error } = await supabase.auth.signUp({
+        email,
+        password,
+        options: {
+          data: { name, phone },
+          emailRedirectTo: `${window.location.origin}/login`,
+        },
+      });
+      if (error) throw error;
+
+      // With email confirmation enabled Supabase returns a user but no session
+      if (!data.session) {
+        toast.success('Account created! Check your email to confirm it, then sign in.');
+        return { success: true, user: null, needsConfirmation: true };
+      }
+
+      const newUser = await loadUser(data.user);
+      setSession(data.session);
+      setUser(newUser);
+
+      toast.success(`Welcome to UrbanSetu, ${newUser.name}!`);
+      return { success: true, user: newUser };
     } catch (error) {
-      toast.error('Registration failed. Please try again.');
+      console.error('Registration error:', error);
+      toast.error(error.message || 'Registration failed. Please try again.');
       return { success: false, error: error.message };
     } finally {
       setLoading(false);
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    // Revokes the refresh token server-side and clears the stored session
+    const { error } = await supabase.auth.signOut();
+    if (error) {
+      console.error('Logout error:', error);
+      toast.error('Failed to log out. Please try again.');
+      return;
+    }
+
+    setSession(null);
     setUser(null);
-    localStorage.removeItem('urbansetu-user');
     toast.success('Logged out successfully');
   };
 
-  const updateProfile = (updates) => {
-    if (user) {
-      const updatedUser = { ...user, ...updates };
-      setUser(updatedUser);
-      localStorage.setItem('urbansetu-user', JSON.stringify(updatedUser));
-      toast.success('Profile updated successfully');
+  const updateProfile = async (updates) => {
+    if (!user) return;
+
+    const { email, ...metadata } = updates;
+    const attributes = { data: metadata };
+    if (email && email !== user.email) {
+      attributes.email = email;
+    }
+
+    try {
+      const { data, error } = await supabase.auth.updateUser(attributes);
+      if (error) throw error;
+
+      const profile = await updateOwnProfile(user.id, metadata);
+      setUser(mapAuthUser(data.user, profile));
+    } catch (error) {
+      toast.error(error.message || 'Failed to update profile');
+      return;
     }
+
+    toast.success(attributes.email
+      ? 'Profile updated. Confirm the new email address to finish the change.'
+      : 'Profile updated successfully');
   };
 
   const value = {
     user,
+    session,
     loading,
     login,
     register,
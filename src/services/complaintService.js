@@ -1,9 +1,16 @@
 import { supabase } from '../config/supabase';
+import {
+  STATUS_STAGES,
+  getStaffTransitions,
+  getStatusLabel,
+  getStatusStage
+} from '../constants/statuses';
 
 /**
- * Upload image to Supabase Storage
+ * Upload image to the user's folder in Supabase Storage.
+ * Returns its storage path ('<user id>/<file>').
  */
-export const uploadImage = async (imageFile, userId) => {
+export const uploadImageFile = async (imageFile, userId) => {
   try {
     const fileExt = imageFile.name.split('.').pop() || 'jpg';
     const fileName = `${userId}/${Date.now()}.${fileExt}`;
@@ -28,20 +35,29 @@ export const uploadImage = async (imageFile, userId) => {
     }
 
     console.log('Upload successful, data:', data);
-
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('complaint-images')
-      .getPublicUrl(fileName);
-
-    console.log('Public URL:', publicUrl);
-    return publicUrl;
+    return fileName;
   } catch (error) {
     console.error('Error uploading image:', error);
     throw error;
   }
 };
 
+/**
+ * Public URL of an image in the complaint-images bucket
+ */
+export const getImageUrl = (path) => {
+  const { data: { publicUrl } } = supabase.storage
+    .from('complaint-images')
+    .getPublicUrl(path);
+  return publicUrl;
+};
+
+/**
+ * Upload image to Supabase Storage and return its public URL
+ */
+export const uploadImage = async (imageFile, userId) =>
+  getImageUrl(await uploadImageFile(imageFile, userId));
+
 /**
  * Submit complaint to database
  */
@@ -61,6 +77,106 @@ export const submitComplaint = async (complaintData) => {
   }
 };
 
+/**
+ * Store the feature vector of a complaint's photo for duplicate detection
+ */
+export const saveComplaintEmbedding = async (complaintId, embedding) => {
+  try {
+    const { error } = await supabase
+      .from('complaint_image_embeddings')
+      .insert([{ complaint_id: complaintId, embedding }]);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error saving image embedding:', error);
+    throw error;
+  }
+};
+
+// How far apart two reports of the same issue can be
+export const DUPLICATE_RADIUS_METERS = 100;
+
+/**
+ * Open complaints of the same category near a point that may be the same
+ * issue, most similar photo first. embedding is optional.
+ */
+export const findSimilarComplaints = async ({ category, latitude, longitude, embedding = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('find_similar_complaints', {
+      target_category: category,
+      target_latitude: latitude,
+      target_longitude: longitude,
+      target_embedding: embedding,
+      radius_meters: DUPLICATE_RADIUS_METERS
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error finding similar complaints:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add the current user's support to someone else's complaint. Returns the
+ * new supporter count.
+ */
+export const supportComplaint = async (complaintId) => {
+  try {
+    const { data, error } = await supabase.rpc('support_complaint', {
+      target_complaint: complaintId
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error supporting complaint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Take back the current user's support for a complaint. Returns the new
+ * supporter count.
+ */
+export const unsupportComplaint = async (complaintId) => {
+  try {
+    const { data, error } = await supabase.rpc('unsupport_complaint', {
+      target_complaint: complaintId
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error removing support:', error);
+    throw error;
+  }
+};
+
+// How far around the user the nearby-issues map looks
+export const NEARBY_RADIUS_METERS = 2000;
+
+/**
+ * Open complaints around a point from every reporter, nearest first, with
+ * what the nearby-issues map shows
+ */
+export const getNearbyComplaints = async ({ latitude, longitude, radius = NEARBY_RADIUS_METERS }) => {
+  try {
+    const { data, error } = await supabase.rpc('nearby_complaints', {
+      target_latitude: latitude,
+      target_longitude: longitude,
+      radius_meters: radius
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching nearby complaints:', error);
+    throw error;
+  }
+};
+
 /**
  * Get user's complaints
  */
@@ -80,28 +196,132 @@ export const getUserComplaints = async (userId) => {
   }
 };
 
+// Error codes getComplaintById attaches so pages can show the right empty state
+export const COMPLAINT_NOT_FOUND = 'complaint_not_found';
+export const COMPLAINT_FORBIDDEN = 'complaint_forbidden';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const complaintAccessError = (code) => {
+  const error = new Error(code === COMPLAINT_FORBIDDEN
+    ? 'You do not have access to this complaint'
+    : 'Complaint not found');
+  error.code = code;
+  return error;
+};
+
 /**
- * Get all complaints (for admin)
+ * Get a single complaint. Throws with code COMPLAINT_NOT_FOUND or
+ * COMPLAINT_FORBIDDEN when it can't be shown.
  */
-export const getAllComplaints = async (filters = {}) => {
+export const getComplaintById = async (complaintId) => {
   try {
-    let query = supabase
+    // Old links used ids like '1'; Postgres would reject them as invalid UUIDs
+    if (!UUID_PATTERN.test(complaintId || '')) {
+      throw complaintAccessError(COMPLAINT_NOT_FOUND);
+    }
+
+    const { data, error } = await supabase
       .from('complaints')
       .select('*')
-      .order('created_at', { ascending: false });
+      .eq('id', complaintId)
+      .maybeSingle();
 
-    // Apply filters
-    if (filters.status && filters.status !== 'all') {
-      query = query.eq('status', filters.status);
-    }
-    if (filters.category) {
-      query = query.eq('category', filters.category);
-    }
-    if (filters.department) {
-      query = query.eq('department', filters.department);
-    }
-    if (filters.search) {
-      query = query.or(`description.ilike.%${filters.search}%,address.ilike.%${filters.search}%`);
+    if (error) throw error;
+    if (data) return data;
+
+    // RLS returns nothing for complaints the user can't read, so ask whether it exists at all
+    const { data: exists, error: existsError } = await supabase
+      .rpc('complaint_exists', { complaint_id: complaintId });
+
+    if (existsError) throw existsError;
+    throw complaintAccessError(exists ? COMPLAINT_FORBIDDEN : COMPLAINT_NOT_FOUND);
+  } catch (error) {
+    console.error('Error fetching complaint:', error);
+    throw error;
+  }
+};
+
+// Dates are 'yyyy-MM-dd' from date inputs, inclusive, in local time
+const applyDateRange = (query, column, from, to) => {
+  if (from) {
+    query = query.gte(column, new Date(`${from}T00:00:00`).toISOString());
+  }
+  if (to) {
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    query = query.lt(column, end.toISOString());
+  }
+  return query;
+};
+
+// Admin table filters, shared by the paged table and the export.
+// categories, departments and priorities are arrays; area is
+// { south, west, north, east } in degrees.
+const applyComplaintFilters = (query, filters) => {
+  if (filters.status && filters.status !== 'all') {
+    query = query.eq('status', filters.status);
+  }
+  if (filters.categories?.length) {
+    query = query.in('category', filters.categories);
+  }
+  if (filters.departments?.length) {
+    query = query.in('department', filters.departments);
+  }
+  if (filters.priorities?.length) {
+    query = query.in('priority', filters.priorities);
+  }
+  query = applyDateRange(query, 'created_at', filters.createdFrom, filters.createdTo);
+  query = applyDateRange(query, 'resolved_at', filters.resolvedFrom, filters.resolvedTo);
+  // Still unresolved after more than N days
+  if (filters.olderThanDays) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - filters.olderThanDays);
+    query = query.lt('created_at', cutoff.toISOString()).is('resolved_at', null);
+  }
+  // Open and past an SLA deadline
+  if (filters.overdue) {
+    query = query.eq('is_overdue', true);
+  }
+  if (filters.area) {
+    query = query
+      .gte('latitude', filters.area.south)
+      .lte('latitude', filters.area.north)
+      .gte('longitude', filters.area.west)
+      .lte('longitude', filters.area.east);
+  }
+  return query;
+};
+
+// is_overdue is a computed column from 0022_complaint_slas.sql
+const COMPLAINT_COLUMNS = '*, is_overdue';
+
+// Complaints to filter and page through. With a search term this is the
+// search_complaints() function from 0014_complaint_search.sql, best matches first.
+const selectComplaints = (filters, options) => {
+  const search = filters.search?.trim();
+  if (search) {
+    return supabase
+      .rpc('search_complaints', { search_query: search }, options)
+      .select(COMPLAINT_COLUMNS);
+  }
+  return supabase.from('complaints').select(COMPLAINT_COLUMNS, options);
+};
+
+/**
+ * Get all complaints (for admin).
+ * Pass range as { from, to } (inclusive row offsets) to fetch one slice.
+ */
+export const getAllComplaints = async (filters = {}, range = null) => {
+  try {
+    // id breaks ties so pages neither repeat nor skip rows filed at the same moment
+    let query = applyComplaintFilters(
+      selectComplaints(filters).order('created_at', { ascending: false }).order('id'),
+      filters
+    );
+
+    if (range) {
+      query = query.range(range.from, range.to);
     }
 
     const { data, error } = await query;
@@ -114,31 +334,475 @@ export const getAllComplaints = async (filters = {}) => {
   }
 };
 
+// Sortable columns of the admin table. Priority and status sort by the rank
+// columns from 0013_complaint_sorting.sql; support by the count kept in
+// 0020_complaint_support.sql; score by the stored priority_score; age is
+// created_at the other way round.
+// relevance keeps the search ranking, or falls back to newest first.
+export const COMPLAINT_SORT_FIELDS = {
+  relevance: { column: null },
+  created_at: { column: 'created_at' },
+  priority: { column: 'priority_rank' },
+  status: { column: 'status_rank' },
+  support: { column: 'supporter_count' },
+  score: { column: 'priority_score' },
+  department: { column: 'department' },
+  age: { column: 'created_at', reversed: true },
+  due: { column: 'resolve_due_at', reversed: true }
+};
+
+/**
+ * Get one page of complaints (for admin) with the total matching the filters.
+ * Returns { complaints, total }.
+ */
+export const getComplaintsPage = async (filters = {}, {
+  page = 1,
+  pageSize = 25,
+  sortBy = 'created_at',
+  sortDirection = 'desc'
+} = {}) => {
+  try {
+    let sort = COMPLAINT_SORT_FIELDS[sortBy] || COMPLAINT_SORT_FIELDS.created_at;
+    if (!sort.column && !filters.search?.trim()) {
+      sort = COMPLAINT_SORT_FIELDS.created_at;
+    }
+    const ascending = (sortDirection === 'asc') !== Boolean(sort.reversed);
+    const from = (page - 1) * pageSize;
+
+    let query = selectComplaints(filters, { count: 'exact' });
+
+    if (sort.column) {
+      query = query.order(sort.column, { ascending });
+      // Ties keep a stable order so rows don't jump between pages
+      if (sort.column !== 'created_at') {
+        query = query.order('created_at', { ascending: false });
+      }
+      query = query.order('id');
+    }
+    // Relevance keeps the order of search_complaints(): rank, then created_at,
+    // then id. An order added here would replace the ranking, not follow it.
+    query = applyComplaintFilters(query, filters).range(from, from + pageSize - 1);
+
+    const { data, count, error } = await query;
+
+    if (error) throw error;
+    return { complaints: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error fetching complaints page:', error);
+    throw error;
+  }
+};
+
 /**
- * Update complaint status (for admin)
+ * Complaint counts per status for the admin stat cards, visible to the
+ * current user. Returns { [status]: { total, today } }.
+ */
+export const getComplaintStatusCounts = async () => {
+  try {
+    const dayStart = new Date();
+    dayStart.setHours(0, 0, 0, 0);
+
+    const { data, error } = await supabase
+      .rpc('complaint_status_counts', { day_start: dayStart.toISOString() });
+
+    if (error) throw error;
+
+    const counts = {};
+    (data || []).forEach(row => {
+      counts[row.status] = { total: Number(row.total), today: Number(row.filed_today) };
+    });
+    return counts;
+  } catch (error) {
+    console.error('Error fetching complaint counts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the open complaints the current user can see that are past an SLA
+ * deadline.
+ */
+export const getOverdueCount = async () => {
+  try {
+    const { count, error } = await supabase
+      .from('complaints')
+      .select('id', { count: 'exact', head: true })
+      .eq('is_overdue', true);
+
+    if (error) throw error;
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting overdue complaints:', error);
+    throw error;
+  }
+};
+
+// Realtime reuses a channel with the same topic, so every subscription gets its own
+let channelCount = 0;
+
+/**
+ * Listen for complaints being filed or updated. RLS decides which rows the
+ * current user hears about. filter narrows it further with a Realtime filter
+ * such as 'id=eq.<uuid>'. onChange gets (eventType, row) where eventType is
+ * 'INSERT' or 'UPDATE'. Returns a function that stops listening.
+ */
+export const subscribeToComplaints = (onChange, { filter } = {}) => {
+  channelCount += 1;
+  const options = { schema: 'public', table: 'complaints', ...(filter ? { filter } : {}) };
+
+  const channel = supabase
+    .channel(`complaints-${channelCount}`)
+    .on('postgres_changes', { event: 'INSERT', ...options }, payload => onChange('INSERT', payload.new))
+    .on('postgres_changes', { event: 'UPDATE', ...options }, payload => onChange('UPDATE', payload.new))
+    .subscribe((status, error) => {
+      if (error) console.error('Error subscribing to complaints:', error);
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+/**
+ * Update complaint status (for admin).
+ * Status changes must follow STATUS_DEFINITIONS; the database enforces the same
+ * transitions, stamps resolved_at and records each change in complaint_events.
  */
 export const updateComplaintStatus = async (complaintId, updates) => {
   try {
+    if (updates.status) {
+      const { data: current, error: currentError } = await supabase
+        .from('complaints')
+        .select('status')
+        .eq('id', complaintId)
+        .maybeSingle();
+
+      if (currentError) throw currentError;
+      if (!current) {
+        throw new Error('You do not have permission to update this complaint');
+      }
+      if (current.status !== updates.status && !getStaffTransitions(current.status).includes(updates.status)) {
+        throw new Error(
+          `A complaint cannot move from ${getStatusLabel(current.status)} to ${getStatusLabel(updates.status)}`
+        );
+      }
+    }
+
     const updateData = {
       ...updates,
       updated_at: new Date().toISOString()
     };
 
-    if (updates.status === 'resolved') {
-      updateData.resolved_at = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('complaints')
+      .update(updateData)
+      .eq('id', complaintId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    // RLS filters out rows the user may not update, so nothing comes back
+    if (!data) {
+      throw new Error('You do not have permission to update this complaint');
     }
+    return data;
+  } catch (error) {
+    console.error('Error updating complaint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Apply the same changes to several complaints (for admin).
+ * Rows that fail are rolled back individually; returns { updated, failed }
+ * where failed is a list of { id, error }.
+ */
+export const bulkUpdateComplaints = async (complaintIds, changes) => {
+  try {
+    const { data, error } = await supabase.rpc('bulk_update_complaints', {
+      complaint_ids: complaintIds,
+      changes
+    });
+
+    if (error) throw error;
+    return {
+      updated: data.filter(row => row.succeeded).map(row => row.complaint_id),
+      failed: data
+        .filter(row => !row.succeeded)
+        .map(row => ({ id: row.complaint_id, error: row.error_message }))
+    };
+  } catch (error) {
+    console.error('Error updating complaints in bulk:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close duplicateIds as duplicates of parentId, moving their reporters and
+ * supporters over to it. Returns { updated: [id], failed: [{ id, error }] }
+ * like bulkUpdateComplaints.
+ */
+export const mergeComplaints = async (parentId, duplicateIds) => {
+  try {
+    const { data, error } = await supabase.rpc('merge_complaints', {
+      parent_complaint: parentId,
+      duplicate_ids: duplicateIds
+    });
+
+    if (error) throw error;
+    return {
+      updated: data.filter(row => row.succeeded).map(row => row.complaint_id),
+      failed: data
+        .filter(row => !row.succeeded)
+        .map(row => ({ id: row.complaint_id, error: row.error_message }))
+    };
+  } catch (error) {
+    console.error('Error merging complaints:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open complaints that look like the same issue as complaintId
+ */
+export const getDuplicateCandidates = async (complaintId) => {
+  try {
+    const { data, error } = await supabase.rpc('find_duplicate_candidates', {
+      target_complaint: complaintId
+    });
 
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error finding duplicate candidates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Complaints merged into complaintId, oldest first
+ */
+export const getMergedComplaints = async (complaintId) => {
+  try {
     const { data, error } = await supabase
       .from('complaints')
-      .update(updateData)
+      .select('id, category, address, description, created_at')
+      .eq('duplicate_of', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching merged complaints:', error);
+    throw error;
+  }
+};
+
+/**
+ * A complaint's automatic priority score with the points each factor added.
+ * Returns { score, priority, factors: [{ factor, label, points, detail }] }.
+ */
+export const getPriorityBreakdown = async (complaintId) => {
+  try {
+    const { data, error } = await supabase
+      .from('complaints')
+      .select('priority_score, effective_priority, priority_breakdown')
       .eq('id', complaintId)
+      .single();
+
+    if (error) throw error;
+    return {
+      score: data.priority_score,
+      priority: data.effective_priority,
+      factors: data.priority_breakdown || []
+    };
+  } catch (error) {
+    console.error('Error fetching priority breakdown:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a complaint's history, oldest first
+ */
+export const getComplaintEvents = async (complaintId) => {
+  try {
+    const { data, error } = await supabase
+      .from('complaint_events')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching complaint history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the comment thread for a complaint, oldest first.
+ * Staff also receive soft-deleted comments (deleted_at set).
+ */
+export const getComplaintComments = async (complaintId) => {
+  try {
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a comment. The author, name and role are set by the database.
+ */
+export const addComplaintComment = async (complaintId, body) => {
+  try {
+    const { data, error } = await supabase
+      .from('complaint_comments')
+      .insert([{ complaint_id: complaintId, body: body.trim() }])
       .select()
       .single();
 
     if (error) throw error;
     return data;
   } catch (error) {
-    console.error('Error updating complaint:', error);
+    console.error('Error adding comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Soft-delete a comment (own comments, or any comment for staff)
+ */
+export const deleteComplaintComment = async (commentId) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('delete_complaint_comment', { target_comment: commentId });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's rating for a complaint, or null if not rated yet
+ */
+export const getComplaintRating = async (complaintId) => {
+  try {
+    const { data, error } = await supabase
+      .from('complaint_ratings')
+      .select('*')
+      .eq('complaint_id', complaintId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching rating:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rate a resolved complaint (reporter only, once)
+ */
+export const submitComplaintRating = async (complaintId, rating, feedback = '') => {
+  try {
+    const { data, error } = await supabase
+      .from('complaint_ratings')
+      .insert([{
+        complaint_id: complaintId,
+        rating,
+        feedback: feedback.trim() || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // one_rating_per_reporter
+      if (error.code === '23505') {
+        throw new Error('You have already rated this complaint');
+      }
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    console.error('Error submitting rating:', error);
+    throw error;
+  }
+};
+
+/**
+ * Average satisfaction per department and category (for admin).
+ * Officers only get their own department.
+ */
+export const getRatingSummary = async () => {
+  try {
+    const { data, error } = await supabase.rpc('rating_summary');
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      department: row.department,
+      category: row.category,
+      count: Number(row.ratings_count),
+      average: Number(row.average_rating),
+      lowCount: Number(row.low_ratings_count)
+    }));
+  } catch (error) {
+    console.error('Error fetching rating summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reopen a resolved complaint the reporter says was not fixed.
+ * evidencePath is the storage path of a photo the reporter uploaded with
+ * uploadImageFile; the server checks it is theirs.
+ */
+export const reopenComplaint = async (complaintId, reason, evidencePath) => {
+  try {
+    const { data, error } = await supabase.rpc('reopen_complaint', {
+      target_complaint: complaintId,
+      reason,
+      evidence_path: evidencePath
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error reopening complaint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Share of resolved complaints reopened by citizens, per department (for admin)
+ */
+export const getReopenSummary = async () => {
+  try {
+    const { data, error } = await supabase.rpc('reopen_summary');
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      department: row.department,
+      resolvedCount: Number(row.resolved_count),
+      reopenedCount: Number(row.reopened_count),
+      rate: Number(row.reopen_rate)
+    }));
+  } catch (error) {
+    console.error('Error fetching reopen summary:', error);
     throw error;
   }
 };
@@ -160,9 +824,9 @@ export const getComplaintStats = async (userId = null) => {
 
     const stats = {
       total: data.length,
-      pending: data.filter(c => c.status === 'pending').length,
-      inProgress: data.filter(c => c.status === 'in_progress').length,
-      resolved: data.filter(c => c.status === 'resolved').length,
+      pending: data.filter(c => getStatusStage(c.status) === STATUS_STAGES.OPEN).length,
+      inProgress: data.filter(c => getStatusStage(c.status) === STATUS_STAGES.ACTIVE).length,
+      resolved: data.filter(c => getStatusStage(c.status) === STATUS_STAGES.DONE).length,
       byCategory: {}
     };
 
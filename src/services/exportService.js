@@ -0,0 +1,146 @@
+import writeExcelFile from 'write-excel-file/browser';
+import { format } from 'date-fns';
+import { getAllComplaints } from './complaintService';
+import { getProfilesByIds, listStaffProfiles } from './userService';
+import { getStatusLabel } from '../constants/statuses';
+import { ESCALATION_LEVEL_LABELS } from '../constants/roles';
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+const hoursBetween = (start, end) =>
+  Math.round(((new Date(end) - new Date(start)) / (1000 * 60 * 60)) * 10) / 10;
+
+// Export columns, in order. type is 'string', 'number' or 'date'.
+const EXPORT_COLUMNS = [
+  { header: 'Complaint ID', width: 38, value: row => row.id },
+  { header: 'Category', width: 14, value: row => row.category },
+  { header: 'Description', width: 50, value: row => row.description },
+  { header: 'Status', width: 14, value: row => getStatusLabel(row.status) },
+  { header: 'Priority', width: 10, value: row => row.priority },
+  { header: 'Priority Score', type: 'number', value: row => row.priority_score },
+  { header: 'Department', width: 24, value: row => row.department },
+  { header: 'Address', width: 40, value: row => row.address },
+  { header: 'Latitude', type: 'number', value: row => Number(row.latitude) },
+  { header: 'Longitude', type: 'number', value: row => Number(row.longitude) },
+  { header: 'Filed At', type: 'date', width: 18, value: row => row.created_at },
+  { header: 'Updated At', type: 'date', width: 18, value: row => row.updated_at },
+  { header: 'Resolved At', type: 'date', width: 18, value: row => row.resolved_at },
+  {
+    header: 'Resolution Time (hours)',
+    type: 'number',
+    value: row => (row.resolved_at ? hoursBetween(row.created_at, row.resolved_at) : null)
+  },
+  { header: 'Resolve By', type: 'date', width: 18, value: row => row.resolve_due_at },
+  { header: 'SLA Breached At', type: 'date', width: 18, value: row => row.sla_breached_at },
+  {
+    header: 'Escalated To',
+    width: 18,
+    value: row => (row.escalation_level > 0 ? ESCALATION_LEVEL_LABELS[row.escalation_level] : '')
+  },
+  { header: 'Assigned To', width: 20, value: row => row.assignee?.name || '' },
+  { header: 'Admin Notes', width: 40, value: row => row.admin_notes },
+  { header: 'Times Reopened', type: 'number', value: row => row.reopen_count || 0 },
+  { header: 'Supporters', type: 'number', value: row => row.supporter_count || 0 },
+  { header: 'Duplicate Of', width: 38, value: row => row.duplicate_of },
+  { header: 'AI Prediction', width: 14, value: row => row.ai_prediction?.predictedClass },
+  { header: 'AI Confidence', type: 'number', value: row => (row.ai_confidence != null ? Number(row.ai_confidence) : null) },
+  { header: 'Photo URL', width: 40, value: row => row.image_url },
+  // Citizen profiles are only readable by super admins, so these stay empty for officers
+  { header: 'Reporter Name', width: 20, value: row => row.reporter?.name },
+  { header: 'Reporter Email', width: 28, value: row => row.reporter?.email },
+  { header: 'Reporter Phone', width: 16, value: row => row.reporter?.phone }
+];
+
+const fetchAllComplaints = async (filters) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = await getAllComplaints(filters, { from, to: from + PAGE_SIZE - 1 });
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  let text = type === 'date' ? format(new Date(value), 'yyyy-MM-dd HH:mm') : String(value);
+  if (type !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const writeCsv = (rows, fileName) => {
+  const lines = [
+    EXPORT_COLUMNS.map(column => toCsvCell(column.header)).join(','),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => toCsvCell(column.value(row), column.type)).join(','))
+  ];
+  // The byte order mark makes Excel read the file as UTF-8 (Hindi addresses)
+  downloadBlob(new Blob(['\uFEFF', lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+const toXlsxCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (type === 'date') return { value: new Date(value), type: Date, format: 'yyyy-mm-dd hh:mm' };
+  if (type === 'number') return { value, type: Number };
+  return { value: String(value), type: String };
+};
+
+const writeXlsx = (rows, fileName) =>
+  writeExcelFile(
+    [
+      EXPORT_COLUMNS.map(column => ({ value: column.header, fontWeight: 'bold' })),
+      ...rows.map(row => EXPORT_COLUMNS.map(column => toXlsxCell(column.value(row), column.type)))
+    ],
+    {
+      sheet: 'Complaints',
+      columns: EXPORT_COLUMNS.map(column => ({ width: column.width || 12 })),
+      stickyRowsCount: 1
+    }
+  ).toFile(fileName);
+
+/**
+ * Download every complaint matching the admin dashboard filters as
+ * 'csv' or 'xlsx'. Returns the number of complaints exported.
+ */
+export const exportComplaints = async (filters, fileType = 'csv') => {
+  try {
+    const complaints = await fetchAllComplaints(filters);
+    const reporterIds = [...new Set(complaints.map(row => row.user_id).filter(Boolean))];
+    const [profiles, staff] = await Promise.all([getProfilesByIds(reporterIds), listStaffProfiles()]);
+    const staffById = Object.fromEntries(staff.map(person => [person.id, person]));
+
+    const rows = complaints.map(row => ({
+      ...row,
+      reporter: profiles[row.user_id],
+      assignee: staffById[row.assigned_to]
+    }));
+
+    const fileName = `urbansetu-complaints-${format(new Date(), 'yyyy-MM-dd')}.${fileType}`;
+    if (fileType === 'xlsx') {
+      await writeXlsx(rows, fileName);
+    } else {
+      writeCsv(rows, fileName);
+    }
+    return rows.length;
+  } catch (error) {
+    console.error('Error exporting complaints:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,49 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Teachable Machine image models are MobileNet followed by a small
+// classification head. The MobileNet half turns a photo into a feature vector
+// (1280 numbers); photos of the same scene give vectors pointing the same
+// way, which find_similar_complaints() compares by cosine similarity.
+
+// Same square centre crop Teachable Machine uses before predicting
+const cropToSquare = (image, size) => {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = size / Math.min(width, height);
+  const scaledWidth = Math.ceil(width * scale);
+  const scaledHeight = Math.ceil(height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext('2d').drawImage(
+    image,
+    -Math.floor((scaledWidth - size) / 2),
+    -Math.floor((scaledHeight - size) / 2),
+    scaledWidth,
+    scaledHeight
+  );
+  return canvas;
+};
+
+/**
+ * Feature vector of an image from a loaded Teachable Machine model, or null
+ * if the model isn't shaped as expected
+ */
+export const getImageEmbedding = async (model, image) => {
+  const base = model?.model?.layers?.[0];
+  if (!base) return null;
+
+  const size = model.getMetadata().imageSize || 224;
+  const features = tf.tidy(() => {
+    const pixels = tf.browser.fromPixels(cropToSquare(image, size));
+    // The model expects values between -1 and 1
+    const input = pixels.expandDims(0).toFloat().div(tf.scalar(127)).sub(tf.scalar(1));
+    return base.predict(input).flatten();
+  });
+
+  const values = await features.data();
+  features.dispose();
+  // Four decimals is plenty for comparing and keeps the upload small
+  return Array.from(values, value => Math.round(value * 10000) / 10000);
+};
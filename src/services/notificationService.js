@@ -0,0 +1,179 @@
+import { supabase } from '../config/supabase';
+import { getStatusLabel } from '../constants/statuses';
+import { ESCALATION_LEVEL_LABELS } from '../constants/roles';
+
+/**
+ * Get the current user's most recent notifications, newest first
+ */
+export const getNotifications = async (limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the current user's unread notifications
+ */
+export const getUnreadNotificationCount = async () => {
+  try {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .is('read_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark one notification as read
+ */
+export const markNotificationRead = async (notificationId) => {
+  try {
+    const { error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .is('read_at', null);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    const { error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .is('read_at', null);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's delivery preferences: the language and which
+ * notification types go out by email, SMS and push
+ */
+export const getNotificationPreferences = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('language, email_types, sms_types, push_types')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the current user's delivery preferences. Every profile gets a
+ * preferences row when it is created.
+ */
+export const updateNotificationPreferences = async (userId, preferences) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .update(preferences)
+      .eq('user_id', userId)
+      .select('language, email_types, sms_types, push_types')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error saving notification preferences:', error);
+    throw error;
+  }
+};
+
+// Realtime reuses a channel with the same topic, so every subscription gets its own
+let channelCount = 0;
+
+/**
+ * Listen for new notifications for a user. Returns a function that stops
+ * listening.
+ */
+export const subscribeToNotifications = (userId, onNotification) => {
+  channelCount += 1;
+
+  const channel = supabase
+    .channel(`notifications-${channelCount}`)
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'notifications', filter: `user_id=eq.${userId}` },
+      payload => onNotification(payload.new)
+    )
+    .subscribe((status, error) => {
+      if (error) console.error('Error subscribing to notifications:', error);
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+/**
+ * Word a notification from its type and metadata. Returns { title, body }.
+ */
+export const describeNotification = (notification) => {
+  const details = notification.metadata || {};
+  const subject = [details.category, details.address].filter(Boolean).join(' - ') || 'Your complaint';
+  const actor = details.actor_name || 'UrbanSetu';
+
+  switch (notification.type) {
+    case 'status_changed':
+      return {
+        title: `${subject}: ${getStatusLabel(details.to_status)}`,
+        body: `${actor} changed the status from ${getStatusLabel(details.from_status)} to ${getStatusLabel(details.to_status)}.`
+      };
+    case 'comment':
+      return { title: `New comment on ${subject}`, body: `${actor} added a comment.` };
+    case 'assigned':
+      return { title: `Assigned to you: ${subject}`, body: `${actor} assigned this complaint to you.` };
+    case 'sla_breached':
+      return {
+        title: `Overdue: ${subject}`,
+        body: details.deadline === 'acknowledge'
+          ? 'This complaint has passed its acknowledgement deadline.'
+          : 'This complaint has passed its resolution deadline.'
+      };
+    case 'escalated':
+      return {
+        title: `Escalated to you: ${subject}`,
+        body: `This complaint missed its deadline and has been escalated to you as ${
+          (ESCALATION_LEVEL_LABELS[details.escalation_level] || 'the next level').toLowerCase()
+        }.`
+      };
+    default:
+      return { title: subject, body: '' };
+  }
+};
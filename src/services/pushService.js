@@ -0,0 +1,107 @@
+import { supabase } from '../config/supabase';
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+const SERVICE_WORKER_URL = '/push-sw.js';
+
+// The push service wants the VAPID key as bytes rather than base64url
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const saveSubscription = async (subscription) => {
+  const { endpoint, keys } = subscription.toJSON();
+  const { error } = await supabase.rpc('save_push_subscription', {
+    subscription_endpoint: endpoint,
+    subscription_p256dh: keys.p256dh,
+    subscription_auth: keys.auth,
+    subscription_user_agent: navigator.userAgent
+  });
+
+  if (error) throw error;
+};
+
+/**
+ * Whether this browser can get push notifications and the app has a VAPID key
+ */
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * This browser's push subscription, or null if push is off here
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for permission, subscribe this browser and store the subscription for
+ * the signed-in user
+ */
+export const enablePush = async () => {
+  try {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site in your browser settings');
+    }
+
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+      });
+
+    await saveSubscription(subscription);
+  } catch (error) {
+    console.error('Error enabling push notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Turn push off for this browser
+ */
+export const disablePush = async () => {
+  try {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('endpoint', subscription.endpoint);
+
+    if (error) throw error;
+    await subscription.unsubscribe();
+  } catch (error) {
+    console.error('Error disabling push notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Store this browser's existing subscription for the signed-in user again, so
+ * a shared device follows whoever signed in last. Returns whether push is on.
+ */
+export const syncPushSubscription = async () => {
+  try {
+    const subscription = await getPushSubscription();
+    if (!subscription || Notification.permission !== 'granted') return false;
+
+    await saveSubscription(subscription);
+    return true;
+  } catch (error) {
+    console.error('Error syncing push subscription:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,20 @@
+import { supabase } from '../config/supabase';
+
+/**
+ * Read an app-wide setting from app_settings, or the fallback if it isn't set
+ */
+export const getSetting = async (key, fallback = null) => {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.value : fallback;
+  } catch (error) {
+    console.error(`Error fetching setting ${key}:`, error);
+    throw error;
+  }
+};
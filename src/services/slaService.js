@@ -0,0 +1,73 @@
+import { supabase } from '../config/supabase';
+
+const SLA_POLICY_COLUMNS = 'id, department, category, acknowledge_hours, resolve_hours, updated_at';
+
+/**
+ * All SLA policies, department by department with the department-wide row
+ * (no category) first
+ */
+export const listSlaPolicies = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('sla_policies')
+      .select(SLA_POLICY_COLUMNS)
+      .order('department')
+      .order('category', { ascending: true, nullsFirst: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a policy, or change the hours of an existing one when it has an id
+ * (super admins only, enforced by RLS). A null category covers the rest of
+ * the department. New hours apply to complaints filed afterwards.
+ */
+export const saveSlaPolicy = async ({ id, department, category = null, acknowledgeHours, resolveHours }) => {
+  try {
+    const hours = {
+      acknowledge_hours: acknowledgeHours,
+      resolve_hours: resolveHours,
+      updated_at: new Date().toISOString()
+    };
+    const query = id
+      ? supabase.from('sla_policies').update(hours).eq('id', id)
+      : supabase.from('sla_policies').insert({ department, category, ...hours });
+
+    const { data, error } = await query.select(SLA_POLICY_COLUMNS).single();
+
+    if (error) {
+      // idx_sla_policies_scope allows one row per department and category
+      if (error.code === '23505') {
+        throw new Error('There is already a policy for that department and category');
+      }
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    console.error('Error saving SLA policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a policy (super admins only). Complaints filed afterwards fall back
+ * to the department-wide row, or get no deadlines if there is none.
+ */
+export const deleteSlaPolicy = async (policyId) => {
+  try {
+    const { error } = await supabase
+      .from('sla_policies')
+      .delete()
+      .eq('id', policyId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    throw error;
+  }
+};
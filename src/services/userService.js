@@ -0,0 +1,146 @@
+import { supabase } from '../config/supabase';
+
+/**
+ * Get a user's profile (role, department, contact details)
+ */
+export const getProfile = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the signed-in user's contact details.
+ * Role and department can only be changed through setUserRole.
+ */
+export const updateOwnProfile = async (userId, updates) => {
+  try {
+    const { name, phone, address } = updates;
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({ name, phone, address })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    throw error;
+  }
+};
+
+// Keeps the profiles lookup URL short
+const PROFILE_BATCH_SIZE = 100;
+
+/**
+ * Profiles the current user may read, keyed by id. RLS silently leaves out
+ * the rest, so officers get back only their own.
+ */
+export const getProfilesByIds = async (userIds, columns = 'id, name, email, phone') => {
+  try {
+    const profiles = {};
+    for (let i = 0; i < userIds.length; i += PROFILE_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select(columns)
+        .in('id', userIds.slice(i, i + PROFILE_BATCH_SIZE));
+
+      if (error) throw error;
+      (data || []).forEach(profile => {
+        profiles[profile.id] = profile;
+      });
+    }
+    return profiles;
+  } catch (error) {
+    console.error('Error fetching profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * List all profiles (super admin only, enforced by RLS)
+ */
+export const listProfiles = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * List officers and super admins, e.g. to pick an assignee.
+ * Comes from staff_directory(), so only id, name, role and department.
+ */
+export const listStaffProfiles = async () => {
+  try {
+    const { data, error } = await supabase.rpc('staff_directory');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching staff profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Directory entry (id, name, role, department) for one staff member,
+ * or null if the id is not staff
+ */
+export const getStaffProfile = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('staff_directory')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching staff profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Grant or revoke a role (super admin only, enforced by set_user_role).
+ * staffLevel makes an officer a department head or a super admin the
+ * commissioner; see ROLE_STAFF_LEVELS.
+ */
+export const setUserRole = async (userId, role, department = null, staffLevel = null) => {
+  try {
+    const { data, error } = await supabase.rpc('set_user_role', {
+      target_user: userId,
+      new_role: role,
+      new_department: department,
+      new_staff_level: staffLevel
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error updating role:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,64 @@
+-- Complaints table
+--
+-- Baseline schema, previously copied by hand from SUPABASE_INTEGRATION.md.
+-- Safe to run on a project that already has the table.
+-- Access policies are in 0005_complaints_rls.sql.
+
+CREATE TABLE IF NOT EXISTS public.complaints (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Complaint Details
+  category VARCHAR(50) NOT NULL, -- Pothole, Garbage, Sewage, StreetLight, FallenTree
+  description TEXT NOT NULL,
+  priority VARCHAR(20) NOT NULL DEFAULT 'medium', -- low, medium, high, urgent
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, in_progress, resolved, rejected
+
+  -- Department Assignment
+  department VARCHAR(100) NOT NULL, -- Auto-assigned based on category
+
+  -- Location Data
+  address TEXT NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+
+  -- Image Storage
+  image_url TEXT, -- URL from Supabase Storage
+
+  -- AI Prediction Data
+  ai_prediction JSONB, -- Store AI confidence scores and predictions
+  ai_confidence DECIMAL(5, 4), -- Confidence score (0-1)
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+
+  -- Admin Notes
+  admin_notes TEXT,
+  assigned_to UUID REFERENCES auth.users(id) -- Admin user assigned
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_user_id ON public.complaints(user_id);
+CREATE INDEX IF NOT EXISTS idx_complaints_status ON public.complaints(status);
+CREATE INDEX IF NOT EXISTS idx_complaints_category ON public.complaints(category);
+CREATE INDEX IF NOT EXISTS idx_complaints_department ON public.complaints(department);
+CREATE INDEX IF NOT EXISTS idx_complaints_created_at ON public.complaints(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_complaints_location ON public.complaints USING GIST (point(longitude, latitude));
+
+ALTER TABLE public.complaints ENABLE ROW LEVEL SECURITY;
+
+-- Keep updated_at current on every update
+CREATE OR REPLACE FUNCTION public.update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_complaints_updated_at ON public.complaints;
+CREATE TRIGGER update_complaints_updated_at
+  BEFORE UPDATE ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_updated_at_column();
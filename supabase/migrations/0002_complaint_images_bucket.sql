@@ -0,0 +1,6 @@
+-- Public storage bucket for complaint photos
+-- (replaces CREATE_STORAGE_BUCKET.sql; access policies are in 0005_complaints_rls.sql)
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('complaint-images', 'complaint-images', true)
+ON CONFLICT (id) DO NOTHING;
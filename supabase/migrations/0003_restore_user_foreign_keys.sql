@@ -0,0 +1,54 @@
+-- Restore the user_id / assigned_to foreign keys
+--
+-- FIX_FOREIGN_KEY.sql turned both columns into TEXT so the old mock login
+-- could store client-generated ids. With Supabase Auth every id is a real
+-- auth.users row again, so put the UUID types and foreign keys back.
+-- Does nothing to the column types on a fresh database.
+
+-- Policies that reference user_id block the type change; 0005 recreates
+-- the current ones
+DROP POLICY IF EXISTS "Citizens can view own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Citizens can insert own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Citizens read own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Citizens create own complaints" ON public.complaints;
+
+ALTER TABLE public.complaints DROP CONSTRAINT IF EXISTS complaints_user_id_fkey;
+ALTER TABLE public.complaints DROP CONSTRAINT IF EXISTS complaints_assigned_to_fkey;
+
+DO $$
+BEGIN
+  IF (
+    SELECT data_type FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'complaints' AND column_name = 'user_id'
+  ) = 'text' THEN
+    -- Complaints filed under the mock login point at users that never existed.
+    -- Keep the complaints (staff still see them) but detach them.
+    UPDATE public.complaints
+    SET user_id = NULL
+    WHERE user_id IS NOT NULL
+      AND user_id NOT IN (SELECT id::text FROM auth.users);
+
+    ALTER TABLE public.complaints ALTER COLUMN user_id TYPE UUID USING user_id::uuid;
+  END IF;
+
+  IF (
+    SELECT data_type FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'complaints' AND column_name = 'assigned_to'
+  ) = 'text' THEN
+    UPDATE public.complaints
+    SET assigned_to = NULL
+    WHERE assigned_to IS NOT NULL
+      AND assigned_to NOT IN (SELECT id::text FROM auth.users);
+
+    ALTER TABLE public.complaints ALTER COLUMN assigned_to TYPE UUID USING assigned_to::uuid;
+  END IF;
+END;
+$$;
+
+ALTER TABLE public.complaints
+  ADD CONSTRAINT complaints_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE;
+
+ALTER TABLE public.complaints
+  ADD CONSTRAINT complaints_assigned_to_fkey
+  FOREIGN KEY (assigned_to) REFERENCES auth.users(id) ON DELETE SET NULL;
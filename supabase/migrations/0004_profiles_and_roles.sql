@@ -0,0 +1,198 @@
+-- User profiles and server-side roles
+--
+-- Roles live in public.profiles and can only be changed through
+-- set_user_role(), which is restricted to super admins. The userType that
+-- the old client stored in auth metadata is ignored.
+--
+-- A profile row (email, phone, address) is readable by its owner and by
+-- super admins only. Pages that need to show who a staff member is read
+-- staff_directory() instead, which returns id, name, role and department.
+--
+-- Roles:
+--   citizen      - default for every new sign-up
+--   officer      - department officer, works complaints for one department
+--   super_admin  - full access, grants and revokes roles
+--
+-- Bootstrap the first super admin from the SQL Editor (runs as the service role):
+--   UPDATE public.profiles SET role = 'super_admin' WHERE email = 'you@example.com';
+
+CREATE TABLE IF NOT EXISTS public.profiles (
+  id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT,
+  email TEXT,
+  phone VARCHAR(20),
+  address TEXT,
+
+  role VARCHAR(20) NOT NULL DEFAULT 'citizen'
+    CHECK (role IN ('citizen', 'officer', 'super_admin')),
+  department VARCHAR(100), -- Same values as complaints.department
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT officers_have_department
+    CHECK (role <> 'officer' OR department IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON public.profiles(role);
+
+-- Create a citizen profile for every new auth user
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.profiles (id, name, email, phone)
+  VALUES (
+    NEW.id,
+    NEW.raw_user_meta_data->>'name',
+    NEW.email,
+    NEW.raw_user_meta_data->>'phone'
+  )
+  ON CONFLICT (id) DO NOTHING;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_new_user();
+
+-- Backfill users who signed up before this migration
+INSERT INTO public.profiles (id, name, email, phone)
+SELECT id, raw_user_meta_data->>'name', email, raw_user_meta_data->>'phone'
+FROM auth.users
+ON CONFLICT (id) DO NOTHING;
+
+-- Role helpers used by RLS policies. SECURITY DEFINER so policies on
+-- profiles itself can call them without recursing.
+CREATE OR REPLACE FUNCTION public.user_role()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT role FROM public.profiles WHERE id = auth.uid();
+$$;
+
+CREATE OR REPLACE FUNCTION public.user_department()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT department FROM public.profiles WHERE id = auth.uid();
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_super_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(public.user_role() = 'super_admin', false);
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_staff()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(public.user_role() IN ('officer', 'super_admin'), false);
+$$;
+
+-- Row Level Security
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own profile" ON public.profiles;
+CREATE POLICY "Users read own profile"
+  ON public.profiles FOR SELECT
+  USING (id = auth.uid());
+
+DROP POLICY IF EXISTS "Super admins read all profiles" ON public.profiles;
+CREATE POLICY "Super admins read all profiles"
+  ON public.profiles FOR SELECT
+  USING (public.is_super_admin());
+
+DROP POLICY IF EXISTS "Users update own profile" ON public.profiles;
+CREATE POLICY "Users update own profile"
+  ON public.profiles FOR UPDATE
+  USING (id = auth.uid())
+  WITH CHECK (id = auth.uid());
+
+-- Clients may only edit contact details; role and department are changed
+-- through set_user_role() below
+REVOKE INSERT, UPDATE, DELETE ON public.profiles FROM anon, authenticated;
+GRANT SELECT ON public.profiles TO authenticated;
+GRANT UPDATE (name, phone, address) ON public.profiles TO authenticated;
+
+-- Grant or revoke a role. Only an existing super admin may call this.
+CREATE OR REPLACE FUNCTION public.set_user_role(
+  target_user UUID,
+  new_role TEXT,
+  new_department TEXT DEFAULT NULL
+)
+RETURNS public.profiles
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  updated_profile public.profiles;
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only a super admin can change user roles'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF target_user = auth.uid() AND new_role <> 'super_admin' THEN
+    RAISE EXCEPTION 'Super admins cannot remove their own role'
+      USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles
+  SET role = new_role,
+      department = CASE WHEN new_role = 'officer' THEN new_department ELSE NULL END,
+      updated_at = NOW()
+  WHERE id = target_user
+  RETURNING * INTO updated_profile;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', target_user
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN updated_profile;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.set_user_role(UUID, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_user_role(UUID, TEXT, TEXT) TO authenticated;
+
+-- Officers and super admins, e.g. to pick an assignee or to show who is
+-- working a complaint. Filter it like a table: rpc('staff_directory').eq('id', ...).
+CREATE OR REPLACE FUNCTION public.staff_directory()
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  role VARCHAR,
+  department VARCHAR
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p.id, COALESCE(p.name, split_part(p.email, '@', 1)), p.role, p.department
+  FROM public.profiles p
+  WHERE p.role <> 'citizen'
+  ORDER BY p.name;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.staff_directory() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.staff_directory() TO authenticated;
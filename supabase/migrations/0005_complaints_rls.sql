@@ -0,0 +1,104 @@
+-- Row Level Security for complaints and complaint images
+--
+-- Replaces the allow-everything policies from FIX_RLS_POLICIES.sql:
+--   citizens   read and create only their own complaints
+--   officers   read and update complaints for their own department
+--   super admins read and update every complaint
+-- Nobody deletes complaints through the API.
+
+ALTER TABLE public.complaints ENABLE ROW LEVEL SECURITY;
+
+-- Policies from SUPABASE_INTEGRATION.md and the old FIX_RLS_POLICIES.sql
+DROP POLICY IF EXISTS "Citizens can view own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Citizens can insert own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Admins can view all complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Admins can update all complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Users see own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Users create own complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Admins see all complaints" ON public.complaints;
+DROP POLICY IF EXISTS "Admins update all complaints" ON public.complaints;
+
+-- Can the current user work complaints for this department?
+CREATE OR REPLACE FUNCTION public.can_manage_department(complaint_department TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT public.is_super_admin()
+    OR (public.user_role() = 'officer' AND complaint_department = public.user_department());
+$$;
+
+DROP POLICY IF EXISTS "Citizens read own complaints" ON public.complaints;
+CREATE POLICY "Citizens read own complaints"
+  ON public.complaints FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff read managed complaints" ON public.complaints;
+CREATE POLICY "Staff read managed complaints"
+  ON public.complaints FOR SELECT
+  TO authenticated
+  USING (public.can_manage_department(department));
+
+-- New complaints start untouched: citizens can't pre-set admin fields
+DROP POLICY IF EXISTS "Citizens create own complaints" ON public.complaints;
+CREATE POLICY "Citizens create own complaints"
+  ON public.complaints FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND status = 'pending'
+    AND resolved_at IS NULL
+    AND assigned_to IS NULL
+    AND admin_notes IS NULL
+  );
+
+-- What updateComplaintStatus does. Officers can't move a complaint out of
+-- their department; super admins can.
+DROP POLICY IF EXISTS "Staff update managed complaints" ON public.complaints;
+CREATE POLICY "Staff update managed complaints"
+  ON public.complaints FOR UPDATE
+  TO authenticated
+  USING (public.can_manage_department(department))
+  WITH CHECK (public.can_manage_department(department));
+
+REVOKE ALL ON public.complaints FROM anon;
+REVOKE DELETE, TRUNCATE ON public.complaints FROM authenticated;
+
+-- Complaint images: anyone can view, users write only inside their own folder
+-- (uploadImage stores files as '<user id>/<timestamp>.<ext>')
+DROP POLICY IF EXISTS "Public Access" ON storage.objects;
+DROP POLICY IF EXISTS "Users upload images" ON storage.objects;
+DROP POLICY IF EXISTS "Users update images" ON storage.objects;
+DROP POLICY IF EXISTS "Users delete images" ON storage.objects;
+DROP POLICY IF EXISTS "Users can upload own images" ON storage.objects;
+DROP POLICY IF EXISTS "Users can update own images" ON storage.objects;
+DROP POLICY IF EXISTS "Users can delete own images" ON storage.objects;
+
+CREATE POLICY "Public Access"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'complaint-images');
+
+CREATE POLICY "Users can upload own images"
+  ON storage.objects FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'complaint-images'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can update own images"
+  ON storage.objects FOR UPDATE
+  TO authenticated
+  USING (
+    bucket_id = 'complaint-images'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can delete own images"
+  ON storage.objects FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'complaint-images'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,18 @@
+-- Tell "no access" apart from "doesn't exist"
+--
+-- RLS hides complaints the user may not read, so a direct lookup returns
+-- nothing in both cases. This only reveals whether the id exists, never
+-- any of the row, so the tracking page can show a proper forbidden state.
+
+CREATE OR REPLACE FUNCTION public.complaint_exists(complaint_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (SELECT 1 FROM public.complaints WHERE id = complaint_id);
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.complaint_exists(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.complaint_exists(UUID) TO authenticated;
@@ -0,0 +1,143 @@
+-- Complaint history
+--
+-- Every change to a complaint is recorded in complaint_events by a trigger,
+-- so the history can't be skipped or forged from the client:
+--   created          complaint filed
+--   status_changed   from_status -> to_status
+--   assigned         assigned_to changed (metadata.assigned_to)
+--   note             admin_notes changed (message holds the new note)
+--   comment          reserved for complaint comments
+--
+-- The actor's name and role are copied onto the event so citizens can see
+-- who acted without being able to read other users' profiles.
+
+CREATE TABLE IF NOT EXISTS public.complaint_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  complaint_id UUID NOT NULL REFERENCES public.complaints(id) ON DELETE CASCADE,
+
+  event_type VARCHAR(30) NOT NULL
+    CHECK (event_type IN ('created', 'status_changed', 'assigned', 'note', 'comment')),
+  from_status VARCHAR(20),
+  to_status VARCHAR(20),
+  message TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- NULL actor means the system (service role, scheduled jobs, backfill)
+  actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  actor_role VARCHAR(20),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_events_complaint
+  ON public.complaint_events(complaint_id, created_at);
+
+-- Record an event as the current user
+CREATE OR REPLACE FUNCTION public.record_complaint_event(
+  target_complaint UUID,
+  new_event_type TEXT,
+  old_status TEXT DEFAULT NULL,
+  new_status TEXT DEFAULT NULL,
+  event_message TEXT DEFAULT NULL,
+  event_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS public.complaint_events
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  actor public.profiles;
+  event public.complaint_events;
+BEGIN
+  SELECT * INTO actor FROM public.profiles WHERE id = auth.uid();
+
+  INSERT INTO public.complaint_events (
+    complaint_id, event_type, from_status, to_status, message, metadata,
+    actor_id, actor_name, actor_role
+  )
+  VALUES (
+    target_complaint, new_event_type, old_status, new_status, event_message,
+    COALESCE(event_metadata, '{}'::jsonb),
+    actor.id, COALESCE(actor.name, actor.email), actor.role
+  )
+  RETURNING * INTO event;
+
+  RETURN event;
+END;
+$$;
+
+-- Only the triggers below write events
+REVOKE EXECUTE ON FUNCTION public.record_complaint_event(UUID, TEXT, TEXT, TEXT, TEXT, JSONB)
+  FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.log_complaint_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  assignee_name TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.record_complaint_event(NEW.id, 'created', NULL, NEW.status);
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM public.record_complaint_event(NEW.id, 'status_changed', OLD.status, NEW.status);
+  END IF;
+
+  IF NEW.assigned_to IS DISTINCT FROM OLD.assigned_to THEN
+    SELECT COALESCE(name, email) INTO assignee_name
+    FROM public.profiles WHERE id = NEW.assigned_to;
+
+    PERFORM public.record_complaint_event(
+      NEW.id, 'assigned', NULL, NULL, assignee_name,
+      jsonb_build_object('assigned_to', NEW.assigned_to, 'previous_assignee', OLD.assigned_to)
+    );
+  END IF;
+
+  IF NEW.admin_notes IS DISTINCT FROM OLD.admin_notes AND NULLIF(TRIM(NEW.admin_notes), '') IS NOT NULL THEN
+    PERFORM public.record_complaint_event(NEW.id, 'note', NULL, NULL, NEW.admin_notes);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_complaint_changes ON public.complaints;
+CREATE TRIGGER log_complaint_changes
+  AFTER INSERT OR UPDATE ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.log_complaint_changes();
+
+-- Backfill what can be recovered for existing complaints
+INSERT INTO public.complaint_events (complaint_id, event_type, to_status, created_at)
+SELECT c.id, 'created', 'pending', c.created_at
+FROM public.complaints c
+WHERE NOT EXISTS (SELECT 1 FROM public.complaint_events e WHERE e.complaint_id = c.id);
+
+INSERT INTO public.complaint_events (complaint_id, event_type, to_status, created_at)
+SELECT c.id, 'status_changed', 'resolved', c.resolved_at
+FROM public.complaints c
+WHERE c.resolved_at IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM public.complaint_events e
+    WHERE e.complaint_id = c.id AND e.event_type = 'status_changed'
+  );
+
+-- Row Level Security: events are visible to whoever can see the complaint
+ALTER TABLE public.complaint_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Events follow complaint visibility" ON public.complaint_events;
+CREATE POLICY "Events follow complaint visibility"
+  ON public.complaint_events FOR SELECT
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.complaints c WHERE c.id = complaint_id));
+
+REVOKE ALL ON public.complaint_events FROM anon;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON public.complaint_events FROM authenticated;
+GRANT SELECT ON public.complaint_events TO authenticated;
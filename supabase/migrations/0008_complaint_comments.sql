@@ -0,0 +1,144 @@
+-- Complaint comments
+--
+-- A discussion thread per complaint between the reporter and the staff
+-- working it. Author, name and role are stamped by a trigger from the
+-- caller's profile, never taken from the client.
+--
+-- Comments are soft-deleted through delete_complaint_comment(): citizens
+-- stop seeing them, staff still can for moderation.
+
+CREATE TABLE IF NOT EXISTS public.complaint_comments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  complaint_id UUID NOT NULL REFERENCES public.complaints(id) ON DELETE CASCADE,
+
+  author_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_name TEXT,
+  author_role VARCHAR(20),
+
+  body TEXT NOT NULL
+    CHECK (length(trim(body)) > 0 AND length(body) <= 2000),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_comments_complaint
+  ON public.complaint_comments(complaint_id, created_at);
+
+CREATE OR REPLACE FUNCTION public.set_comment_author()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  author public.profiles;
+BEGIN
+  SELECT * INTO author FROM public.profiles WHERE id = auth.uid();
+
+  NEW.author_id := auth.uid();
+  NEW.author_name := COALESCE(author.name, author.email);
+  NEW.author_role := author.role;
+  NEW.created_at := NOW();
+  NEW.deleted_at := NULL;
+  NEW.deleted_by := NULL;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_comment_author ON public.complaint_comments;
+CREATE TRIGGER set_comment_author
+  BEFORE INSERT ON public.complaint_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_comment_author();
+
+-- Only the comment id goes into the history. The text stays in the thread,
+-- so deleting a comment removes it everywhere.
+CREATE OR REPLACE FUNCTION public.log_complaint_comment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.record_complaint_event(
+    NEW.complaint_id, 'comment', NULL, NULL, NULL,
+    jsonb_build_object('comment_id', NEW.id)
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_complaint_comment ON public.complaint_comments;
+CREATE TRIGGER log_complaint_comment
+  AFTER INSERT ON public.complaint_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.log_complaint_comment();
+
+-- Soft-delete a comment. Authors can delete their own, staff any comment on
+-- a complaint they manage.
+CREATE OR REPLACE FUNCTION public.delete_complaint_comment(target_comment UUID)
+RETURNS public.complaint_comments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  existing public.complaint_comments;
+  complaint_department TEXT;
+BEGIN
+  SELECT * INTO existing FROM public.complaint_comments WHERE id = target_comment;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment % not found', target_comment
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT department INTO complaint_department
+  FROM public.complaints WHERE id = existing.complaint_id;
+
+  IF existing.author_id IS DISTINCT FROM auth.uid()
+     AND NOT public.can_manage_department(complaint_department) THEN
+    RAISE EXCEPTION 'You can only delete your own comments'
+      USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.complaint_comments
+  SET deleted_at = COALESCE(deleted_at, NOW()),
+      deleted_by = COALESCE(deleted_by, auth.uid())
+  WHERE id = target_comment
+  RETURNING * INTO existing;
+
+  RETURN existing;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.delete_complaint_comment(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.delete_complaint_comment(UUID) TO authenticated;
+
+-- Row Level Security: the thread follows complaint visibility
+ALTER TABLE public.complaint_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Comments follow complaint visibility" ON public.complaint_comments;
+CREATE POLICY "Comments follow complaint visibility"
+  ON public.complaint_comments FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM public.complaints c WHERE c.id = complaint_id)
+    AND (deleted_at IS NULL OR public.is_staff())
+  );
+
+DROP POLICY IF EXISTS "Users comment on visible complaints" ON public.complaint_comments;
+CREATE POLICY "Users comment on visible complaints"
+  ON public.complaint_comments FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    author_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.complaints c WHERE c.id = complaint_id)
+  );
+
+REVOKE ALL ON public.complaint_comments FROM anon;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON public.complaint_comments FROM authenticated;
+GRANT SELECT ON public.complaint_comments TO authenticated;
+GRANT INSERT (complaint_id, body) ON public.complaint_comments TO authenticated;
@@ -0,0 +1,87 @@
+-- Resolution ratings
+--
+-- The reporter can rate a resolved complaint once, from 1 to 5 stars with
+-- optional feedback. rating_summary() averages them per department and
+-- category for the admin dashboard; it runs with the caller's permissions,
+-- so officers only see their own department.
+
+CREATE TABLE IF NOT EXISTS public.complaint_ratings (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  complaint_id UUID NOT NULL REFERENCES public.complaints(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  feedback TEXT CHECK (length(feedback) <= 1000),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT one_rating_per_reporter UNIQUE (complaint_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_ratings_complaint
+  ON public.complaint_ratings(complaint_id);
+
+ALTER TABLE public.complaint_ratings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Reporters read own ratings" ON public.complaint_ratings;
+CREATE POLICY "Reporters read own ratings"
+  ON public.complaint_ratings FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Staff read managed ratings" ON public.complaint_ratings;
+CREATE POLICY "Staff read managed ratings"
+  ON public.complaint_ratings FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.complaints c
+      WHERE c.id = complaint_id AND public.can_manage_department(c.department)
+    )
+  );
+
+-- Only the reporter, and only once the complaint is resolved
+DROP POLICY IF EXISTS "Reporters rate resolved complaints" ON public.complaint_ratings;
+CREATE POLICY "Reporters rate resolved complaints"
+  ON public.complaint_ratings FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM public.complaints c
+      WHERE c.id = complaint_id
+        AND c.user_id = auth.uid()
+        AND c.status = 'resolved'
+    )
+  );
+
+-- Ratings are final
+REVOKE ALL ON public.complaint_ratings FROM anon;
+REVOKE UPDATE, DELETE, TRUNCATE ON public.complaint_ratings FROM authenticated;
+GRANT SELECT, INSERT ON public.complaint_ratings TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.rating_summary()
+RETURNS TABLE (
+  department VARCHAR,
+  category VARCHAR,
+  ratings_count BIGINT,
+  average_rating NUMERIC,
+  low_ratings_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.department,
+    c.category,
+    count(*) AS ratings_count,
+    round(avg(r.rating), 2) AS average_rating,
+    count(*) FILTER (WHERE r.rating <= 2) AS low_ratings_count
+  FROM public.complaint_ratings r
+  JOIN public.complaints c ON c.id = r.complaint_id
+  GROUP BY c.department, c.category
+  ORDER BY c.department, c.category;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.rating_summary() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.rating_summary() TO authenticated;
@@ -0,0 +1,212 @@
+-- Reopening disputed resolutions
+--
+-- Within a configurable window after resolution the reporter can say the
+-- issue was not fixed. reopen_complaint() takes a reason and a new photo,
+-- moves the complaint to 'reopened' and clears resolved_at. The status
+-- change is logged like any other, with the reason and photo attached.
+--
+-- The photo is given as its path in the complaint-images bucket
+-- ('<user id>/<file>'), not as a URL, so it can be checked against the
+-- uploaded objects. Clients turn the path into a link with getPublicUrl().
+
+-- App-wide settings editable by super admins
+CREATE TABLE IF NOT EXISTS public.app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  description TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO public.app_settings (key, value, description) VALUES
+  ('reopen_window_days', '7', 'Days after resolution during which the reporter can mark a complaint as not fixed')
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE public.app_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Settings are readable" ON public.app_settings;
+CREATE POLICY "Settings are readable"
+  ON public.app_settings FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Super admins change settings" ON public.app_settings;
+CREATE POLICY "Super admins change settings"
+  ON public.app_settings FOR UPDATE
+  TO authenticated
+  USING (public.is_super_admin())
+  WITH CHECK (public.is_super_admin());
+
+REVOKE ALL ON public.app_settings FROM anon;
+REVOKE INSERT, DELETE, TRUNCATE ON public.app_settings FROM authenticated;
+GRANT SELECT, UPDATE ON public.app_settings TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.app_setting(setting_key TEXT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT value FROM public.app_settings WHERE key = setting_key;
+$$;
+
+-- Reopen bookkeeping on the complaint itself
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS reopen_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_reopened_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS reopen_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reopen_evidence_path TEXT;
+
+-- New complaints can't arrive already reopened
+DROP POLICY IF EXISTS "Citizens create own complaints" ON public.complaints;
+CREATE POLICY "Citizens create own complaints"
+  ON public.complaints FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND status = 'pending'
+    AND resolved_at IS NULL
+    AND assigned_to IS NULL
+    AND admin_notes IS NULL
+    AND reopen_count = 0
+    AND last_reopened_at IS NULL
+    AND reopen_reason IS NULL
+    AND reopen_evidence_path IS NULL
+  );
+
+CREATE OR REPLACE FUNCTION public.reopen_complaint(
+  target_complaint UUID,
+  reason TEXT,
+  evidence_path TEXT
+)
+RETURNS public.complaints
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  window_days INTEGER;
+BEGIN
+  SELECT * INTO complaint FROM public.complaints WHERE id = target_complaint FOR UPDATE;
+
+  IF NOT FOUND OR complaint.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the reporter can reopen this complaint'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF complaint.status <> 'resolved' THEN
+    RAISE EXCEPTION 'Only resolved complaints can be reopened';
+  END IF;
+
+  window_days := COALESCE((public.app_setting('reopen_window_days'))::INTEGER, 7);
+  IF complaint.resolved_at IS NULL
+     OR complaint.resolved_at < NOW() - make_interval(days => window_days) THEN
+    RAISE EXCEPTION 'Complaints can only be reopened within % days of being resolved', window_days;
+  END IF;
+
+  -- The photo must be one the reporter uploaded to their own folder
+  IF evidence_path IS NULL
+     OR left(evidence_path, length(auth.uid()::text) + 1) <> auth.uid()::text || '/'
+     OR NOT EXISTS (
+       SELECT 1 FROM storage.objects o
+       WHERE o.bucket_id = 'complaint-images' AND o.name = evidence_path
+     ) THEN
+    RAISE EXCEPTION 'A new photo of the issue is required to reopen a complaint';
+  END IF;
+
+  UPDATE public.complaints
+  SET status = 'reopened',
+      resolved_at = NULL,
+      reopen_count = reopen_count + 1,
+      last_reopened_at = NOW(),
+      reopen_reason = NULLIF(TRIM(reason), ''),
+      reopen_evidence_path = evidence_path
+  WHERE id = target_complaint
+  RETURNING * INTO complaint;
+
+  RETURN complaint;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reopen_complaint(UUID, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.reopen_complaint(UUID, TEXT, TEXT) TO authenticated;
+
+-- Same as 0007, plus the reason and photo on reopen events
+CREATE OR REPLACE FUNCTION public.log_complaint_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  assignee_name TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.record_complaint_event(NEW.id, 'created', NULL, NEW.status);
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    IF NEW.status = 'reopened' THEN
+      PERFORM public.record_complaint_event(
+        NEW.id, 'status_changed', OLD.status, NEW.status, NEW.reopen_reason,
+        jsonb_build_object('evidence_path', NEW.reopen_evidence_path, 'reopen_count', NEW.reopen_count)
+      );
+    ELSE
+      PERFORM public.record_complaint_event(NEW.id, 'status_changed', OLD.status, NEW.status);
+    END IF;
+  END IF;
+
+  IF NEW.assigned_to IS DISTINCT FROM OLD.assigned_to THEN
+    SELECT COALESCE(name, email) INTO assignee_name
+    FROM public.profiles WHERE id = NEW.assigned_to;
+
+    PERFORM public.record_complaint_event(
+      NEW.id, 'assigned', NULL, NULL, assignee_name,
+      jsonb_build_object('assigned_to', NEW.assigned_to, 'previous_assignee', OLD.assigned_to)
+    );
+  END IF;
+
+  IF NEW.admin_notes IS DISTINCT FROM OLD.admin_notes AND NULLIF(TRIM(NEW.admin_notes), '') IS NOT NULL THEN
+    PERFORM public.record_complaint_event(NEW.id, 'note', NULL, NULL, NEW.admin_notes);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Share of resolved complaints that citizens reopened, per department.
+-- Runs with the caller's permissions, so officers see their own department.
+CREATE OR REPLACE FUNCTION public.reopen_summary()
+RETURNS TABLE (
+  department VARCHAR,
+  resolved_count BIGINT,
+  reopened_count BIGINT,
+  reopen_rate NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH outcomes AS (
+    SELECT
+      c.department,
+      c.id,
+      bool_or(e.to_status = 'reopened') AS was_reopened
+    FROM public.complaints c
+    JOIN public.complaint_events e ON e.complaint_id = c.id
+    WHERE e.event_type = 'status_changed' AND e.to_status IN ('resolved', 'reopened')
+    GROUP BY c.department, c.id
+  )
+  SELECT
+    department,
+    count(*) AS resolved_count,
+    count(*) FILTER (WHERE was_reopened) AS reopened_count,
+    round(count(*) FILTER (WHERE was_reopened)::NUMERIC / count(*), 4) AS reopen_rate
+  FROM outcomes
+  GROUP BY department
+  ORDER BY reopen_rate DESC, department;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reopen_summary() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.reopen_summary() TO authenticated;
@@ -0,0 +1,95 @@
+-- Complaint status state machine
+--
+-- pending → acknowledged → assigned → in_progress → resolved → closed,
+-- with reopened (reporter only, via reopen_complaint()), rejected and
+-- duplicate as side exits. A BEFORE UPDATE trigger refuses any other jump,
+-- whoever makes it. The client mirrors the same table in
+-- src/constants/statuses.js to drive badges, filters and progress bars.
+
+-- Anything outside the lifecycle predates it; start those over
+UPDATE public.complaints
+SET status = 'pending'
+WHERE status NOT IN (
+  'pending', 'acknowledged', 'assigned', 'in_progress', 'resolved',
+  'closed', 'reopened', 'rejected', 'duplicate'
+);
+
+ALTER TABLE public.complaints DROP CONSTRAINT IF EXISTS complaints_status_check;
+ALTER TABLE public.complaints ADD CONSTRAINT complaints_status_check CHECK (
+  status IN (
+    'pending', 'acknowledged', 'assigned', 'in_progress', 'resolved',
+    'closed', 'reopened', 'rejected', 'duplicate'
+  )
+);
+
+CREATE OR REPLACE FUNCTION public.is_valid_status_transition(from_status TEXT, to_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT (from_status, to_status) IN (
+    ('pending', 'acknowledged'),
+    ('pending', 'rejected'),
+    ('pending', 'duplicate'),
+    ('acknowledged', 'assigned'),
+    ('acknowledged', 'rejected'),
+    ('acknowledged', 'duplicate'),
+    ('assigned', 'in_progress'),
+    ('assigned', 'acknowledged'),
+    ('in_progress', 'resolved'),
+    ('in_progress', 'assigned'),
+    ('resolved', 'closed'),
+    ('resolved', 'reopened'),
+    ('reopened', 'assigned'),
+    ('reopened', 'in_progress')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.enforce_status_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT public.is_valid_status_transition(OLD.status, NEW.status) THEN
+    RAISE EXCEPTION 'Cannot move a complaint from % to %', OLD.status, NEW.status
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF NEW.status = 'reopened' AND OLD.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the reporter can reopen this complaint'
+      USING ERRCODE = '42501';
+  END IF;
+
+  -- resolved_at is stamped here rather than trusted from the client
+  IF NEW.status = 'resolved' THEN
+    NEW.resolved_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_status_transition ON public.complaints;
+CREATE TRIGGER enforce_status_transition
+  BEFORE UPDATE OF status ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enforce_status_transition();
+
+-- Closed complaints were resolved first, so their reporters can still rate them
+DROP POLICY IF EXISTS "Reporters rate resolved complaints" ON public.complaint_ratings;
+CREATE POLICY "Reporters rate resolved complaints"
+  ON public.complaint_ratings FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM public.complaints c
+      WHERE c.id = complaint_id
+        AND c.user_id = auth.uid()
+        AND c.status IN ('resolved', 'closed')
+    )
+  );
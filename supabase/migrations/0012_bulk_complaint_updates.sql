@@ -0,0 +1,150 @@
+-- Bulk updates from the admin complaints table
+--
+-- bulk_update_complaints() applies one set of changes to many complaints in
+-- a single call. Each row is updated inside its own savepoint, so a row that
+-- fails (illegal status jump, another department's complaint, ...) is rolled
+-- back on its own and reported, while the rest go through. It runs with the
+-- caller's permissions: RLS and the status trigger apply to every row.
+--
+-- check_complaint_assignee makes sure complaints are only assigned to a super
+-- admin or an officer of the complaint's department, whether the change comes
+-- from the complaint drawer or from a bulk update.
+
+-- Which complaint a duplicate points to
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES public.complaints(id) ON DELETE SET NULL;
+
+ALTER TABLE public.complaints DROP CONSTRAINT IF EXISTS complaints_duplicate_of_check;
+ALTER TABLE public.complaints ADD CONSTRAINT complaints_duplicate_of_check CHECK (
+  duplicate_of IS NULL OR (status = 'duplicate' AND duplicate_of <> id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaints_duplicate_of
+  ON public.complaints(duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+-- Same as 0010, plus duplicate_of
+DROP POLICY IF EXISTS "Citizens create own complaints" ON public.complaints;
+CREATE POLICY "Citizens create own complaints"
+  ON public.complaints FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND status = 'pending'
+    AND resolved_at IS NULL
+    AND assigned_to IS NULL
+    AND admin_notes IS NULL
+    AND reopen_count = 0
+    AND last_reopened_at IS NULL
+    AND reopen_reason IS NULL
+    AND reopen_evidence_path IS NULL
+    AND duplicate_of IS NULL
+  );
+
+CREATE OR REPLACE FUNCTION public.bulk_update_complaints(complaint_ids UUID[], changes JSONB)
+RETURNS TABLE (
+  complaint_id UUID,
+  succeeded BOOLEAN,
+  error_message TEXT
+)
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  target UUID;
+  updated_id UUID;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only staff can update complaints in bulk'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF changes IS NULL OR changes = '{}'::JSONB THEN
+    RAISE EXCEPTION 'No changes given';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_object_keys(changes) AS field
+    WHERE field NOT IN ('status', 'priority', 'department', 'assigned_to', 'admin_notes', 'duplicate_of')
+  ) THEN
+    RAISE EXCEPTION 'Bulk updates can only change status, priority, department, assigned_to, admin_notes and duplicate_of';
+  END IF;
+
+  FOREACH target IN ARRAY complaint_ids LOOP
+    complaint_id := target;
+    succeeded := true;
+    error_message := NULL;
+
+    BEGIN
+      updated_id := NULL;
+
+      UPDATE public.complaints c
+      SET status = CASE WHEN changes ? 'status' THEN changes->>'status' ELSE c.status END,
+          priority = CASE WHEN changes ? 'priority' THEN changes->>'priority' ELSE c.priority END,
+          department = CASE WHEN changes ? 'department' THEN changes->>'department' ELSE c.department END,
+          assigned_to = CASE WHEN changes ? 'assigned_to' THEN (changes->>'assigned_to')::UUID ELSE c.assigned_to END,
+          admin_notes = CASE WHEN changes ? 'admin_notes' THEN changes->>'admin_notes' ELSE c.admin_notes END,
+          duplicate_of = CASE WHEN changes ? 'duplicate_of' THEN (changes->>'duplicate_of')::UUID ELSE c.duplicate_of END
+      WHERE c.id = target
+      RETURNING c.id INTO updated_id;
+
+      -- RLS hides complaints the caller can't update
+      IF updated_id IS NULL THEN
+        RAISE EXCEPTION 'Complaint not found or outside your department';
+      END IF;
+    EXCEPTION
+      WHEN OTHERS THEN
+        succeeded := false;
+        error_message := SQLERRM;
+    END;
+
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.bulk_update_complaints(UUID[], JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.bulk_update_complaints(UUID[], JSONB) TO authenticated;
+
+-- Super admins can take any complaint; officers only their department's
+CREATE OR REPLACE FUNCTION public.is_valid_assignee(assignee UUID, complaint_department TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = assignee
+      AND (p.role = 'super_admin' OR (p.role = 'officer' AND p.department = complaint_department))
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.check_complaint_assignee()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.assigned_to IS NULL OR public.is_valid_assignee(NEW.assigned_to, NEW.department) THEN
+    RETURN NEW;
+  END IF;
+
+  -- Moving a complaint to another department takes it off the old
+  -- department's officer, so it lands in the new department's queue
+  IF TG_OP = 'UPDATE'
+     AND NEW.assigned_to IS NOT DISTINCT FROM OLD.assigned_to
+     AND NEW.department IS DISTINCT FROM OLD.department THEN
+    NEW.assigned_to := NULL;
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'Complaints can only be assigned to a super admin or an officer of %', NEW.department
+    USING ERRCODE = 'check_violation';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_complaint_assignee ON public.complaints;
+CREATE TRIGGER check_complaint_assignee
+  BEFORE INSERT OR UPDATE OF assigned_to, department ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_complaint_assignee();
@@ -0,0 +1,64 @@
+-- Server-side sorting and counts for the admin complaints table
+--
+-- Priority and status sort by meaning, not alphabetically, through generated
+-- rank columns. complaint_status_counts() feeds the dashboard stat cards
+-- without downloading every complaint; it runs with the caller's permissions,
+-- so officers count their own department.
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS priority_rank SMALLINT GENERATED ALWAYS AS (
+    CASE priority
+      WHEN 'low' THEN 1
+      WHEN 'medium' THEN 2
+      WHEN 'high' THEN 3
+      WHEN 'urgent' THEN 4
+      ELSE 0
+    END
+  ) STORED;
+
+-- Same order as STATUS_ORDER in src/constants/statuses.js
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS status_rank SMALLINT GENERATED ALWAYS AS (
+    CASE status
+      WHEN 'pending' THEN 1
+      WHEN 'acknowledged' THEN 2
+      WHEN 'assigned' THEN 3
+      WHEN 'in_progress' THEN 4
+      WHEN 'resolved' THEN 5
+      WHEN 'closed' THEN 6
+      WHEN 'reopened' THEN 7
+      WHEN 'rejected' THEN 8
+      WHEN 'duplicate' THEN 9
+      ELSE 0
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_priority_rank
+  ON public.complaints(priority_rank, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_complaints_status_rank
+  ON public.complaints(status_rank, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_complaints_department_created_at
+  ON public.complaints(department, created_at DESC);
+
+-- filed_today counts complaints created at or after day_start, which the
+-- client passes as midnight in the user's time zone
+CREATE OR REPLACE FUNCTION public.complaint_status_counts(day_start TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  status VARCHAR,
+  total BIGINT,
+  filed_today BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.status,
+    count(*) AS total,
+    count(*) FILTER (WHERE c.created_at >= day_start) AS filed_today
+  FROM public.complaints c
+  GROUP BY c.status
+  ORDER BY c.status;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.complaint_status_counts(TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.complaint_status_counts(TIMESTAMP WITH TIME ZONE) TO authenticated;
@@ -0,0 +1,37 @@
+-- Full-text search over complaints
+--
+-- search_vector is kept up to date by Postgres and indexed with GIN.
+-- The 'english' configuration stems English words ("potholes" finds
+-- "pothole") and keeps Devanagari words as they are, so Hindi text is
+-- searchable too. search_complaints() parses the query with
+-- websearch_to_tsquery, so punctuation in the search box is never treated as
+-- syntax, and runs with the caller's permissions.
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(category, '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(address, '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(department, '')), 'C') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(admin_notes, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_search_vector
+  ON public.complaints USING GIN (search_vector);
+
+-- Best matches first. Filters, ordering and paging can be added on top of the
+-- result like on the complaints table.
+CREATE OR REPLACE FUNCTION public.search_complaints(search_query TEXT)
+RETURNS SETOF public.complaints
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT c.*
+  FROM public.complaints c,
+       websearch_to_tsquery('english'::regconfig, search_query) AS q
+  WHERE c.search_vector @@ q
+  ORDER BY ts_rank(c.search_vector, q) DESC, c.created_at DESC, c.id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.search_complaints(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.search_complaints(TEXT) TO authenticated;
@@ -0,0 +1,19 @@
+-- Live complaint updates
+--
+-- Adding complaints to the supabase_realtime publication lets the dashboards
+-- subscribe to inserts and updates. Realtime checks each change against the
+-- subscriber's RLS policies, so citizens only hear about their own complaints
+-- and officers about their department's.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'complaints'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.complaints;
+  END IF;
+END;
+$$;
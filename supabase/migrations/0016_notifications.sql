@@ -0,0 +1,144 @@
+-- In-app notifications
+--
+-- A trigger on complaint_events turns history into notifications, so every
+-- path that changes a complaint (drawer, bulk actions, reopen, comments)
+-- notifies the same people:
+--   status_changed   the reporter and the assigned officer
+--   comment          the reporter and the assigned officer
+--   assigned         the newly assigned officer
+--   sla_breached     reserved for overdue complaints
+-- Nobody is notified about their own action. metadata holds the details
+-- (category, statuses, who acted) and the app words the message, so it can
+-- be shown in the reader's language.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  complaint_id UUID REFERENCES public.complaints(id) ON DELETE CASCADE,
+
+  type VARCHAR(30) NOT NULL
+    CHECK (type IN ('status_changed', 'comment', 'assigned', 'sla_breached')),
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user
+  ON public.notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread
+  ON public.notifications(user_id) WHERE read_at IS NULL;
+
+-- Notify one user about a complaint, unless they caused it
+CREATE OR REPLACE FUNCTION public.create_notification(
+  recipient UUID,
+  target_complaint UUID,
+  notification_type TEXT,
+  notification_metadata JSONB DEFAULT '{}'::jsonb,
+  actor UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF recipient IS NULL OR recipient IS NOT DISTINCT FROM actor THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.notifications (user_id, complaint_id, type, metadata)
+  VALUES (recipient, target_complaint, notification_type, COALESCE(notification_metadata, '{}'::jsonb));
+END;
+$$;
+
+-- Only triggers and scheduled jobs create notifications
+REVOKE EXECUTE ON FUNCTION public.create_notification(UUID, UUID, TEXT, JSONB, UUID)
+  FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.notify_complaint_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  details JSONB;
+BEGIN
+  IF NEW.event_type NOT IN ('status_changed', 'comment', 'assigned') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO complaint FROM public.complaints WHERE id = NEW.complaint_id;
+
+  details := jsonb_strip_nulls(jsonb_build_object(
+    'category', complaint.category,
+    'address', split_part(complaint.address, ',', 1),
+    'actor_name', NEW.actor_name,
+    'from_status', NEW.from_status,
+    'to_status', NEW.to_status
+  ));
+
+  IF NEW.event_type = 'assigned' THEN
+    PERFORM public.create_notification(
+      (NEW.metadata ->> 'assigned_to')::UUID, complaint.id, 'assigned', details, NEW.actor_id
+    );
+    RETURN NEW;
+  END IF;
+
+  PERFORM public.create_notification(complaint.user_id, complaint.id, NEW.event_type, details, NEW.actor_id);
+  IF complaint.assigned_to IS DISTINCT FROM complaint.user_id THEN
+    PERFORM public.create_notification(complaint.assigned_to, complaint.id, NEW.event_type, details, NEW.actor_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS notify_complaint_event ON public.complaint_events;
+CREATE TRIGGER notify_complaint_event
+  AFTER INSERT ON public.complaint_events
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_complaint_event();
+
+-- Row Level Security: users see, mark read and delete their own
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own notifications" ON public.notifications;
+CREATE POLICY "Users read own notifications"
+  ON public.notifications FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users mark own notifications read" ON public.notifications;
+CREATE POLICY "Users mark own notifications read"
+  ON public.notifications FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users delete own notifications" ON public.notifications;
+CREATE POLICY "Users delete own notifications"
+  ON public.notifications FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid());
+
+REVOKE ALL ON public.notifications FROM anon;
+REVOKE INSERT, UPDATE, TRUNCATE ON public.notifications FROM authenticated;
+GRANT SELECT, DELETE ON public.notifications TO authenticated;
+GRANT UPDATE (read_at) ON public.notifications TO authenticated;
+
+-- The bell updates live
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'notifications'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.notifications;
+  END IF;
+END;
+$$;
@@ -0,0 +1,142 @@
+-- Email and SMS delivery of notifications
+--
+-- notification_preferences holds, per user, the language messages are
+-- written in and which notification types go out on each channel. Every
+-- profile gets a row with the defaults: email for everything, SMS for status
+-- changes only.
+--
+-- When a notification is created, a trigger queues one notification_deliveries
+-- row per channel the recipient wants and has a contact for (profiles.email,
+-- profiles.phone from registration). `npm run notify:dispatch` sends the
+-- queue; see scripts/dispatch-notifications.js. The dispatcher claims a batch
+-- first (status 'sending', claimed_at) and commits, then records each result
+-- on its own, so a crash never rolls back the mark of a message that already
+-- went out. A claim left behind by a dispatcher that died is picked up again
+-- once it is older than DISPATCH_CLAIM_TIMEOUT_SECONDS.
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  language VARCHAR(2) NOT NULL DEFAULT 'en' CHECK (language IN ('en', 'hi')),
+  email_types TEXT[] NOT NULL
+    DEFAULT ARRAY['status_changed', 'comment', 'assigned', 'sla_breached']
+    CHECK (email_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached']),
+  sms_types TEXT[] NOT NULL
+    DEFAULT ARRAY['status_changed']
+    CHECK (sms_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached']),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_notification_preferences_updated_at ON public.notification_preferences;
+CREATE TRIGGER update_notification_preferences_updated_at
+  BEFORE UPDATE ON public.notification_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION public.create_notification_preferences()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.notification_preferences (user_id)
+  VALUES (NEW.id)
+  ON CONFLICT (user_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS create_notification_preferences ON public.profiles;
+CREATE TRIGGER create_notification_preferences
+  AFTER INSERT ON public.profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION public.create_notification_preferences();
+
+INSERT INTO public.notification_preferences (user_id)
+SELECT id FROM public.profiles
+ON CONFLICT (user_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.notification_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  notification_id UUID NOT NULL REFERENCES public.notifications(id) ON DELETE CASCADE,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms')),
+  -- Email address or phone number at the time the notification was created
+  recipient TEXT NOT NULL,
+
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (notification_id, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_pending
+  ON public.notification_deliveries(next_attempt_at) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_claimed
+  ON public.notification_deliveries(claimed_at) WHERE status = 'sending';
+
+CREATE OR REPLACE FUNCTION public.queue_notification_deliveries()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  preferences public.notification_preferences;
+  recipient public.profiles;
+BEGIN
+  SELECT * INTO recipient FROM public.profiles WHERE id = NEW.user_id;
+  SELECT * INTO preferences FROM public.notification_preferences WHERE user_id = NEW.user_id;
+  IF recipient.id IS NULL OR preferences.user_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.type = ANY (preferences.email_types) AND NULLIF(TRIM(recipient.email), '') IS NOT NULL THEN
+    INSERT INTO public.notification_deliveries (notification_id, channel, recipient)
+    VALUES (NEW.id, 'email', TRIM(recipient.email));
+  END IF;
+
+  IF NEW.type = ANY (preferences.sms_types) AND NULLIF(TRIM(recipient.phone), '') IS NOT NULL THEN
+    INSERT INTO public.notification_deliveries (notification_id, channel, recipient)
+    VALUES (NEW.id, 'sms', TRIM(recipient.phone));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_notification_deliveries ON public.notifications;
+CREATE TRIGGER queue_notification_deliveries
+  AFTER INSERT ON public.notifications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.queue_notification_deliveries();
+
+-- Row Level Security: users read and change their own preferences. The delivery
+-- queue is only for the dispatcher, which connects as the database owner.
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Users read own notification preferences"
+  ON public.notification_preferences FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users update own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Users update own notification preferences"
+  ON public.notification_preferences FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+REVOKE ALL ON public.notification_preferences FROM anon;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON public.notification_preferences FROM authenticated;
+GRANT SELECT ON public.notification_preferences TO authenticated;
+GRANT UPDATE (language, email_types, sms_types) ON public.notification_preferences TO authenticated;
+
+REVOKE ALL ON public.notification_deliveries FROM anon, authenticated;
@@ -0,0 +1,122 @@
+-- Web Push notifications
+--
+-- push_subscriptions holds the browser push subscriptions users turn on from
+-- the app (public/push-sw.js). Notifications of the types in a user's
+-- push_types preference are queued for the 'push' channel when they have at
+-- least one subscription; the dispatcher sends them to every subscription the
+-- user has and drops the ones the push service reports as gone.
+
+CREATE TABLE IF NOT EXISTS public.push_subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON public.push_subscriptions(user_id);
+
+-- Store the current browser's subscription for the signed-in user. A browser
+-- has one endpoint whoever is signed in, so a shared device moves to the
+-- latest user instead of failing on the unique endpoint.
+CREATE OR REPLACE FUNCTION public.save_push_subscription(
+  subscription_endpoint TEXT,
+  subscription_p256dh TEXT,
+  subscription_auth TEXT,
+  subscription_user_agent TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to turn on push notifications'
+      USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+  VALUES (auth.uid(), subscription_endpoint, subscription_p256dh, subscription_auth, subscription_user_agent)
+  ON CONFLICT (endpoint) DO UPDATE
+  SET user_id = EXCLUDED.user_id,
+      p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      user_agent = EXCLUDED.user_agent,
+      created_at = NOW();
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.save_push_subscription(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.save_push_subscription(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+ALTER TABLE public.notification_preferences
+  ADD COLUMN IF NOT EXISTS push_types TEXT[] NOT NULL
+    DEFAULT ARRAY['status_changed']
+    CHECK (push_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached']);
+
+ALTER TABLE public.notification_deliveries
+  DROP CONSTRAINT IF EXISTS notification_deliveries_channel_check;
+ALTER TABLE public.notification_deliveries
+  ADD CONSTRAINT notification_deliveries_channel_check CHECK (channel IN ('email', 'sms', 'push'));
+
+CREATE OR REPLACE FUNCTION public.queue_notification_deliveries()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  preferences public.notification_preferences;
+  recipient public.profiles;
+BEGIN
+  SELECT * INTO recipient FROM public.profiles WHERE id = NEW.user_id;
+  SELECT * INTO preferences FROM public.notification_preferences WHERE user_id = NEW.user_id;
+  IF recipient.id IS NULL OR preferences.user_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.type = ANY (preferences.email_types) AND NULLIF(TRIM(recipient.email), '') IS NOT NULL THEN
+    INSERT INTO public.notification_deliveries (notification_id, channel, recipient)
+    VALUES (NEW.id, 'email', TRIM(recipient.email));
+  END IF;
+
+  IF NEW.type = ANY (preferences.sms_types) AND NULLIF(TRIM(recipient.phone), '') IS NOT NULL THEN
+    INSERT INTO public.notification_deliveries (notification_id, channel, recipient)
+    VALUES (NEW.id, 'sms', TRIM(recipient.phone));
+  END IF;
+
+  -- Push goes to all of the user's subscriptions, looked up when it is sent
+  IF NEW.type = ANY (preferences.push_types)
+     AND EXISTS (SELECT 1 FROM public.push_subscriptions WHERE user_id = NEW.user_id) THEN
+    INSERT INTO public.notification_deliveries (notification_id, channel, recipient)
+    VALUES (NEW.id, 'push', NEW.user_id::TEXT);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Row Level Security: users see and remove their own subscriptions; they are
+-- added through save_push_subscription()
+ALTER TABLE public.push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own push subscriptions" ON public.push_subscriptions;
+CREATE POLICY "Users read own push subscriptions"
+  ON public.push_subscriptions FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users delete own push subscriptions" ON public.push_subscriptions;
+CREATE POLICY "Users delete own push subscriptions"
+  ON public.push_subscriptions FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid());
+
+REVOKE ALL ON public.push_subscriptions FROM anon;
+REVOKE INSERT, UPDATE, TRUNCATE ON public.push_subscriptions FROM authenticated;
+GRANT SELECT, DELETE ON public.push_subscriptions TO authenticated;
+
+GRANT UPDATE (push_types) ON public.notification_preferences TO authenticated;
@@ -0,0 +1,310 @@
+-- Duplicate detection and merging
+--
+-- Before a citizen files a complaint, ReportComplaint asks
+-- find_similar_complaints() for open complaints of the same category nearby,
+-- ranked by how alike the photos are. complaint_image_embeddings holds the
+-- feature vector of each complaint photo, computed in the browser by the
+-- image model (src/services/imageEmbedding.js), so photos can be compared
+-- without running a model in the database.
+--
+-- A citizen whose issue is already reported adds their support to it
+-- (support_complaint()) instead of filing another one. Staff merge duplicates
+-- that were filed anyway with merge_complaints(): the duplicates are closed
+-- as duplicate_of the parent and their reporters and supporters become
+-- supporters of the parent.
+
+-- Great-circle distance in metres between two points
+CREATE OR REPLACE FUNCTION public.distance_meters(
+  from_latitude DOUBLE PRECISION,
+  from_longitude DOUBLE PRECISION,
+  to_latitude DOUBLE PRECISION,
+  to_longitude DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 2 * 6371000 * asin(sqrt(
+    sin(radians(to_latitude - from_latitude) / 2) ^ 2
+    + cos(radians(from_latitude)) * cos(radians(to_latitude))
+      * sin(radians(to_longitude - from_longitude) / 2) ^ 2
+  ));
+$$;
+
+-- Cosine similarity of two feature vectors, NULL unless both are present
+-- and the same length
+CREATE OR REPLACE FUNCTION public.embedding_similarity(a REAL[], b REAL[])
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN a IS NULL OR b IS NULL OR cardinality(a) = 0 OR cardinality(a) <> cardinality(b) THEN NULL
+    ELSE (
+      SELECT sum(x * y) / NULLIF(sqrt(sum(x * x)) * sqrt(sum(y * y)), 0)
+      FROM unnest(a, b) AS v(x, y)
+    )
+  END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.complaint_image_embeddings (
+  complaint_id UUID PRIMARY KEY REFERENCES public.complaints(id) ON DELETE CASCADE,
+  embedding REAL[] NOT NULL CHECK (cardinality(embedding) BETWEEN 1 AND 4096),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.complaint_supporters (
+  complaint_id UUID NOT NULL REFERENCES public.complaints(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (complaint_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_supporters_user_id ON public.complaint_supporters(user_id);
+
+-- Open complaints of a category within radius_meters of a point, most
+-- similar photo first, then nearest. Runs as the owner so citizens can find
+-- other people's complaints, and returns only what the duplicate prompt
+-- shows. The radius is capped at 1 km.
+CREATE OR REPLACE FUNCTION public.find_similar_complaints(
+  target_category TEXT,
+  target_latitude DOUBLE PRECISION,
+  target_longitude DOUBLE PRECISION,
+  target_embedding REAL[] DEFAULT NULL,
+  radius_meters INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+  id UUID,
+  category VARCHAR,
+  status VARCHAR,
+  address TEXT,
+  image_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  distance_meters DOUBLE PRECISION,
+  image_similarity DOUBLE PRECISION,
+  supporter_count INTEGER,
+  reported_by_me BOOLEAN,
+  supported_by_me BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH area AS (
+    SELECT
+      LEAST(GREATEST(radius_meters, 1), 1000) AS radius,
+      LEAST(GREATEST(radius_meters, 1), 1000) / 111320.0 AS lat_delta,
+      LEAST(GREATEST(radius_meters, 1), 1000) / (111320.0 * GREATEST(cos(radians(target_latitude)), 0.01)) AS lng_delta
+  ),
+  candidates AS (
+    SELECT
+      c.*,
+      public.distance_meters(target_latitude, target_longitude, c.latitude, c.longitude) AS distance,
+      public.embedding_similarity(target_embedding, e.embedding) AS similarity
+    FROM public.complaints c
+    CROSS JOIN area
+    LEFT JOIN public.complaint_image_embeddings e ON e.complaint_id = c.id
+    WHERE c.category = target_category
+      AND c.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate')
+      AND point(c.longitude, c.latitude) <@ box(
+        point(target_longitude - area.lng_delta, target_latitude - area.lat_delta),
+        point(target_longitude + area.lng_delta, target_latitude + area.lat_delta)
+      )
+  )
+  SELECT
+    c.id, c.category, c.status, c.address, c.image_url, c.created_at,
+    round(c.distance::NUMERIC, 1)::DOUBLE PRECISION,
+    round(c.similarity::NUMERIC, 3)::DOUBLE PRECISION,
+    (SELECT count(*)::INTEGER FROM public.complaint_supporters s WHERE s.complaint_id = c.id),
+    c.user_id IS NOT DISTINCT FROM auth.uid(),
+    EXISTS (SELECT 1 FROM public.complaint_supporters s WHERE s.complaint_id = c.id AND s.user_id = auth.uid())
+  FROM candidates c
+  CROSS JOIN area
+  WHERE c.distance <= area.radius
+  ORDER BY c.similarity DESC NULLS LAST, c.distance, c.created_at
+  LIMIT 5;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_similar_complaints(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, REAL[], INTEGER)
+  FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.find_similar_complaints(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, REAL[], INTEGER)
+  TO authenticated;
+
+-- Candidates for merging into a complaint the caller can see, for the admin
+-- complaint drawer
+CREATE OR REPLACE FUNCTION public.find_duplicate_candidates(target_complaint UUID)
+RETURNS SETOF public.complaints
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT c.*
+  FROM public.complaints target
+  LEFT JOIN public.complaint_image_embeddings e ON e.complaint_id = target.id
+  CROSS JOIN LATERAL public.find_similar_complaints(
+    target.category, target.latitude, target.longitude, e.embedding
+  ) candidate
+  JOIN public.complaints c ON c.id = candidate.id
+  WHERE target.id = target_complaint
+    AND c.id <> target.id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_duplicate_candidates(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.find_duplicate_candidates(UUID) TO authenticated;
+
+-- Add the current user's support to someone else's open complaint. Returns
+-- the complaint's supporter count.
+CREATE OR REPLACE FUNCTION public.support_complaint(target_complaint UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  supporters INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to support a complaint'
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO complaint FROM public.complaints WHERE id = target_complaint;
+
+  IF NOT FOUND OR complaint.status IN ('resolved', 'closed', 'rejected', 'duplicate') THEN
+    RAISE EXCEPTION 'Only open complaints can be supported';
+  END IF;
+
+  IF complaint.user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You reported this complaint yourself';
+  END IF;
+
+  INSERT INTO public.complaint_supporters (complaint_id, user_id)
+  VALUES (target_complaint, auth.uid())
+  ON CONFLICT DO NOTHING;
+
+  SELECT count(*) INTO supporters FROM public.complaint_supporters WHERE complaint_id = target_complaint;
+  RETURN supporters;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.support_complaint(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.support_complaint(UUID) TO authenticated;
+
+-- Close duplicate_ids as duplicates of parent_complaint and move their
+-- reporters and supporters over to it. Runs with the caller's permissions
+-- through bulk_update_complaints(), so each duplicate succeeds or fails on
+-- its own, with the same per-row report.
+CREATE OR REPLACE FUNCTION public.merge_complaints(parent_complaint UUID, duplicate_ids UUID[])
+RETURNS TABLE (
+  complaint_id UUID,
+  succeeded BOOLEAN,
+  error_message TEXT
+)
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  parent public.complaints;
+  result RECORD;
+  merged_ids UUID[] := ARRAY[]::UUID[];
+BEGIN
+  SELECT * INTO parent FROM public.complaints WHERE id = parent_complaint;
+
+  IF NOT FOUND OR NOT public.can_manage_department(parent.department) THEN
+    RAISE EXCEPTION 'Complaint not found or outside your department'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF parent.status IN ('closed', 'rejected', 'duplicate') THEN
+    RAISE EXCEPTION 'Duplicates can only be merged into an open complaint';
+  END IF;
+
+  FOR result IN
+    SELECT * FROM public.bulk_update_complaints(
+      array_remove(duplicate_ids, parent_complaint),
+      jsonb_build_object('status', 'duplicate', 'duplicate_of', parent_complaint)
+    )
+  LOOP
+    complaint_id := result.complaint_id;
+    succeeded := result.succeeded;
+    error_message := result.error_message;
+    RETURN NEXT;
+
+    IF result.succeeded THEN
+      merged_ids := merged_ids || result.complaint_id;
+    END IF;
+  END LOOP;
+
+  INSERT INTO public.complaint_supporters (complaint_id, user_id, created_at)
+  SELECT DISTINCT ON (people.user_id) parent_complaint, people.user_id, people.created_at
+  FROM (
+    SELECT c.user_id, c.created_at
+    FROM public.complaints c
+    WHERE c.id = ANY (merged_ids)
+    UNION ALL
+    SELECT s.user_id, s.created_at
+    FROM public.complaint_supporters s
+    WHERE s.complaint_id = ANY (merged_ids)
+  ) people
+  WHERE people.user_id IS NOT NULL
+    AND people.user_id IS DISTINCT FROM parent.user_id
+  ORDER BY people.user_id, people.created_at
+  ON CONFLICT DO NOTHING;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.merge_complaints(UUID, UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.merge_complaints(UUID, UUID[]) TO authenticated;
+
+-- Row Level Security. Reporters store the embedding of their own complaint's
+-- photo; staff read the ones they manage. Supporters are visible to the
+-- supporter and to staff managing the complaint, who also add them when
+-- merging; citizens support through support_complaint().
+ALTER TABLE public.complaint_image_embeddings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.complaint_supporters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Embeddings follow complaint visibility" ON public.complaint_image_embeddings;
+CREATE POLICY "Embeddings follow complaint visibility"
+  ON public.complaint_image_embeddings FOR SELECT
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.complaints c WHERE c.id = complaint_id));
+
+DROP POLICY IF EXISTS "Reporters add embeddings" ON public.complaint_image_embeddings;
+CREATE POLICY "Reporters add embeddings"
+  ON public.complaint_image_embeddings FOR INSERT
+  TO authenticated
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM public.complaints c WHERE c.id = complaint_id AND c.user_id = auth.uid()
+  ));
+
+DROP POLICY IF EXISTS "Supporters and staff read support" ON public.complaint_supporters;
+CREATE POLICY "Supporters and staff read support"
+  ON public.complaint_supporters FOR SELECT
+  TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM public.complaints c
+      WHERE c.id = complaint_id AND public.can_manage_department(c.department)
+    )
+  );
+
+DROP POLICY IF EXISTS "Staff add supporters to managed complaints" ON public.complaint_supporters;
+CREATE POLICY "Staff add supporters to managed complaints"
+  ON public.complaint_supporters FOR INSERT
+  TO authenticated
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM public.complaints c
+    WHERE c.id = complaint_id AND public.can_manage_department(c.department)
+  ));
+
+REVOKE ALL ON public.complaint_image_embeddings FROM anon;
+REVOKE UPDATE, DELETE, TRUNCATE ON public.complaint_image_embeddings FROM authenticated;
+GRANT SELECT, INSERT ON public.complaint_image_embeddings TO authenticated;
+
+REVOKE ALL ON public.complaint_supporters FROM anon;
+REVOKE UPDATE, DELETE, TRUNCATE ON public.complaint_supporters FROM authenticated;
+GRANT SELECT, INSERT ON public.complaint_supporters TO authenticated;
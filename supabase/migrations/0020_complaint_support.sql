@@ -0,0 +1,165 @@
+-- "Me too" support for complaints
+--
+-- Citizens back an existing complaint with support_complaint() (0019) and
+-- take it back with unsupport_complaint(); each user counts once.
+-- complaints.supporter_count caches the number of supporters so the admin
+-- table can sort by it next to priority. Only the trigger on
+-- complaint_supporters writes it.
+--
+-- nearby_complaints() feeds the nearby-issues map, where anyone, signed in
+-- or not, sees open complaints around them whoever reported them. Saying
+-- "Me too" still needs a signed-in citizen.
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS supporter_count INTEGER NOT NULL DEFAULT 0;
+
+UPDATE public.complaints c
+SET supporter_count = s.total
+FROM (
+  SELECT complaint_id, count(*)::INTEGER AS total
+  FROM public.complaint_supporters
+  GROUP BY complaint_id
+) s
+WHERE s.complaint_id = c.id
+  AND c.supporter_count IS DISTINCT FROM s.total;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_supporter_count
+  ON public.complaints(supporter_count, created_at DESC);
+
+-- Recounts rather than adding or subtracting one, so the cache can't drift
+CREATE OR REPLACE FUNCTION public.count_complaint_supporters()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  target_complaint UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.complaint_id ELSE NEW.complaint_id END;
+BEGIN
+  UPDATE public.complaints
+  SET supporter_count = (
+    SELECT count(*) FROM public.complaint_supporters WHERE complaint_id = target_complaint
+  )
+  WHERE id = target_complaint;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS count_complaint_supporters ON public.complaint_supporters;
+CREATE TRIGGER count_complaint_supporters
+  AFTER INSERT OR DELETE ON public.complaint_supporters
+  FOR EACH ROW
+  EXECUTE FUNCTION public.count_complaint_supporters();
+
+-- Complaints are inserted and updated through the API, so a count set there
+-- is put back. The trigger above runs one level deeper and gets through.
+CREATE OR REPLACE FUNCTION public.protect_supporter_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF pg_trigger_depth() = 1 THEN
+    NEW.supporter_count := CASE WHEN TG_OP = 'INSERT' THEN 0 ELSE OLD.supporter_count END;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_supporter_count ON public.complaints;
+CREATE TRIGGER protect_supporter_count
+  BEFORE INSERT OR UPDATE OF supporter_count ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_supporter_count();
+
+-- Take back the current user's support. Returns the complaint's supporter
+-- count.
+CREATE OR REPLACE FUNCTION public.unsupport_complaint(target_complaint UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  supporters INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to support a complaint'
+      USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM public.complaint_supporters
+  WHERE complaint_id = target_complaint AND user_id = auth.uid();
+
+  SELECT supporter_count INTO supporters FROM public.complaints WHERE id = target_complaint;
+  RETURN COALESCE(supporters, 0);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.unsupport_complaint(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.unsupport_complaint(UUID) TO authenticated;
+
+-- Open complaints within radius_meters of a point, nearest first. Runs as
+-- the owner so citizens see everyone's complaints, and returns only what the
+-- map shows: no reporter, description or admin fields. The radius is capped
+-- at 5 km. Visitors who have not signed in may call it too; for them
+-- reported_by_me and supported_by_me are always false.
+CREATE OR REPLACE FUNCTION public.nearby_complaints(
+  target_latitude DOUBLE PRECISION,
+  target_longitude DOUBLE PRECISION,
+  radius_meters INTEGER DEFAULT 2000
+)
+RETURNS TABLE (
+  id UUID,
+  category VARCHAR,
+  status VARCHAR,
+  address TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  image_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  distance_meters DOUBLE PRECISION,
+  supporter_count INTEGER,
+  reported_by_me BOOLEAN,
+  supported_by_me BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH area AS (
+    SELECT
+      LEAST(GREATEST(radius_meters, 1), 5000) AS radius,
+      LEAST(GREATEST(radius_meters, 1), 5000) / 111320.0 AS lat_delta,
+      LEAST(GREATEST(radius_meters, 1), 5000) / (111320.0 * GREATEST(cos(radians(target_latitude)), 0.01)) AS lng_delta
+  ),
+  candidates AS (
+    SELECT
+      c.*,
+      public.distance_meters(target_latitude, target_longitude, c.latitude, c.longitude) AS distance
+    FROM public.complaints c
+    CROSS JOIN area
+    WHERE c.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate')
+      AND point(c.longitude, c.latitude) <@ box(
+        point(target_longitude - area.lng_delta, target_latitude - area.lat_delta),
+        point(target_longitude + area.lng_delta, target_latitude + area.lat_delta)
+      )
+  )
+  SELECT
+    c.id, c.category, c.status, c.address, c.latitude::DOUBLE PRECISION, c.longitude::DOUBLE PRECISION,
+    c.image_url, c.created_at,
+    round(c.distance::NUMERIC, 1)::DOUBLE PRECISION,
+    c.supporter_count,
+    c.user_id IS NOT DISTINCT FROM auth.uid(),
+    EXISTS (SELECT 1 FROM public.complaint_supporters s WHERE s.complaint_id = c.id AND s.user_id = auth.uid())
+  FROM candidates c
+  CROSS JOIN area
+  WHERE c.distance <= area.radius
+  ORDER BY c.distance, c.created_at
+  LIMIT 200;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.nearby_complaints(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.nearby_complaints(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER) TO anon, authenticated;
@@ -0,0 +1,285 @@
+-- Automatic priority scoring
+--
+-- priority is whatever the citizen picked when reporting. priority_score
+-- rates each complaint from 0 to 100 instead, and priority_breakdown lists
+-- the points each factor added so staff can see why a complaint ranks where
+-- it does:
+--
+--   category       up to 25  severity of the category (app_settings.category_severity)
+--   ai_confidence  up to 10  the photo model agrees with the category, scaled by its confidence
+--   supporters     up to 20  4 per "me too"
+--   nearby_place   up to 15  15 within 100 m of a school or hospital, 10 within 250 m
+--   age            up to 15  1 per day the complaint has been open
+--   repeat_reports up to 15  5 per other report of the category within 50 m in a year
+--
+-- Both are columns of complaints, and priority_score is indexed for sorting
+-- like priority_rank. complaint_priority_breakdown() does the sums as the
+-- owner, so repeat reports count every complaint whoever reads the score. A
+-- trigger stores the result on every write, which covers new complaints,
+-- staff changes and support (the supporter count is written to the
+-- complaint). Points that change on their own, for time open and for reports
+-- filed nearby later, are caught up for open complaints by
+-- refresh_priority_scores(), which `npm run priority:refresh` runs.
+--
+-- effective_priority() turns the score into low, medium, high or urgent; it
+-- takes a complaints row, so PostgREST exposes it as a computed column
+-- (select=*,effective_priority).
+--
+-- Schools and hospitals come from points_of_interest, loaded from
+-- supabase/data/points_of_interest.json by `npm run poi:import`.
+
+CREATE TABLE IF NOT EXISTS public.points_of_interest (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('school', 'hospital')),
+  latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_of_interest_location
+  ON public.points_of_interest USING GIST (point(longitude, latitude));
+
+ALTER TABLE public.points_of_interest ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Points of interest are readable" ON public.points_of_interest;
+CREATE POLICY "Points of interest are readable"
+  ON public.points_of_interest FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Only the import script writes them
+REVOKE ALL ON public.points_of_interest FROM anon;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON public.points_of_interest FROM authenticated;
+GRANT SELECT ON public.points_of_interest TO authenticated;
+
+-- Categories missing from the setting score 10
+INSERT INTO public.app_settings (key, value, description) VALUES
+  (
+    'category_severity',
+    '{"Pothole": 25, "Sewage": 25, "FallenTree": 20, "StreetLight": 15, "Garbage": 15}',
+    'Priority score points (0-25) for each complaint category'
+  )
+ON CONFLICT (key) DO NOTHING;
+
+-- The points for each factor. Runs as the owner so every complaint counts.
+CREATE OR REPLACE FUNCTION public.complaint_priority_breakdown(complaint public.complaints)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH
+  severity AS (
+    SELECT LEAST(GREATEST(COALESCE(
+      (public.app_setting('category_severity') ->> complaint.category)::INTEGER, 10
+    ), 0), 25) AS points
+  ),
+  ai AS (
+    SELECT CASE
+      WHEN complaint.ai_prediction ->> 'predictedClass' = complaint.category
+      THEN COALESCE(complaint.ai_confidence, (complaint.ai_prediction ->> 'confidence')::NUMERIC, 0)
+    END AS confidence
+  ),
+  place AS (
+    SELECT p.name, p.kind,
+      public.distance_meters(complaint.latitude, complaint.longitude, p.latitude, p.longitude) AS distance
+    FROM public.points_of_interest p
+    WHERE point(p.longitude, p.latitude) <@ box(
+      point(complaint.longitude - 250 / (111320.0 * GREATEST(cos(radians(complaint.latitude)), 0.01)),
+            complaint.latitude - 250 / 111320.0),
+      point(complaint.longitude + 250 / (111320.0 * GREATEST(cos(radians(complaint.latitude)), 0.01)),
+            complaint.latitude + 250 / 111320.0)
+    )
+    ORDER BY distance
+    LIMIT 1
+  ),
+  age AS (
+    SELECT CASE
+      WHEN complaint.status IN ('resolved', 'closed', 'rejected', 'duplicate') THEN NULL
+      ELSE floor(extract(EPOCH FROM NOW() - complaint.created_at) / 86400)::INTEGER
+    END AS days
+  ),
+  repeats AS (
+    SELECT count(*)::INTEGER AS reports
+    FROM public.complaints other
+    WHERE other.id <> complaint.id
+      AND other.category = complaint.category
+      AND other.status <> 'duplicate'
+      AND other.created_at BETWEEN complaint.created_at - INTERVAL '1 year'
+                               AND complaint.created_at + INTERVAL '1 year'
+      AND point(other.longitude, other.latitude) <@ box(
+        point(complaint.longitude - 50 / (111320.0 * GREATEST(cos(radians(complaint.latitude)), 0.01)),
+              complaint.latitude - 50 / 111320.0),
+        point(complaint.longitude + 50 / (111320.0 * GREATEST(cos(radians(complaint.latitude)), 0.01)),
+              complaint.latitude + 50 / 111320.0)
+      )
+      AND public.distance_meters(complaint.latitude, complaint.longitude, other.latitude, other.longitude) <= 50
+  )
+  SELECT jsonb_build_array(
+    jsonb_build_object(
+      'factor', 'category',
+      'label', 'Category severity',
+      'points', severity.points,
+      'detail', complaint.category
+    ),
+    jsonb_build_object(
+      'factor', 'ai_confidence',
+      'label', 'Photo check',
+      'points', COALESCE(round(ai.confidence * 10)::INTEGER, 0),
+      'detail', CASE
+        WHEN ai.confidence IS NULL THEN 'Photo not recognised as ' || complaint.category
+        ELSE 'Photo recognised as ' || complaint.category || ' (' || round(ai.confidence * 100) || '% confidence)'
+      END
+    ),
+    jsonb_build_object(
+      'factor', 'supporters',
+      'label', 'Citizen support',
+      'points', LEAST(complaint.supporter_count * 4, 20),
+      'detail', complaint.supporter_count || CASE WHEN complaint.supporter_count = 1 THEN ' supporter' ELSE ' supporters' END
+    ),
+    jsonb_build_object(
+      'factor', 'nearby_place',
+      'label', 'Near a school or hospital',
+      'points', CASE WHEN place.distance <= 100 THEN 15 WHEN place.distance <= 250 THEN 10 ELSE 0 END,
+      'detail', CASE
+        WHEN place.distance <= 250 THEN round(place.distance) || ' m from ' || place.name || ' (' || place.kind || ')'
+        ELSE 'No school or hospital within 250 m'
+      END
+    ),
+    jsonb_build_object(
+      'factor', 'age',
+      'label', 'Time open',
+      'points', CASE WHEN age.days IS NULL THEN 0 ELSE LEAST(age.days, 15) END,
+      'detail', CASE
+        WHEN age.days IS NULL THEN 'No longer open'
+        WHEN age.days = 1 THEN 'Open 1 day'
+        ELSE 'Open ' || age.days || ' days'
+      END
+    ),
+    jsonb_build_object(
+      'factor', 'repeat_reports',
+      'label', 'Repeat reports',
+      'points', LEAST(repeats.reports * 5, 15),
+      'detail', repeats.reports || CASE WHEN repeats.reports = 1 THEN ' other report' ELSE ' other reports' END
+        || ' within 50 m'
+    )
+  )
+  FROM severity
+  CROSS JOIN ai
+  CROSS JOIN age
+  CROSS JOIN repeats
+  LEFT JOIN place ON true;
+$$;
+
+-- Only the trigger and the refresh job below call it
+REVOKE EXECUTE ON FUNCTION public.complaint_priority_breakdown(public.complaints) FROM PUBLIC, anon, authenticated;
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS priority_score SMALLINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS priority_breakdown JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_complaints_priority_score
+  ON public.complaints(priority_score, created_at DESC);
+
+-- Whatever the client sends for the score is replaced
+CREATE OR REPLACE FUNCTION public.score_complaint()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.priority_breakdown := public.complaint_priority_breakdown(NEW);
+  NEW.priority_score := (
+    SELECT COALESCE(sum((factor ->> 'points')::INTEGER), 0)
+    FROM jsonb_array_elements(NEW.priority_breakdown) AS factor
+  );
+  RETURN NEW;
+END;
+$$;
+
+-- BEFORE triggers run in name order; this one comes after the others on
+-- complaints, so it scores the row as it will be saved
+DROP TRIGGER IF EXISTS score_complaint ON public.complaints;
+CREATE TRIGGER score_complaint
+  BEFORE INSERT OR UPDATE ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.score_complaint();
+
+-- A write that only moves the score is not an update to the complaint, so
+-- it leaves updated_at alone. Generated columns are not filled in yet when
+-- this runs and follow the others anyway.
+CREATE OR REPLACE FUNCTION public.touch_complaint()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  ignored TEXT[] := ARRAY['priority_score', 'priority_breakdown', 'updated_at',
+                          'priority_rank', 'status_rank', 'search_vector'];
+BEGIN
+  IF (NEW.priority_score, NEW.priority_breakdown) IS DISTINCT FROM (OLD.priority_score, OLD.priority_breakdown)
+     AND to_jsonb(NEW) - ignored = to_jsonb(OLD) - ignored THEN
+    NEW.updated_at := OLD.updated_at;
+  ELSE
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS update_complaints_updated_at ON public.complaints;
+CREATE TRIGGER update_complaints_updated_at
+  BEFORE UPDATE ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_complaint();
+
+-- Same bands as PRIORITY_SCORE_BANDS in src/constants/priorities.js
+CREATE OR REPLACE FUNCTION public.effective_priority(complaint public.complaints)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN complaint.priority_score >= 70 THEN 'urgent'
+    WHEN complaint.priority_score >= 50 THEN 'high'
+    WHEN complaint.priority_score >= 30 THEN 'medium'
+    ELSE 'low'
+  END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.effective_priority(public.complaints) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.effective_priority(public.complaints) TO authenticated;
+
+-- Rescore the open complaints whose stored breakdown is out of date: they
+-- gain a point a day, and may have gained repeat reports or a school
+-- nearby. Closed complaints keep the score they were closed with. Returns
+-- how many complaints were rescored.
+CREATE OR REPLACE FUNCTION public.refresh_priority_scores()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  rescored INTEGER;
+BEGIN
+  -- score_complaint does the work; the UPDATE only has to touch the rows
+  UPDATE public.complaints c
+  SET priority_score = c.priority_score
+  WHERE c.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate')
+    AND c.priority_breakdown IS DISTINCT FROM public.complaint_priority_breakdown(c);
+
+  GET DIAGNOSTICS rescored = ROW_COUNT;
+  RETURN rescored;
+END;
+$$;
+
+-- Only the scheduled job runs it
+REVOKE EXECUTE ON FUNCTION public.refresh_priority_scores() FROM PUBLIC, anon, authenticated;
+
+-- Score what is already there, closed complaints included
+UPDATE public.complaints c
+SET priority_score = c.priority_score;
@@ -0,0 +1,250 @@
+-- Service level agreements
+--
+-- sla_policies says how long a department has to acknowledge and to resolve
+-- a complaint. A row with a category applies to that category only; a row
+-- without one covers the rest of the department. Super admins edit the rows;
+-- changes apply to complaints filed (or moved to another department) after
+-- the edit.
+--
+-- Each complaint carries its deadlines, worked out by a trigger when it is
+-- filed:
+--   acknowledge_due_at  the status must leave pending by then
+--   resolve_due_at      the complaint must be resolved by then
+--   acknowledged_at     when the status first left pending
+--   sla_breached_at     when flag_sla_breaches() found it overdue
+-- is_overdue() is a computed column (select=*,is_overdue and
+-- is_overdue=is.true) for open complaints past either deadline.
+--
+-- flag_sla_breaches() stamps sla_breached_at on open complaints that are
+-- overdue or were acknowledged late, and sends the 'sla_breached'
+-- notification. It is the only thing that sets the flag, so a complaint is
+-- never flagged without its owner being told. `npm run sla:check` runs it;
+-- schedule it like the notification dispatcher.
+
+CREATE TABLE IF NOT EXISTS public.sla_policies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  department TEXT NOT NULL,
+  category TEXT,
+  acknowledge_hours INTEGER NOT NULL CHECK (acknowledge_hours > 0),
+  resolve_hours INTEGER NOT NULL CHECK (resolve_hours > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope
+  ON public.sla_policies(department, COALESCE(category, ''));
+
+INSERT INTO public.sla_policies (department, category, acknowledge_hours, resolve_hours) VALUES
+  ('Road Authority', 'Pothole', 24, 168),
+  ('Sanitation Department', 'Garbage', 24, 48),
+  ('Water & Sewage Board', 'Sewage', 24, 72),
+  ('Electrical Department', 'StreetLight', 24, 72),
+  ('Parks & Horticulture', 'FallenTree', 24, 48)
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE public.sla_policies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "SLA policies are readable" ON public.sla_policies;
+CREATE POLICY "SLA policies are readable"
+  ON public.sla_policies FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Super admins add SLA policies" ON public.sla_policies;
+CREATE POLICY "Super admins add SLA policies"
+  ON public.sla_policies FOR INSERT
+  TO authenticated
+  WITH CHECK (public.is_super_admin());
+
+DROP POLICY IF EXISTS "Super admins change SLA policies" ON public.sla_policies;
+CREATE POLICY "Super admins change SLA policies"
+  ON public.sla_policies FOR UPDATE
+  TO authenticated
+  USING (public.is_super_admin())
+  WITH CHECK (public.is_super_admin());
+
+DROP POLICY IF EXISTS "Super admins remove SLA policies" ON public.sla_policies;
+CREATE POLICY "Super admins remove SLA policies"
+  ON public.sla_policies FOR DELETE
+  TO authenticated
+  USING (public.is_super_admin());
+
+REVOKE ALL ON public.sla_policies FROM anon;
+REVOKE TRUNCATE ON public.sla_policies FROM authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.sla_policies TO authenticated;
+
+-- The policy for a complaint: its category's row, else the department's
+CREATE OR REPLACE FUNCTION public.sla_policy_for(complaint_department TEXT, complaint_category TEXT)
+RETURNS public.sla_policies
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT *
+  FROM public.sla_policies
+  WHERE department = complaint_department
+    AND (category = complaint_category OR category IS NULL)
+  ORDER BY category NULLS LAST
+  LIMIT 1;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sla_policy_for(TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.sla_policy_for(TEXT, TEXT) TO authenticated;
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS acknowledge_due_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS resolve_due_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_resolve_due
+  ON public.complaints(resolve_due_at)
+  WHERE status NOT IN ('resolved', 'closed', 'rejected', 'duplicate');
+
+CREATE OR REPLACE FUNCTION public.is_overdue(complaint public.complaints)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT complaint.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate')
+    AND (
+      (complaint.acknowledged_at IS NULL AND complaint.acknowledge_due_at < NOW())
+      OR complaint.resolve_due_at < NOW()
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.is_overdue(public.complaints) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.is_overdue(public.complaints) TO authenticated;
+
+-- Existing complaints: deadlines from their filing time, and the first move
+-- out of pending in their history as the acknowledgement
+UPDATE public.complaints c
+SET acknowledge_due_at = c.created_at + make_interval(hours => p.acknowledge_hours),
+    resolve_due_at = c.created_at + make_interval(hours => p.resolve_hours)
+FROM public.sla_policies p
+WHERE c.resolve_due_at IS NULL
+  AND p.id = (public.sla_policy_for(c.department, c.category)).id;
+
+UPDATE public.complaints c
+SET acknowledged_at = COALESCE(
+  (SELECT min(e.created_at) FROM public.complaint_events e
+   WHERE e.complaint_id = c.id AND e.event_type = 'status_changed' AND e.from_status = 'pending'),
+  c.updated_at
+)
+WHERE c.acknowledged_at IS NULL AND c.status <> 'pending';
+
+-- Deadlines, the acknowledgement and the breach flag are kept by this
+-- trigger; whatever the client sends for them is ignored. Only
+-- flag_sla_breaches(), running as the owner, sets the flag. Moving a
+-- complaint to another department or category works its deadlines out again
+-- under the new policy; reopening it gives it a fresh resolution deadline
+-- and clears the flag.
+CREATE OR REPLACE FUNCTION public.apply_complaint_sla()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  policy public.sla_policies;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.acknowledge_due_at := COALESCE(NEW.created_at, NOW()) + make_interval(hours => policy.acknowledge_hours);
+    NEW.resolve_due_at := COALESCE(NEW.created_at, NOW()) + make_interval(hours => policy.resolve_hours);
+    NEW.acknowledged_at := CASE WHEN NEW.status <> 'pending' THEN COALESCE(NEW.created_at, NOW()) END;
+    NEW.sla_breached_at := NULL;
+    RETURN NEW;
+  END IF;
+
+  NEW.acknowledge_due_at := OLD.acknowledge_due_at;
+  NEW.resolve_due_at := OLD.resolve_due_at;
+  NEW.acknowledged_at := OLD.acknowledged_at;
+  IF current_user IN ('anon', 'authenticated') THEN
+    NEW.sla_breached_at := OLD.sla_breached_at;
+  END IF;
+
+  IF NEW.department IS DISTINCT FROM OLD.department OR NEW.category IS DISTINCT FROM OLD.category THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.acknowledge_due_at := OLD.created_at + make_interval(hours => policy.acknowledge_hours);
+    NEW.resolve_due_at := OLD.created_at + make_interval(hours => policy.resolve_hours);
+  END IF;
+
+  IF NEW.acknowledged_at IS NULL AND NEW.status <> 'pending' THEN
+    NEW.acknowledged_at := NOW();
+  END IF;
+
+  IF NEW.status = 'reopened' AND OLD.status <> 'reopened' THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.resolve_due_at := NOW() + make_interval(hours => policy.resolve_hours);
+    NEW.sla_breached_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS apply_complaint_sla ON public.complaints;
+CREATE TRIGGER apply_complaint_sla
+  BEFORE INSERT OR UPDATE ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.apply_complaint_sla();
+
+-- Flag every open complaint that has gone overdue, or was acknowledged after
+-- its deadline, since the last run and tell whoever owns it: the assigned
+-- officer, or the department's officers while nobody is assigned. Returns
+-- how many complaints were flagged.
+CREATE OR REPLACE FUNCTION public.flag_sla_breaches()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  details JSONB;
+  officer UUID;
+  flagged INTEGER := 0;
+BEGIN
+  FOR complaint IN
+    UPDATE public.complaints c
+    SET sla_breached_at = NOW()
+    WHERE c.sla_breached_at IS NULL
+      AND (
+        public.is_overdue(c)
+        OR (c.acknowledged_at > c.acknowledge_due_at
+            AND c.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate'))
+      )
+    RETURNING c.*
+  LOOP
+    flagged := flagged + 1;
+    details := jsonb_strip_nulls(jsonb_build_object(
+      'category', complaint.category,
+      'address', split_part(complaint.address, ',', 1),
+      'deadline', CASE
+        WHEN complaint.acknowledged_at IS NULL AND complaint.acknowledge_due_at < NOW() THEN 'acknowledge'
+        WHEN complaint.resolve_due_at < NOW() THEN 'resolve'
+        ELSE 'acknowledge'
+      END,
+      'due_at', CASE
+        WHEN complaint.acknowledged_at IS NULL AND complaint.acknowledge_due_at < NOW() THEN complaint.acknowledge_due_at
+        WHEN complaint.resolve_due_at < NOW() THEN complaint.resolve_due_at
+        ELSE complaint.acknowledge_due_at
+      END
+    ));
+
+    IF complaint.assigned_to IS NOT NULL THEN
+      PERFORM public.create_notification(complaint.assigned_to, complaint.id, 'sla_breached', details);
+    ELSE
+      FOR officer IN
+        SELECT id FROM public.profiles WHERE role = 'officer' AND department = complaint.department
+      LOOP
+        PERFORM public.create_notification(officer, complaint.id, 'sla_breached', details);
+      END LOOP;
+    END IF;
+  END LOOP;
+
+  RETURN flagged;
+END;
+$$;
+
+-- Only the scheduled job runs it
+REVOKE EXECUTE ON FUNCTION public.flag_sla_breaches() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,360 @@
+-- Escalating overdue complaints
+--
+-- A complaint that breaches its SLA (0022) moves up a ladder of owners:
+--   0  field officer     whoever it was assigned to
+--   1  department head   an officer of its department with staff_level 'department_head'
+--   2  commissioner      a super admin with staff_level 'commissioner'
+-- escalate_overdue_complaints() makes the first step as soon as a complaint
+-- is flagged, and the next one if it is still open escalation_after_hours
+-- (app_settings, default 24) later. A department without a head escalates
+-- straight to the commissioner. Each step assigns the complaint to the new
+-- owner, is recorded in complaint_events as 'escalated' and sends them an
+-- 'escalated' notification. `npm run sla:check` runs it after flagging
+-- breaches. Reopening a complaint puts it back at level 0.
+--
+-- Super admins set staff_level with set_user_role(), which takes it as a
+-- new fourth argument.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS staff_level VARCHAR(20)
+    CHECK (staff_level IN ('department_head', 'commissioner'));
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_staff_level_role_check;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_staff_level_role_check CHECK (
+  staff_level IS NULL
+  OR (staff_level = 'department_head' AND role = 'officer')
+  OR (staff_level = 'commissioner' AND role = 'super_admin')
+);
+
+-- Same as 0004, plus the staff level. It only sticks where it fits the
+-- role, like the department.
+DROP FUNCTION IF EXISTS public.set_user_role(UUID, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION public.set_user_role(
+  target_user UUID,
+  new_role TEXT,
+  new_department TEXT DEFAULT NULL,
+  new_staff_level TEXT DEFAULT NULL
+)
+RETURNS public.profiles
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  updated_profile public.profiles;
+BEGIN
+  IF NOT public.is_super_admin() THEN
+    RAISE EXCEPTION 'Only a super admin can change user roles'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF target_user = auth.uid() AND new_role <> 'super_admin' THEN
+    RAISE EXCEPTION 'Super admins cannot remove their own role'
+      USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.profiles
+  SET role = new_role,
+      department = CASE WHEN new_role = 'officer' THEN new_department ELSE NULL END,
+      staff_level = CASE
+        WHEN new_role = 'officer' AND new_staff_level = 'department_head' THEN new_staff_level
+        WHEN new_role = 'super_admin' AND new_staff_level = 'commissioner' THEN new_staff_level
+      END,
+      updated_at = NOW()
+  WHERE id = target_user
+  RETURNING * INTO updated_profile;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', target_user
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN updated_profile;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.set_user_role(UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_user_role(UUID, TEXT, TEXT, TEXT) TO authenticated;
+
+INSERT INTO public.app_settings (key, value, description) VALUES
+  ('escalation_after_hours', '24', 'Hours an escalated complaint may stay open before it moves up to the next level')
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE public.complaints
+  ADD COLUMN IF NOT EXISTS escalation_level SMALLINT NOT NULL DEFAULT 0
+    CHECK (escalation_level BETWEEN 0 AND 2),
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+
+-- Only escalate_overdue_complaints() moves a complaint up. It runs as the
+-- table owner; anything sent through the API is put back.
+CREATE OR REPLACE FUNCTION public.protect_escalation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.escalation_level := 0;
+      NEW.escalated_at := NULL;
+    ELSE
+      NEW.escalation_level := OLD.escalation_level;
+      NEW.escalated_at := OLD.escalated_at;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_escalation ON public.complaints;
+CREATE TRIGGER protect_escalation
+  BEFORE INSERT OR UPDATE OF escalation_level, escalated_at ON public.complaints
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_escalation();
+
+-- Same as 0022, plus the escalation reset: a reopened complaint starts
+-- again at level 0 with its fresh deadline and climbs the ladder from the
+-- bottom. protect_escalation does not undo it, since reopen_complaint() runs
+-- as the owner and does not set the escalation columns itself.
+CREATE OR REPLACE FUNCTION public.apply_complaint_sla()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  policy public.sla_policies;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.acknowledge_due_at := COALESCE(NEW.created_at, NOW()) + make_interval(hours => policy.acknowledge_hours);
+    NEW.resolve_due_at := COALESCE(NEW.created_at, NOW()) + make_interval(hours => policy.resolve_hours);
+    NEW.acknowledged_at := CASE WHEN NEW.status <> 'pending' THEN COALESCE(NEW.created_at, NOW()) END;
+    NEW.sla_breached_at := NULL;
+    RETURN NEW;
+  END IF;
+
+  NEW.acknowledge_due_at := OLD.acknowledge_due_at;
+  NEW.resolve_due_at := OLD.resolve_due_at;
+  NEW.acknowledged_at := OLD.acknowledged_at;
+  IF current_user IN ('anon', 'authenticated') THEN
+    NEW.sla_breached_at := OLD.sla_breached_at;
+  END IF;
+
+  IF NEW.department IS DISTINCT FROM OLD.department OR NEW.category IS DISTINCT FROM OLD.category THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.acknowledge_due_at := OLD.created_at + make_interval(hours => policy.acknowledge_hours);
+    NEW.resolve_due_at := OLD.created_at + make_interval(hours => policy.resolve_hours);
+  END IF;
+
+  IF NEW.acknowledged_at IS NULL AND NEW.status <> 'pending' THEN
+    NEW.acknowledged_at := NOW();
+  END IF;
+
+  IF NEW.status = 'reopened' AND OLD.status <> 'reopened' THEN
+    policy := public.sla_policy_for(NEW.department, NEW.category);
+    NEW.resolve_due_at := NOW() + make_interval(hours => policy.resolve_hours);
+    NEW.sla_breached_at := NULL;
+    NEW.escalation_level := 0;
+    NEW.escalated_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- History: escalated   metadata.from_level -> metadata.to_level, message is the new owner
+ALTER TABLE public.complaint_events DROP CONSTRAINT IF EXISTS complaint_events_event_type_check;
+ALTER TABLE public.complaint_events ADD CONSTRAINT complaint_events_event_type_check CHECK (
+  event_type IN ('created', 'status_changed', 'assigned', 'note', 'comment', 'escalated')
+);
+
+-- Same as 0010, plus escalations. The reassignment that comes with an
+-- escalation is part of the 'escalated' event rather than an 'assigned' one.
+CREATE OR REPLACE FUNCTION public.log_complaint_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  assignee_name TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.record_complaint_event(NEW.id, 'created', NULL, NEW.status);
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    IF NEW.status = 'reopened' THEN
+      PERFORM public.record_complaint_event(
+        NEW.id, 'status_changed', OLD.status, NEW.status, NEW.reopen_reason,
+        jsonb_build_object('evidence_path', NEW.reopen_evidence_path, 'reopen_count', NEW.reopen_count)
+      );
+    ELSE
+      PERFORM public.record_complaint_event(NEW.id, 'status_changed', OLD.status, NEW.status);
+    END IF;
+  END IF;
+
+  IF NEW.escalation_level > OLD.escalation_level THEN
+    SELECT COALESCE(name, email) INTO assignee_name
+    FROM public.profiles WHERE id = NEW.assigned_to;
+
+    PERFORM public.record_complaint_event(
+      NEW.id, 'escalated', NULL, NULL, assignee_name,
+      jsonb_build_object(
+        'from_level', OLD.escalation_level,
+        'to_level', NEW.escalation_level,
+        'assigned_to', NEW.assigned_to,
+        'previous_assignee', OLD.assigned_to
+      )
+    );
+  ELSIF NEW.assigned_to IS DISTINCT FROM OLD.assigned_to THEN
+    SELECT COALESCE(name, email) INTO assignee_name
+    FROM public.profiles WHERE id = NEW.assigned_to;
+
+    PERFORM public.record_complaint_event(
+      NEW.id, 'assigned', NULL, NULL, assignee_name,
+      jsonb_build_object('assigned_to', NEW.assigned_to, 'previous_assignee', OLD.assigned_to)
+    );
+  END IF;
+
+  IF NEW.admin_notes IS DISTINCT FROM OLD.admin_notes AND NULLIF(TRIM(NEW.admin_notes), '') IS NOT NULL THEN
+    PERFORM public.record_complaint_event(NEW.id, 'note', NULL, NULL, NEW.admin_notes);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Notifications: escalated   the new owner, with metadata.escalation_level
+ALTER TABLE public.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE public.notifications ADD CONSTRAINT notifications_type_check CHECK (
+  type IN ('status_changed', 'comment', 'assigned', 'sla_breached', 'escalated')
+);
+
+ALTER TABLE public.notification_preferences
+  DROP CONSTRAINT IF EXISTS notification_preferences_email_types_check,
+  DROP CONSTRAINT IF EXISTS notification_preferences_sms_types_check,
+  DROP CONSTRAINT IF EXISTS notification_preferences_push_types_check;
+ALTER TABLE public.notification_preferences
+  ADD CONSTRAINT notification_preferences_email_types_check
+    CHECK (email_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached', 'escalated']),
+  ADD CONSTRAINT notification_preferences_sms_types_check
+    CHECK (sms_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached', 'escalated']),
+  ADD CONSTRAINT notification_preferences_push_types_check
+    CHECK (push_types <@ ARRAY['status_changed', 'comment', 'assigned', 'sla_breached', 'escalated']);
+
+ALTER TABLE public.notification_preferences
+  ALTER COLUMN email_types SET DEFAULT ARRAY['status_changed', 'comment', 'assigned', 'sla_breached', 'escalated'];
+
+-- An escalation is an assignment too: whoever gets those keeps getting these
+UPDATE public.notification_preferences SET email_types = email_types || 'escalated'::TEXT
+WHERE 'assigned' = ANY (email_types) AND NOT 'escalated' = ANY (email_types);
+UPDATE public.notification_preferences SET sms_types = sms_types || 'escalated'::TEXT
+WHERE 'assigned' = ANY (sms_types) AND NOT 'escalated' = ANY (sms_types);
+UPDATE public.notification_preferences SET push_types = push_types || 'escalated'::TEXT
+WHERE 'assigned' = ANY (push_types) AND NOT 'escalated' = ANY (push_types);
+
+-- Same as 0016, plus escalations
+CREATE OR REPLACE FUNCTION public.notify_complaint_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  details JSONB;
+BEGIN
+  IF NEW.event_type NOT IN ('status_changed', 'comment', 'assigned', 'escalated') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO complaint FROM public.complaints WHERE id = NEW.complaint_id;
+
+  details := jsonb_strip_nulls(jsonb_build_object(
+    'category', complaint.category,
+    'address', split_part(complaint.address, ',', 1),
+    'actor_name', NEW.actor_name,
+    'from_status', NEW.from_status,
+    'to_status', NEW.to_status,
+    'escalation_level', (NEW.metadata ->> 'to_level')::INTEGER
+  ));
+
+  IF NEW.event_type IN ('assigned', 'escalated') THEN
+    PERFORM public.create_notification(
+      (NEW.metadata ->> 'assigned_to')::UUID, complaint.id, NEW.event_type, details, NEW.actor_id
+    );
+    RETURN NEW;
+  END IF;
+
+  PERFORM public.create_notification(complaint.user_id, complaint.id, NEW.event_type, details, NEW.actor_id);
+  IF complaint.assigned_to IS DISTINCT FROM complaint.user_id THEN
+    PERFORM public.create_notification(complaint.assigned_to, complaint.id, NEW.event_type, details, NEW.actor_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Move breached, still-open complaints one level up. Returns how many moved.
+CREATE OR REPLACE FUNCTION public.escalate_overdue_complaints()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  complaint public.complaints;
+  after_hours INTEGER := COALESCE((public.app_setting('escalation_after_hours'))::INTEGER, 24);
+  head UUID;
+  commissioner UUID;
+  escalated INTEGER := 0;
+BEGIN
+  SELECT id INTO commissioner
+  FROM public.profiles
+  WHERE role = 'super_admin' AND staff_level = 'commissioner'
+  ORDER BY created_at
+  LIMIT 1;
+
+  FOR complaint IN
+    SELECT *
+    FROM public.complaints c
+    WHERE c.sla_breached_at IS NOT NULL
+      AND c.status NOT IN ('resolved', 'closed', 'rejected', 'duplicate')
+      AND (
+        c.escalation_level = 0
+        OR (c.escalation_level = 1 AND c.escalated_at <= NOW() - make_interval(hours => after_hours))
+      )
+    ORDER BY c.sla_breached_at
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    head := NULL;
+    IF complaint.escalation_level = 0 THEN
+      SELECT id INTO head
+      FROM public.profiles
+      WHERE role = 'officer' AND staff_level = 'department_head' AND department = complaint.department
+      ORDER BY created_at
+      LIMIT 1;
+    END IF;
+
+    IF head IS NOT NULL THEN
+      UPDATE public.complaints
+      SET escalation_level = 1, escalated_at = NOW(), assigned_to = head
+      WHERE id = complaint.id;
+    ELSIF commissioner IS NOT NULL THEN
+      UPDATE public.complaints
+      SET escalation_level = 2, escalated_at = NOW(), assigned_to = commissioner
+      WHERE id = complaint.id;
+    ELSE
+      CONTINUE;
+    END IF;
+
+    escalated := escalated + 1;
+  END LOOP;
+
+  RETURN escalated;
+END;
+$$;
+
+-- Only the scheduled job runs it
+REVOKE EXECUTE ON FUNCTION public.escalate_overdue_complaints() FROM PUBLIC, anon, authenticated;
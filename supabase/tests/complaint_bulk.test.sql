@@ -0,0 +1,178 @@
+-- Bulk update tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000d', 'sanitation.officer@example.com', '{"name": "Sanitation Officer"}'),
+  ('00000000-0000-0000-0000-00000000000e', 'admin@example.com', '{"name": "Admin"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+UPDATE public.profiles SET role = 'officer', department = 'Sanitation Department'
+WHERE id = '00000000-0000-0000-0000-00000000000d';
+
+UPDATE public.profiles SET role = 'super_admin'
+WHERE id = '00000000-0000-0000-0000-00000000000e';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 'pending'),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole by the school', 'Road Authority', 'Aminabad, Lucknow', 26.8440, 80.9350, 'pending'),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Already fixed', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8530, 80.9320, 'resolved'),
+  ('10000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Gomti Nagar, Lucknow', 26.8560, 80.9990, 'pending');
+
+-- Citizens ------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_denied(
+  $sql$SELECT * FROM public.bulk_update_complaints(
+       ARRAY['10000000-0000-0000-0000-000000000001']::UUID[], '{"priority": "urgent"}')$sql$,
+  'citizens cannot bulk update'
+);
+
+RESET ROLE;
+
+-- Officers ------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+CREATE TEMP TABLE bulk_result AS
+SELECT * FROM public.bulk_update_complaints(
+  ARRAY[
+    '10000000-0000-0000-0000-000000000001',
+    '10000000-0000-0000-0000-000000000002',
+    '10000000-0000-0000-0000-000000000003',
+    '10000000-0000-0000-0000-000000000004'
+  ]::UUID[],
+  '{"status": "acknowledged", "priority": "high"}'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM bulk_result WHERE succeeded), 2,
+  'rows the officer may change are updated'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM bulk_result
+   WHERE NOT succeeded AND error_message IS NOT NULL
+     AND complaint_id IN ('10000000-0000-0000-0000-000000000003', '10000000-0000-0000-0000-000000000004')), 2,
+  'illegal transitions and other departments are reported per row'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000003' AND status = 'resolved' AND priority = 'medium'), 1,
+  'a failed row is left untouched'
+);
+
+DO $$
+BEGIN
+  PERFORM public.bulk_update_complaints(
+    ARRAY['10000000-0000-0000-0000-000000000001']::UUID[], '{"user_id": "00000000-0000-0000-0000-00000000000c"}');
+  RAISE EXCEPTION 'FAIL: changed a field bulk updates do not allow';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - only whitelisted fields can be changed';
+END;
+$$;
+
+SELECT public.bulk_update_complaints(
+  ARRAY['10000000-0000-0000-0000-000000000002']::UUID[],
+  '{"status": "duplicate", "duplicate_of": "10000000-0000-0000-0000-000000000001"}'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000002'
+     AND status = 'duplicate' AND duplicate_of = '10000000-0000-0000-0000-000000000001'), 1,
+  'complaints can be marked as duplicates of another'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.bulk_update_complaints(
+     ARRAY['10000000-0000-0000-0000-000000000001']::UUID[],
+     '{"duplicate_of": "10000000-0000-0000-0000-000000000001"}')
+   WHERE NOT succeeded), 1,
+  'only duplicates can point at another complaint'
+);
+
+-- Assignees -----------------------------------------------------------------
+
+CREATE TEMP TABLE assign_result AS
+SELECT * FROM public.bulk_update_complaints(
+  ARRAY['10000000-0000-0000-0000-000000000001']::UUID[],
+  '{"assigned_to": "00000000-0000-0000-0000-00000000000a"}'
+);
+
+INSERT INTO assign_result
+SELECT * FROM public.bulk_update_complaints(
+  ARRAY['10000000-0000-0000-0000-000000000001']::UUID[],
+  '{"assigned_to": "00000000-0000-0000-0000-00000000000d"}'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM assign_result WHERE NOT succeeded), 2,
+  'bulk updates cannot assign citizens or officers of another department'
+);
+
+DO $$
+BEGIN
+  UPDATE public.complaints SET assigned_to = '00000000-0000-0000-0000-00000000000d'
+  WHERE id = '10000000-0000-0000-0000-000000000001';
+  RAISE EXCEPTION 'FAIL: assigned a complaint to another department''s officer';
+EXCEPTION
+  WHEN check_violation THEN
+    RAISE NOTICE 'ok - single updates cannot assign officers of another department';
+END;
+$$;
+
+SELECT public.bulk_update_complaints(
+  ARRAY['10000000-0000-0000-0000-000000000001']::UUID[],
+  '{"assigned_to": "00000000-0000-0000-0000-00000000000e"}'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000001'
+     AND assigned_to = '00000000-0000-0000-0000-00000000000e'), 1,
+  'complaints can be assigned to a super admin'
+);
+
+UPDATE public.complaints SET assigned_to = '00000000-0000-0000-0000-00000000000c'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000001'
+     AND assigned_to = '00000000-0000-0000-0000-00000000000c'), 1,
+  'complaints can be assigned to an officer of their department'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000e');
+
+SELECT public.bulk_update_complaints(
+  ARRAY['10000000-0000-0000-0000-000000000001']::UUID[],
+  '{"department": "Sanitation Department"}'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000001'
+     AND department = 'Sanitation Department' AND assigned_to IS NULL), 1,
+  'moving a complaint to another department unassigns the old department''s officer'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,122 @@
+-- Complaint comment tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+-- Reporter and officer talk ---------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaint_comments (complaint_id, body)
+VALUES ('10000000-0000-0000-0000-000000000001', 'It is getting bigger');
+
+-- Ids are generated, so remember them for the delete checks below
+SELECT set_config('tests.asha_comment',
+  (SELECT id::text FROM public.complaint_comments WHERE body = 'It is getting bigger'), true);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_comments
+   WHERE author_id = '00000000-0000-0000-0000-00000000000a'
+     AND author_name = 'Asha' AND author_role = 'citizen'), 1,
+  'comment author and role are stamped from the profile'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_comments (complaint_id, body, author_role)
+       VALUES ('10000000-0000-0000-0000-000000000001', 'Spoofed', 'super_admin')$sql$,
+  'citizen cannot choose the author role'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+INSERT INTO public.complaint_comments (complaint_id, body)
+VALUES ('10000000-0000-0000-0000-000000000001', 'Crew is on the way');
+
+SELECT set_config('tests.officer_comment',
+  (SELECT id::text FROM public.complaint_comments WHERE body = 'Crew is on the way'), true);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_comments), 2,
+  'officer sees the whole thread'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events WHERE event_type = 'comment'), 2,
+  'each comment is recorded in the complaint history'
+);
+
+RESET ROLE;
+
+-- Outsiders -----------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_comments), 0,
+  'other citizens cannot read the thread'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_comments (complaint_id, body)
+       VALUES ('10000000-0000-0000-0000-000000000001', 'Not my complaint')$sql$,
+  'other citizens cannot comment'
+);
+
+SELECT tests.assert_denied(
+  format('SELECT public.delete_complaint_comment(%L)', current_setting('tests.asha_comment')),
+  'other citizens cannot delete comments'
+);
+
+RESET ROLE;
+
+-- Soft delete -----------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_denied(
+  format('SELECT public.delete_complaint_comment(%L)', current_setting('tests.officer_comment')),
+  'reporter cannot delete the officer''s reply'
+);
+
+SELECT tests.assert_denied(
+  $sql$DELETE FROM public.complaint_comments$sql$,
+  'comments cannot be hard-deleted'
+);
+
+SELECT public.delete_complaint_comment(current_setting('tests.asha_comment')::uuid);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_comments), 1,
+  'reporter no longer sees their deleted comment'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_comments
+   WHERE deleted_by = '00000000-0000-0000-0000-00000000000a'), 1,
+  'staff still see deleted comments and who deleted them'
+);
+
+RESET ROLE;
+
+ROLLBACK;
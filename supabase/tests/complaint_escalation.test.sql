@@ -0,0 +1,217 @@
+-- Escalation tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000d', 'commissioner@example.com', '{"name": "Commissioner"}'),
+  ('00000000-0000-0000-0000-00000000000f', 'road.head@example.com', '{"name": "Road Head"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id IN ('00000000-0000-0000-0000-00000000000c', '00000000-0000-0000-0000-00000000000f');
+UPDATE public.profiles SET role = 'super_admin'
+WHERE id = '00000000-0000-0000-0000-00000000000d';
+
+-- 1: acknowledged and assigned ten days ago, still not fixed
+-- 2: pending for three days in a department without a head
+-- 3: resolved long ago
+-- 4: filed today
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status, assigned_to, created_at) VALUES
+  ('50000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Still not fixed', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 'acknowledged',
+   '00000000-0000-0000-0000-00000000000c', NOW() - INTERVAL '10 days'),
+  ('50000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Aliganj, Lucknow', 26.8900, 80.9490, 'pending',
+   NULL, NOW() - INTERVAL '3 days'),
+  ('50000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Fixed', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8550, 80.9300, 'resolved',
+   '00000000-0000-0000-0000-00000000000c', NOW() - INTERVAL '10 days'),
+  ('50000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'New pothole', 'Road Authority', 'Gomti Nagar, Lucknow', 26.8580, 80.9985, 'pending',
+   NULL, NOW());
+
+-- Staff levels ------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000d');
+
+SELECT public.set_user_role('00000000-0000-0000-0000-00000000000f', 'officer', 'Road Authority', 'department_head');
+SELECT public.set_user_role('00000000-0000-0000-0000-00000000000d', 'super_admin', NULL, 'commissioner');
+SELECT public.set_user_role('00000000-0000-0000-0000-00000000000c', 'officer', 'Road Authority', 'commissioner');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.profiles
+   WHERE (id = '00000000-0000-0000-0000-00000000000f' AND staff_level = 'department_head')
+      OR (id = '00000000-0000-0000-0000-00000000000d' AND staff_level = 'commissioner')
+      OR (id = '00000000-0000-0000-0000-00000000000c' AND staff_level IS NULL)), 3,
+  'super admins set staff levels, which only stick where they fit the role'
+);
+
+RESET ROLE;
+-- The job runs without a signed-in user
+SELECT set_config('request.jwt.claims', '', true);
+
+-- First escalation ----------------------------------------------------------------
+
+SELECT public.flag_sla_breaches();
+
+SELECT tests.assert_equals(
+  public.escalate_overdue_complaints(), 2,
+  'breached, open complaints are escalated'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE (id = '50000000-0000-0000-0000-000000000001' AND escalation_level = 1
+          AND assigned_to = '00000000-0000-0000-0000-00000000000f')
+      OR (id = '50000000-0000-0000-0000-000000000002' AND escalation_level = 2
+          AND assigned_to = '00000000-0000-0000-0000-00000000000d')), 2,
+  'a complaint goes to its department head, or to the commissioner when there is none'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id IN ('50000000-0000-0000-0000-000000000003', '50000000-0000-0000-0000-000000000004')
+     AND escalation_level = 0 AND escalated_at IS NULL), 2,
+  'resolved complaints and complaints within their deadlines stay where they are'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '50000000-0000-0000-0000-000000000001'
+     AND event_type = 'escalated'
+     AND message = 'Road Head'
+     AND actor_id IS NULL
+     AND (metadata ->> 'from_level')::INTEGER = 0
+     AND (metadata ->> 'to_level')::INTEGER = 1
+     AND metadata ->> 'previous_assignee' = '00000000-0000-0000-0000-00000000000c'), 1,
+  'the escalation is recorded in the history as a system action'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '50000000-0000-0000-0000-000000000001' AND event_type = 'assigned'), 0,
+  'the reassignment is part of the escalation event'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE type = 'escalated'
+     AND ((user_id = '00000000-0000-0000-0000-00000000000f'
+           AND complaint_id = '50000000-0000-0000-0000-000000000001'
+           AND (metadata ->> 'escalation_level')::INTEGER = 1)
+       OR (user_id = '00000000-0000-0000-0000-00000000000d'
+           AND complaint_id = '50000000-0000-0000-0000-000000000002'
+           AND (metadata ->> 'escalation_level')::INTEGER = 2))), 2,
+  'the new owner is notified'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications WHERE type = 'assigned'), 0,
+  'the new owner is not told twice'
+);
+
+-- Second escalation ---------------------------------------------------------------
+
+SELECT tests.assert_equals(
+  public.escalate_overdue_complaints(), 0,
+  'an escalated complaint waits before moving up again'
+);
+
+UPDATE public.complaints SET escalated_at = NOW() - INTERVAL '25 hours'
+WHERE id = '50000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  public.escalate_overdue_complaints(), 1,
+  'a complaint still open a day after escalating moves up again'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '50000000-0000-0000-0000-000000000001' AND escalation_level = 2
+     AND assigned_to = '00000000-0000-0000-0000-00000000000d'), 1,
+  'the second step goes to the commissioner'
+);
+
+UPDATE public.complaints SET escalated_at = NOW() - INTERVAL '25 hours';
+
+SELECT tests.assert_equals(
+  public.escalate_overdue_complaints(), 0,
+  'the commissioner is the top of the ladder'
+);
+
+-- Permissions ---------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints SET escalation_level = 0, escalated_at = NULL
+WHERE id = '50000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '50000000-0000-0000-0000-000000000001'
+     AND escalation_level = 2 AND escalated_at IS NOT NULL), 1,
+  'staff cannot undo an escalation'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.escalate_overdue_complaints()$sql$,
+  'only the scheduled job escalates complaints'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, escalation_level) VALUES
+  ('50000000-0000-0000-0000-000000000005', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Urgent, honestly', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 2);
+
+SELECT tests.assert_equals(
+  (SELECT escalation_level FROM public.complaints WHERE id = '50000000-0000-0000-0000-000000000005')::BIGINT, 0,
+  'a new complaint cannot arrive escalated'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '50000000-0000-0000-0000-000000000001' AND event_type = 'escalated'), 2,
+  'the reporter can follow the escalations'
+);
+
+RESET ROLE;
+
+-- Reopening -----------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints SET status = 'assigned' WHERE id = '50000000-0000-0000-0000-000000000001';
+UPDATE public.complaints SET status = 'in_progress' WHERE id = '50000000-0000-0000-0000-000000000001';
+UPDATE public.complaints SET status = 'resolved' WHERE id = '50000000-0000-0000-0000-000000000001';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO storage.objects (bucket_id, name, owner) VALUES
+  ('complaint-images', '00000000-0000-0000-0000-00000000000a/again.jpg', '00000000-0000-0000-0000-00000000000a');
+
+SELECT public.reopen_complaint(
+  '50000000-0000-0000-0000-000000000001',
+  'Back after the rain',
+  '00000000-0000-0000-0000-00000000000a/again.jpg'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '50000000-0000-0000-0000-000000000001'
+     AND escalation_level = 0 AND escalated_at IS NULL), 1,
+  'a reopened complaint starts again from the field officer'
+);
+
+RESET ROLE;
+SELECT set_config('request.jwt.claims', '', true);
+
+SELECT public.flag_sla_breaches();
+
+SELECT tests.assert_equals(
+  public.escalate_overdue_complaints(), 0,
+  'a reopened complaint is not escalated before its new deadline'
+);
+
+ROLLBACK;
@@ -0,0 +1,98 @@
+-- Complaint history tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000b', 'Pothole', 'Broken road surface', 'Road Authority', 'Gomti Nagar, Lucknow', 26.8560, 80.9990);
+
+RESET ROLE;
+
+-- Officer works the complaint -----------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'acknowledged',
+    admin_notes = 'Crew dispatched',
+    assigned_to = '00000000-0000-0000-0000-00000000000c'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+-- Saving the same values again is not a new event
+UPDATE public.complaints
+SET status = 'acknowledged', admin_notes = 'Crew dispatched'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '10000000-0000-0000-0000-000000000001'), 4,
+  'filing, status change, assignment and note are each recorded once'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '10000000-0000-0000-0000-000000000001'
+     AND event_type = 'status_changed'
+     AND from_status = 'pending' AND to_status = 'acknowledged'
+     AND actor_id = '00000000-0000-0000-0000-00000000000c'
+     AND actor_name = 'Road Officer'
+     AND actor_role = 'officer'), 1,
+  'status change records both statuses and the acting officer'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_events (complaint_id, event_type, to_status)
+       VALUES ('10000000-0000-0000-0000-000000000001', 'status_changed', 'resolved')$sql$,
+  'staff cannot write events directly'
+);
+
+RESET ROLE;
+
+-- Citizens --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events), 4,
+  'citizen sees the history of their own complaint only'
+);
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.complaint_events SET message = 'Edited'$sql$,
+  'citizen cannot rewrite history'
+);
+
+SELECT tests.assert_denied(
+  $sql$DELETE FROM public.complaint_events$sql$,
+  'citizen cannot delete history'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.record_complaint_event('10000000-0000-0000-0000-000000000001', 'note', NULL, NULL, 'Forged')$sql$,
+  'citizen cannot call the event writer'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,95 @@
+-- Resolution rating tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 'resolved'),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Another pothole', 'Road Authority', 'Aminabad, Lucknow', 26.8440, 80.9350, 'pending'),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000b', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Gomti Nagar, Lucknow', 26.8560, 80.9990, 'resolved');
+
+-- Reporters -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaint_ratings (complaint_id, rating, feedback)
+VALUES ('10000000-0000-0000-0000-000000000001', 2, 'Patched but already cracking');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_ratings
+   WHERE user_id = '00000000-0000-0000-0000-00000000000a'), 1,
+  'reporter can rate their resolved complaint'
+);
+
+DO $$
+BEGIN
+  INSERT INTO public.complaint_ratings (complaint_id, rating)
+  VALUES ('10000000-0000-0000-0000-000000000001', 5);
+  RAISE EXCEPTION 'FAIL: reporter rated the same complaint twice';
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE NOTICE 'ok - reporter can rate a complaint only once';
+END;
+$$;
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_ratings (complaint_id, rating)
+       VALUES ('10000000-0000-0000-0000-000000000002', 5)$sql$,
+  'unresolved complaints cannot be rated'
+);
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.complaint_ratings SET rating = 5$sql$,
+  'ratings cannot be changed afterwards'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_ratings (complaint_id, rating)
+       VALUES ('10000000-0000-0000-0000-000000000001', 1)$sql$,
+  'only the reporter can rate a complaint'
+);
+
+INSERT INTO public.complaint_ratings (complaint_id, rating)
+VALUES ('10000000-0000-0000-0000-000000000003', 5);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_ratings), 1,
+  'reporters see only their own ratings'
+);
+
+RESET ROLE;
+
+-- Department analytics ------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.rating_summary()), 1,
+  'officer summary covers only their department'
+);
+
+SELECT tests.assert_equals(
+  (SELECT low_ratings_count FROM public.rating_summary()
+   WHERE department = 'Road Authority' AND category = 'Pothole'), 1,
+  'summary counts low ratings per department and category'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,14 @@
+-- Realtime publication tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM pg_publication_tables
+   WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'complaints'), 1,
+  'complaint changes are published to Realtime'
+);
+
+ROLLBACK;
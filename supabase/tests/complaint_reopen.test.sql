@@ -0,0 +1,175 @@
+-- Reopen ("Not fixed") tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Old pothole', 'Road Authority', 'Aminabad, Lucknow', 26.8440, 80.9350),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Still open', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8530, 80.9320);
+
+-- Photos the reporters uploaded
+INSERT INTO storage.objects (bucket_id, name, owner) VALUES
+  ('complaint-images', '00000000-0000-0000-0000-00000000000a/1.jpg', '00000000-0000-0000-0000-00000000000a'),
+  ('complaint-images', '00000000-0000-0000-0000-00000000000a/2.jpg', '00000000-0000-0000-0000-00000000000a'),
+  ('complaint-images', '00000000-0000-0000-0000-00000000000b/1.jpg', '00000000-0000-0000-0000-00000000000b');
+
+-- The officer resolves two of them, one of them long ago
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints SET status = 'acknowledged'
+WHERE id IN ('10000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000002');
+UPDATE public.complaints SET status = 'assigned'
+WHERE id IN ('10000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000002');
+UPDATE public.complaints SET status = 'in_progress'
+WHERE id IN ('10000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000002');
+UPDATE public.complaints SET status = 'resolved'
+WHERE id IN ('10000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000002');
+
+UPDATE public.complaints SET resolved_at = NOW() - INTERVAL '30 days'
+WHERE id = '10000000-0000-0000-0000-000000000002';
+
+RESET ROLE;
+
+-- Reopening -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Not fixed',
+       '00000000-0000-0000-0000-00000000000b/1.jpg')$sql$,
+  'only the reporter can reopen a complaint'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Not fixed', NULL);
+  RAISE EXCEPTION 'FAIL: reopened without a photo';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - a new photo is required';
+END;
+$$;
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000002', 'Not fixed',
+    '00000000-0000-0000-0000-00000000000a/1.jpg');
+  RAISE EXCEPTION 'FAIL: reopened outside the window';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - complaints resolved outside the window cannot be reopened';
+END;
+$$;
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000003', 'Not fixed',
+    '00000000-0000-0000-0000-00000000000a/1.jpg');
+  RAISE EXCEPTION 'FAIL: reopened an unresolved complaint';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - only resolved complaints can be reopened';
+END;
+$$;
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Not fixed',
+    'https://evil.example/x/complaint-images/00000000-0000-0000-0000-00000000000a/1.jpg');
+  RAISE EXCEPTION 'FAIL: reopened with an outside link';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - the photo cannot be a link to another site';
+END;
+$$;
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Not fixed',
+    '00000000-0000-0000-0000-00000000000b/1.jpg');
+  RAISE EXCEPTION 'FAIL: reopened with someone else''s photo';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - the photo must be in the reporter''s own folder';
+END;
+$$;
+
+DO $$
+BEGIN
+  PERFORM public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Not fixed',
+    '00000000-0000-0000-0000-00000000000a/never-uploaded.jpg');
+  RAISE EXCEPTION 'FAIL: reopened with a photo that was never uploaded';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - the photo must have been uploaded';
+END;
+$$;
+
+SELECT public.reopen_complaint('10000000-0000-0000-0000-000000000001', 'Water collects in the same spot',
+  '00000000-0000-0000-0000-00000000000a/2.jpg');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000001'
+     AND status = 'reopened' AND resolved_at IS NULL AND reopen_count = 1), 1,
+  'reopening sets the status, clears resolved_at and counts the reopen'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_events
+   WHERE complaint_id = '10000000-0000-0000-0000-000000000001'
+     AND from_status = 'resolved' AND to_status = 'reopened'
+     AND message = 'Water collects in the same spot'
+     AND metadata ->> 'evidence_path' = '00000000-0000-0000-0000-00000000000a/2.jpg'
+     AND actor_id = '00000000-0000-0000-0000-00000000000a'), 1,
+  'reopen is logged with the reason and photo'
+);
+
+RESET ROLE;
+
+-- Reporting -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT (reopen_rate * 100)::BIGINT FROM public.reopen_summary() WHERE department = 'Road Authority'), 50,
+  'reopen rate is reopened over resolved complaints'
+);
+
+RESET ROLE;
+
+-- Settings --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+WITH changed AS (
+  UPDATE public.app_settings SET value = '30' WHERE key = 'reopen_window_days' RETURNING 1
+)
+SELECT tests.assert_equals((SELECT count(*) FROM changed), 0, 'officers cannot change the reopen window');
+
+RESET ROLE;
+
+ROLLBACK;
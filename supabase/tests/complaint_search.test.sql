@@ -0,0 +1,88 @@
+-- Full-text search tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, admin_notes) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep potholes near the school gate', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, NULL),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'सड़क पर बड़ा गड्ढा है', 'Road Authority', 'अमीनाबाद, लखनऊ', 26.8440, 80.9350, NULL),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Broken road surface', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8530, 80.9320, 'Same pothole as last month'),
+  ('10000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin by the pothole', 'Sanitation Department', 'Gomti Nagar, Lucknow', 26.8560, 80.9990, NULL),
+  -- Same text and filing time, so only the id tells them apart
+  ('10000000-0000-0000-0000-000000000006', '00000000-0000-0000-0000-00000000000a', 'StreetLight', 'Streetlight flickering', 'Electrical Department', 'Alambagh, Lucknow', 26.8140, 80.9020, NULL),
+  ('10000000-0000-0000-0000-000000000005', '00000000-0000-0000-0000-00000000000a', 'StreetLight', 'Streetlight flickering', 'Electrical Department', 'Alambagh, Lucknow', 26.8140, 80.9020, NULL);
+
+-- Matching --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('pothole')), 4,
+  'English words match their stemmed forms in every field'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('गड्ढा')
+   WHERE id = '10000000-0000-0000-0000-000000000002'), 1,
+  'Hindi descriptions are searchable'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('लखनऊ')), 1,
+  'Hindi addresses are searchable'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('Hazratganj),status.eq.pending,(x')), 0,
+  'punctuation in the query is not treated as syntax'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('"school gate"')), 1,
+  'quoted phrases match'
+);
+
+-- Ranking ---------------------------------------------------------------------
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER () AS position
+     FROM public.search_complaints('pothole') WHERE department = 'Road Authority'
+   ) ranked
+   WHERE id = '10000000-0000-0000-0000-000000000001' AND position = 1), 1,
+  'a match in the description ranks first'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id FROM public.search_complaints('streetlight flickering') LIMIT 1 OFFSET 1
+   ) second_page
+   WHERE id = '10000000-0000-0000-0000-000000000006'), 1,
+  'equal matches are paged in id order'
+);
+
+RESET ROLE;
+
+-- Permissions -----------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.search_complaints('pothole')), 3,
+  'officers only find complaints in their department'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,234 @@
+-- SLA deadline and breach tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000d', 'commissioner@example.com', '{"name": "Commissioner"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+UPDATE public.profiles SET role = 'super_admin'
+WHERE id = '00000000-0000-0000-0000-00000000000d';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('40000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+RESET ROLE;
+
+-- 2: still pending two days after it was filed
+-- 3: acknowledged and assigned, but open for ten days
+-- 4: pending for two days, about to be picked up late
+-- 5: open for a month, to be resolved and reopened
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status, assigned_to, created_at) VALUES
+  ('40000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Nobody has looked', 'Road Authority', 'Aliganj, Lucknow', 26.8900, 80.9490, 'pending',
+   NULL, NOW() - INTERVAL '2 days'),
+  ('40000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Still not fixed', 'Road Authority', 'Gomti Nagar, Lucknow', 26.8580, 80.9985, 'acknowledged',
+   '00000000-0000-0000-0000-00000000000c', NOW() - INTERVAL '10 days'),
+  ('40000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Picked up late', 'Road Authority', 'Indira Nagar, Lucknow', 26.8800, 80.9990, 'pending',
+   NULL, NOW() - INTERVAL '2 days'),
+  ('40000000-0000-0000-0000-000000000005', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Fixed, then not', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8550, 80.9300, 'in_progress',
+   '00000000-0000-0000-0000-00000000000c', NOW() - INTERVAL '30 days');
+
+-- Deadlines -------------------------------------------------------------------
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000001'
+     AND acknowledge_due_at = created_at + INTERVAL '24 hours'
+     AND resolve_due_at = created_at + INTERVAL '7 days'
+     AND acknowledged_at IS NULL AND sla_breached_at IS NULL), 1,
+  'a new complaint gets its deadlines from the category''s policy'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET resolve_due_at = NOW() + INTERVAL '1 year', acknowledge_due_at = NULL
+WHERE id = '40000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000001'
+     AND acknowledge_due_at = created_at + INTERVAL '24 hours'
+     AND resolve_due_at = created_at + INTERVAL '7 days'), 1,
+  'staff cannot move the deadlines'
+);
+
+UPDATE public.complaints SET status = 'acknowledged'
+WHERE id = '40000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000001'
+     AND acknowledged_at IS NOT NULL AND sla_breached_at IS NULL), 1,
+  'acknowledging in time is recorded without a breach'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints c WHERE public.is_overdue(c)), 4,
+  'complaints past either deadline are overdue'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints c
+   WHERE id = '40000000-0000-0000-0000-000000000001' AND public.is_overdue(c)), 0,
+  'complaints within their deadlines are not overdue'
+);
+
+UPDATE public.complaints SET status = 'acknowledged'
+WHERE id = '40000000-0000-0000-0000-000000000004';
+
+UPDATE public.complaints SET sla_breached_at = NOW()
+WHERE id = '40000000-0000-0000-0000-000000000002';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE sla_breached_at IS NOT NULL), 0,
+  'staff writes leave the breach flag to the job, even late ones'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+SELECT public.support_complaint('40000000-0000-0000-0000-000000000003');
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000003'
+     AND supporter_count = 1 AND sla_breached_at IS NULL), 1,
+  'supporting an overdue complaint does not flag it'
+);
+
+-- Breach job --------------------------------------------------------------------
+
+SELECT tests.assert_equals(
+  public.flag_sla_breaches(), 4,
+  'the job flags complaints that went overdue or were acknowledged late'
+);
+
+SELECT tests.assert_equals(
+  public.flag_sla_breaches(), 0,
+  'complaints are flagged only once'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000c'
+     AND type = 'sla_breached'
+     AND (complaint_id, metadata ->> 'deadline') IN (
+       ('40000000-0000-0000-0000-000000000002'::UUID, 'acknowledge'),
+       ('40000000-0000-0000-0000-000000000003'::UUID, 'resolve'),
+       ('40000000-0000-0000-0000-000000000004'::UUID, 'acknowledge'),
+       ('40000000-0000-0000-0000-000000000005'::UUID, 'resolve')
+     )), 4,
+  'the owner, or the department while nobody is assigned, hears which deadline was missed'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE complaint_id = '40000000-0000-0000-0000-000000000003' AND type = 'sla_breached'), 1,
+  'a complaint supported while overdue still gets its breach notification'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE type = 'sla_breached'
+     AND user_id IN ('00000000-0000-0000-0000-00000000000a', '00000000-0000-0000-0000-00000000000d')), 0,
+  'reporters and other staff are not told about breaches'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.flag_sla_breaches()$sql$,
+  'only the scheduled job flags breaches'
+);
+
+UPDATE public.complaints SET sla_breached_at = NULL
+WHERE id = '40000000-0000-0000-0000-000000000004';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000004' AND sla_breached_at IS NOT NULL), 1,
+  'staff cannot clear a breach'
+);
+
+RESET ROLE;
+
+-- Moving and reopening --------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000d');
+
+UPDATE public.complaints SET category = 'Garbage', department = 'Sanitation Department'
+WHERE id = '40000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000001'
+     AND resolve_due_at = created_at + INTERVAL '48 hours'), 1,
+  'moving a complaint applies the new department''s policy'
+);
+
+UPDATE public.complaints SET status = 'resolved'
+WHERE id = '40000000-0000-0000-0000-000000000005';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO storage.objects (bucket_id, name, owner) VALUES
+  ('complaint-images', '00000000-0000-0000-0000-00000000000a/1.jpg', '00000000-0000-0000-0000-00000000000a');
+
+SELECT public.reopen_complaint('40000000-0000-0000-0000-000000000005', 'Still there',
+  '00000000-0000-0000-0000-00000000000a/1.jpg');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints c
+   WHERE id = '40000000-0000-0000-0000-000000000005'
+     AND sla_breached_at IS NULL
+     AND resolve_due_at > NOW() + INTERVAL '6 days'
+     AND NOT public.is_overdue(c)), 1,
+  'a reopened complaint gets a fresh deadline'
+);
+
+-- Policies ----------------------------------------------------------------------
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.sla_policies (department, acknowledge_hours, resolve_hours)
+       VALUES ('Road Authority', 1000, 10000)$sql$,
+  'citizens cannot add SLA policies'
+);
+
+UPDATE public.sla_policies SET resolve_hours = 10000 WHERE category = 'Pothole';
+
+SELECT tests.assert_equals(
+  (SELECT resolve_hours FROM public.sla_policies WHERE category = 'Pothole')::BIGINT, 168,
+  'citizens cannot change SLA policies'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000d');
+
+INSERT INTO public.sla_policies (department, acknowledge_hours, resolve_hours)
+VALUES ('Road Authority', 12, 240);
+
+RESET ROLE;
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('40000000-0000-0000-0000-000000000006', '00000000-0000-0000-0000-00000000000a', 'Speedbreaker', 'Broken speed breaker', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '40000000-0000-0000-0000-000000000006'
+     AND acknowledge_due_at = created_at + INTERVAL '12 hours'
+     AND resolve_due_at = created_at + INTERVAL '10 days'), 1,
+  'a department-wide policy covers categories without their own'
+);
+
+ROLLBACK;
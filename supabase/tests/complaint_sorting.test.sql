@@ -0,0 +1,69 @@
+-- Sorting and count tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, priority, status, created_at) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 'urgent', 'pending', NOW()),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Small pothole', 'Road Authority', 'Aminabad, Lucknow', 26.8440, 80.9350, 'low', 'in_progress', NOW() - INTERVAL '3 days'),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Cracked road', 'Road Authority', 'Kaiserbagh, Lucknow', 26.8530, 80.9320, 'high', 'pending', NOW() - INTERVAL '5 days'),
+  ('10000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Gomti Nagar, Lucknow', 26.8560, 80.9990, 'medium', 'pending', NOW());
+
+-- Ranks -----------------------------------------------------------------------
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER (ORDER BY priority_rank DESC) AS position
+     FROM public.complaints WHERE department = 'Road Authority'
+   ) ranked
+   WHERE (id = '10000000-0000-0000-0000-000000000001' AND position = 1)
+      OR (id = '10000000-0000-0000-0000-000000000003' AND position = 2)
+      OR (id = '10000000-0000-0000-0000-000000000002' AND position = 3)), 3,
+  'priority sorts urgent, high, medium, low rather than alphabetically'
+);
+
+SELECT tests.assert_equals(
+  (SELECT status_rank FROM public.complaints WHERE id = '10000000-0000-0000-0000-000000000002'), 4,
+  'status rank follows the lifecycle'
+);
+
+UPDATE public.complaints SET priority = 'low' WHERE id = '10000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT priority_rank FROM public.complaints WHERE id = '10000000-0000-0000-0000-000000000001'), 1,
+  'ranks follow updates'
+);
+
+-- Counts ----------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT sum(total)::BIGINT FROM public.complaint_status_counts(date_trunc('day', NOW()))), 3,
+  'officers count only their department'
+);
+
+SELECT tests.assert_equals(
+  (SELECT total FROM public.complaint_status_counts(date_trunc('day', NOW())) WHERE status = 'pending'), 2,
+  'counts are grouped by status'
+);
+
+SELECT tests.assert_equals(
+  (SELECT sum(filed_today)::BIGINT FROM public.complaint_status_counts(date_trunc('day', NOW()))), 1,
+  'filed_today counts complaints since the given day start'
+);
+
+RESET ROLE;
+
+ROLLBACK;
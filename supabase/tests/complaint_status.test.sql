@@ -0,0 +1,102 @@
+-- Status state machine tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Same pothole again', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+-- Transitions -----------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+DO $$
+BEGIN
+  UPDATE public.complaints SET status = 'resolved'
+  WHERE id = '10000000-0000-0000-0000-000000000001';
+  RAISE EXCEPTION 'FAIL: jumped from pending straight to resolved';
+EXCEPTION
+  WHEN check_violation THEN
+    RAISE NOTICE 'ok - illegal jumps are refused';
+END;
+$$;
+
+UPDATE public.complaints SET status = 'acknowledged' WHERE id = '10000000-0000-0000-0000-000000000001';
+UPDATE public.complaints SET status = 'assigned' WHERE id = '10000000-0000-0000-0000-000000000001';
+UPDATE public.complaints SET status = 'in_progress' WHERE id = '10000000-0000-0000-0000-000000000001';
+UPDATE public.complaints SET status = 'resolved', resolved_at = NULL WHERE id = '10000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000001'
+     AND status = 'resolved' AND resolved_at IS NOT NULL), 1,
+  'the full lifecycle is allowed and resolving stamps resolved_at'
+);
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.complaints SET status = 'reopened'
+       WHERE id = '10000000-0000-0000-0000-000000000001'$sql$,
+  'staff cannot reopen on the reporter''s behalf'
+);
+
+UPDATE public.complaints SET status = 'closed' WHERE id = '10000000-0000-0000-0000-000000000001';
+
+DO $$
+BEGIN
+  UPDATE public.complaints SET status = 'in_progress'
+  WHERE id = '10000000-0000-0000-0000-000000000001';
+  RAISE EXCEPTION 'FAIL: a closed complaint was moved again';
+EXCEPTION
+  WHEN check_violation THEN
+    RAISE NOTICE 'ok - closed is final';
+END;
+$$;
+
+UPDATE public.complaints SET status = 'duplicate' WHERE id = '10000000-0000-0000-0000-000000000002';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000002' AND status = 'duplicate'), 1,
+  'new complaints can be marked as duplicates'
+);
+
+DO $$
+BEGIN
+  UPDATE public.complaints SET status = 'on_hold'
+  WHERE id = '10000000-0000-0000-0000-000000000002';
+  RAISE EXCEPTION 'FAIL: accepted an unknown status';
+EXCEPTION
+  WHEN check_violation THEN
+    RAISE NOTICE 'ok - unknown statuses are refused';
+END;
+$$;
+
+RESET ROLE;
+
+-- Ratings after closing -------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaint_ratings (complaint_id, rating)
+VALUES ('10000000-0000-0000-0000-000000000001', 4);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_ratings), 1,
+  'reporters can still rate a closed complaint'
+);
+
+RESET ROLE;
+
+ROLLBACK;
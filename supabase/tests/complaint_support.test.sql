@@ -0,0 +1,146 @@
+-- "Me too" support tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000e', 'chitra@example.com', '{"name": "Chitra"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+-- Around Hazratganj: 1 and 2 within a few hundred metres, 3 resolved, 4 ~11 km away
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, supporter_count) VALUES
+  ('20000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 50),
+  ('20000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Hazratganj, Lucknow', 26.8520, 80.9490, 0),
+  ('20000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole far away', 'Road Authority', 'Aliganj, Lucknow', 26.9500, 80.9490, 0);
+
+SELECT tests.assert_equals(
+  (SELECT supporter_count FROM public.complaints WHERE id = '20000000-0000-0000-0000-000000000001')::BIGINT, 0,
+  'a new complaint cannot claim supporters'
+);
+
+RESET ROLE;
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status) VALUES
+  ('20000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Streetlight', 'Light out', 'Electricity Department', 'Hazratganj, Lucknow', 26.8510, 80.9490, 'resolved');
+
+-- Supporting ----------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER () AS position
+     FROM public.nearby_complaints(26.8500, 80.9490)
+   ) ranked
+   WHERE (id = '20000000-0000-0000-0000-000000000001' AND position = 1)
+      OR (id = '20000000-0000-0000-0000-000000000002' AND position = 2)), 2,
+  'the nearby map lists other people''s open complaints, nearest first'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.nearby_complaints(26.8500, 80.9490)), 2,
+  'resolved complaints and complaints out of range are left off the map'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.nearby_complaints(26.8500, 80.9490, 50000)), 2,
+  'the map radius is capped at five kilometres'
+);
+
+SELECT tests.assert_equals(
+  public.support_complaint('20000000-0000-0000-0000-000000000001'), 1,
+  'supporting returns the new count'
+);
+
+SELECT public.support_complaint('20000000-0000-0000-0000-000000000001');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.nearby_complaints(26.8500, 80.9490)
+   WHERE id = '20000000-0000-0000-0000-000000000001' AND supported_by_me AND supporter_count = 1), 1,
+  'one vote per user, shown on the map'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000e');
+SELECT public.support_complaint('20000000-0000-0000-0000-000000000001');
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_equals(
+  public.unsupport_complaint('20000000-0000-0000-0000-000000000001'), 1,
+  'taking support back removes only the caller''s vote'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.nearby_complaints(26.8500, 80.9490)
+   WHERE id = '20000000-0000-0000-0000-000000000001' AND NOT supported_by_me), 1,
+  'the map shows the support was taken back'
+);
+
+RESET ROLE;
+
+-- Visitors -----------------------------------------------------------------------
+
+SELECT set_config('request.jwt.claims', '', true);
+SET LOCAL ROLE anon;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.nearby_complaints(26.8500, 80.9490)
+   WHERE NOT reported_by_me AND NOT supported_by_me), 2,
+  'visitors who have not signed in can see the nearby map'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.support_complaint('20000000-0000-0000-0000-000000000001')$sql$,
+  'visitors cannot say me too'
+);
+
+RESET ROLE;
+
+-- Counts ----------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT supporter_count FROM public.complaints WHERE id = '20000000-0000-0000-0000-000000000001')::BIGINT, 1,
+  'reporters see how many people support their complaint'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints SET supporter_count = 99, priority = 'high'
+WHERE id = '20000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '20000000-0000-0000-0000-000000000001' AND supporter_count = 1 AND priority = 'high'), 1,
+  'staff cannot edit the supporter count'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER (ORDER BY supporter_count DESC, created_at DESC) AS position
+     FROM public.complaints
+   ) ranked
+   WHERE id = '20000000-0000-0000-0000-000000000001' AND position = 1), 1,
+  'complaints sort by support'
+);
+
+RESET ROLE;
+
+ROLLBACK;
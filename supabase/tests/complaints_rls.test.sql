@@ -0,0 +1,227 @@
+-- Row Level Security tests for complaints, profiles and complaint images
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Any failed assertion raises an exception and aborts the run.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000d', 'commissioner@example.com', '{"name": "Commissioner", "userType": "admin"}');
+
+-- Role changes go through the service role here, as in the bootstrap step
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+UPDATE public.profiles SET role = 'super_admin'
+WHERE id = '00000000-0000-0000-0000-00000000000d';
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Aminabad, Lucknow', 26.8440, 80.9350),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000b', 'Pothole', 'Broken road surface', 'Road Authority', 'Gomti Nagar, Lucknow', 26.8560, 80.9990);
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('complaint-images', 'complaint-images', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Citizens --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints), 2,
+  'citizen sees only their own complaints'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints WHERE id = '10000000-0000-0000-0000-000000000003'), 0,
+  'citizen cannot read another citizen''s complaint by id'
+);
+
+INSERT INTO public.complaints (user_id, category, description, department, address, latitude, longitude)
+VALUES ('00000000-0000-0000-0000-00000000000a', 'StreetLight', 'Light out', 'Electrical Department', 'Kaiserbagh, Lucknow', 26.8530, 80.9320);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints), 3,
+  'citizen can create their own complaint'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaints (user_id, category, description, department, address, latitude, longitude)
+       VALUES ('00000000-0000-0000-0000-00000000000b', 'Garbage', 'Spoofed', 'Sanitation Department', 'Somewhere', 26.8, 80.9)$sql$,
+  'citizen cannot create a complaint for another user'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaints (user_id, category, description, department, address, latitude, longitude, status)
+       VALUES ('00000000-0000-0000-0000-00000000000a', 'Garbage', 'Pre-resolved', 'Sanitation Department', 'Somewhere', 26.8, 80.9, 'resolved')$sql$,
+  'citizen cannot create a complaint with a non-pending status'
+);
+
+WITH changed AS (
+  UPDATE public.complaints SET status = 'resolved'
+  WHERE id = '10000000-0000-0000-0000-000000000001'
+  RETURNING 1
+)
+SELECT tests.assert_equals((SELECT count(*) FROM changed), 0, 'citizen cannot update complaint status');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_exists('10000000-0000-0000-0000-000000000003') WHERE complaint_exists), 1,
+  'citizen can tell a hidden complaint exists'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_exists('10000000-0000-0000-0000-0000000000ff') WHERE complaint_exists), 0,
+  'complaint_exists is false for unknown ids'
+);
+
+SELECT tests.assert_denied(
+  $sql$DELETE FROM public.complaints WHERE id = '10000000-0000-0000-0000-000000000001'$sql$,
+  'citizen cannot delete complaints'
+);
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.profiles SET role = 'super_admin' WHERE id = '00000000-0000-0000-0000-00000000000a'$sql$,
+  'citizen cannot change their own role'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.set_user_role('00000000-0000-0000-0000-00000000000a', 'super_admin')$sql$,
+  'citizen cannot grant roles'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.profiles WHERE role = 'citizen'), 1,
+  'citizen can read only their own citizen profile'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.profiles WHERE role <> 'citizen'), 0,
+  'citizen cannot read staff contact details'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.staff_directory()
+   WHERE (id = '00000000-0000-0000-0000-00000000000c' AND name = 'Road Officer' AND department = 'Road Authority')
+      OR (id = '00000000-0000-0000-0000-00000000000d' AND name = 'Commissioner' AND role = 'super_admin')), 2,
+  'citizen can see who the staff are through the directory'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.staff_directory() WHERE role = 'citizen'), 0,
+  'the directory lists staff only'
+);
+
+INSERT INTO storage.objects (bucket_id, name)
+VALUES ('complaint-images', '00000000-0000-0000-0000-00000000000a/1700000000000.jpg');
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO storage.objects (bucket_id, name)
+       VALUES ('complaint-images', '00000000-0000-0000-0000-00000000000b/1700000000000.jpg')$sql$,
+  'citizen cannot upload into another user''s image folder'
+);
+
+RESET ROLE;
+
+-- Department officers -------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints), 2,
+  'officer sees every complaint in their department'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints WHERE department <> 'Road Authority'), 0,
+  'officer sees no complaints from other departments'
+);
+
+WITH changed AS (
+  UPDATE public.complaints SET status = 'acknowledged', admin_notes = 'Crew dispatched'
+  WHERE id = '10000000-0000-0000-0000-000000000001'
+  RETURNING 1
+)
+SELECT tests.assert_equals((SELECT count(*) FROM changed), 1, 'officer can update a complaint in their department');
+
+WITH changed AS (
+  UPDATE public.complaints SET status = 'acknowledged'
+  WHERE id = '10000000-0000-0000-0000-000000000002'
+  RETURNING 1
+)
+SELECT tests.assert_equals((SELECT count(*) FROM changed), 0, 'officer cannot update another department''s complaint');
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.complaints SET department = 'Sanitation Department'
+       WHERE id = '10000000-0000-0000-0000-000000000003'$sql$,
+  'officer cannot move a complaint out of their department'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaints (user_id, category, description, department, address, latitude, longitude)
+       VALUES ('00000000-0000-0000-0000-00000000000a', 'Pothole', 'Filed on behalf', 'Road Authority', 'Somewhere', 26.8, 80.9)$sql$,
+  'officer cannot file complaints on behalf of citizens'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.set_user_role('00000000-0000-0000-0000-00000000000b', 'officer', 'Road Authority')$sql$,
+  'officer cannot grant roles'
+);
+
+RESET ROLE;
+
+-- Super admins --------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000d');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints), 4,
+  'super admin sees every complaint'
+);
+
+WITH changed AS (
+  UPDATE public.complaints SET department = 'Sanitation Department'
+  WHERE id = '10000000-0000-0000-0000-000000000003'
+  RETURNING 1
+)
+SELECT tests.assert_equals((SELECT count(*) FROM changed), 1, 'super admin can reassign a complaint to another department');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.set_user_role('00000000-0000-0000-0000-00000000000b', 'officer', 'Sanitation Department')), 1,
+  'super admin can grant the officer role'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.set_user_role('00000000-0000-0000-0000-00000000000d', 'citizen')$sql$,
+  'super admin cannot remove their own role'
+);
+
+RESET ROLE;
+
+-- The new officer now sees the reassigned complaint
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints WHERE department = 'Sanitation Department'), 2,
+  'newly granted officer sees their department''s complaints'
+);
+
+RESET ROLE;
+
+-- Anonymous visitors --------------------------------------------------------
+
+SET LOCAL ROLE anon;
+
+SELECT tests.assert_denied(
+  $sql$SELECT count(*) FROM public.complaints$sql$,
+  'anonymous visitors cannot read complaints'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,166 @@
+-- Duplicate detection and merging tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000e', 'chitra@example.com', '{"name": "Chitra"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+-- Around Hazratganj: 1 is ~30 m north, 2 ~10 m north, 3 over a kilometre away
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.85027, 80.9490),
+  ('10000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Broken road edge', 'Road Authority', 'Hazratganj, Lucknow', 26.85009, 80.9490),
+  ('10000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole far away', 'Road Authority', 'Aliganj, Lucknow', 26.8600, 80.9490),
+  ('10000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+INSERT INTO public.complaint_image_embeddings (complaint_id, embedding) VALUES
+  ('10000000-0000-0000-0000-000000000001', ARRAY[1, 0, 0]::REAL[]),
+  ('10000000-0000-0000-0000-000000000002', ARRAY[0, 1, 0]::REAL[]);
+
+RESET ROLE;
+
+-- Finding -----------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER () AS position
+     FROM public.find_similar_complaints('Pothole', 26.8500, 80.9490)
+   ) ranked
+   WHERE (id = '10000000-0000-0000-0000-000000000002' AND position = 1)
+      OR (id = '10000000-0000-0000-0000-000000000001' AND position = 2)), 2,
+  'open complaints of the same category nearby are found, nearest first'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.find_similar_complaints('Pothole', 26.8500, 80.9490)), 2,
+  'other categories and complaints further away are left out'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER () AS position
+     FROM public.find_similar_complaints('Pothole', 26.8500, 80.9490, ARRAY[0.9, 0.1, 0]::REAL[])
+   ) ranked
+   WHERE id = '10000000-0000-0000-0000-000000000001' AND position = 1), 1,
+  'a similar photo ranks ahead of distance'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.find_similar_complaints('Pothole', 26.8500, 80.9490, NULL, 5000)), 2,
+  'the search radius is capped at a kilometre'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.complaint_image_embeddings (complaint_id, embedding)
+       VALUES ('10000000-0000-0000-0000-000000000004', ARRAY[1]::REAL[])$sql$,
+  'only the reporter stores the embedding of a complaint photo'
+);
+
+-- Supporting ----------------------------------------------------------------
+
+SELECT public.support_complaint('10000000-0000-0000-0000-000000000001');
+
+SELECT tests.assert_equals(
+  public.support_complaint('10000000-0000-0000-0000-000000000001'), 1,
+  'supporting twice counts once'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.find_similar_complaints('Pothole', 26.8500, 80.9490)
+   WHERE id = '10000000-0000-0000-0000-000000000001' AND supported_by_me AND supporter_count = 1), 1,
+  'the prompt shows which complaints the user already supports'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+DO $$
+BEGIN
+  PERFORM public.support_complaint('10000000-0000-0000-0000-000000000001');
+  RAISE EXCEPTION 'FAIL: reporters cannot support their own complaint (support was allowed)';
+EXCEPTION
+  WHEN raise_exception THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE NOTICE 'ok - reporters cannot support their own complaint';
+END;
+$$;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_supporters), 0,
+  'reporters do not see who supports their complaint'
+);
+
+RESET ROLE;
+
+-- Merging -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000e');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000005', '00000000-0000-0000-0000-00000000000e', 'Pothole', 'Same pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.85025, 80.9490);
+
+SELECT tests.assert_denied(
+  $sql$SELECT * FROM public.merge_complaints('10000000-0000-0000-0000-000000000001', ARRAY['10000000-0000-0000-0000-000000000005']::UUID[])$sql$,
+  'citizens cannot merge complaints'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.find_duplicate_candidates('10000000-0000-0000-0000-000000000001')
+   WHERE id IN ('10000000-0000-0000-0000-000000000002', '10000000-0000-0000-0000-000000000005')), 2,
+  'staff see merge candidates for a complaint, without the complaint itself'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*)
+   FROM public.merge_complaints(
+     '10000000-0000-0000-0000-000000000001',
+     ARRAY['10000000-0000-0000-0000-000000000005', '10000000-0000-0000-0000-000000000004']::UUID[]
+   )
+   WHERE (complaint_id = '10000000-0000-0000-0000-000000000005' AND succeeded)
+      OR (complaint_id = '10000000-0000-0000-0000-000000000004' AND NOT succeeded)), 2,
+  'each duplicate is merged or reported on its own'
+);
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000005'
+     AND status = 'duplicate'
+     AND duplicate_of = '10000000-0000-0000-0000-000000000001'), 1,
+  'merged complaints are closed as duplicates of the parent'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaint_supporters
+   WHERE complaint_id = '10000000-0000-0000-0000-000000000001'
+     AND user_id IN ('00000000-0000-0000-0000-00000000000b', '00000000-0000-0000-0000-00000000000e')), 2,
+  'reporters of merged duplicates become supporters of the parent'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints
+   WHERE id = '10000000-0000-0000-0000-000000000004' AND status = 'pending'), 1,
+  'complaints outside the officer''s department are left alone'
+);
+
+ROLLBACK;
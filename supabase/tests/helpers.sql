@@ -0,0 +1,50 @@
+-- Assertion helpers shared by the *.test.sql files
+--
+-- Loaded by `npm run db:test` before the tests run. Lives in its own
+-- "tests" schema so it never mixes with application objects.
+
+CREATE SCHEMA IF NOT EXISTS tests;
+GRANT USAGE ON SCHEMA tests TO anon, authenticated;
+
+-- Act as a signed-in user for the rest of the transaction
+CREATE OR REPLACE FUNCTION tests.authenticate_as(user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM set_config('role', 'authenticated', true);
+  PERFORM set_config(
+    'request.jwt.claims',
+    json_build_object('sub', user_id, 'role', 'authenticated')::text,
+    true
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION tests.assert_equals(actual BIGINT, expected BIGINT, description TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF actual IS DISTINCT FROM expected THEN
+    RAISE EXCEPTION 'FAIL: % (expected %, got %)', description, expected, actual;
+  END IF;
+  RAISE NOTICE 'ok - %', description;
+END;
+$$;
+
+-- Run a statement and expect RLS or a missing grant to reject it
+CREATE OR REPLACE FUNCTION tests.assert_denied(statement TEXT, description TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  EXECUTE statement;
+  RAISE EXCEPTION 'FAIL: % (statement was allowed)', description;
+EXCEPTION
+  WHEN insufficient_privilege THEN
+    RAISE NOTICE 'ok - %', description;
+END;
+$$;
+
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA tests TO anon, authenticated;
@@ -0,0 +1,140 @@
+-- Notification delivery tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha", "phone": "+919800000001"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_preferences
+   WHERE language = 'en' AND 'status_changed' = ANY (sms_types) AND 'comment' = ANY (email_types)), 3,
+  'every new profile gets the default preferences'
+);
+
+-- Queueing --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'acknowledged'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries d
+   JOIN public.notifications n ON n.id = d.notification_id
+   WHERE n.user_id = '00000000-0000-0000-0000-00000000000a'
+     AND d.status = 'pending'
+     AND ((d.channel = 'email' AND d.recipient = 'asha@example.com')
+       OR (d.channel = 'sms' AND d.recipient = '+919800000001'))), 2,
+  'a status change is queued by email and SMS to the reporter'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaint_comments (complaint_id, body)
+VALUES ('10000000-0000-0000-0000-000000000001', 'Any update?');
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+INSERT INTO public.complaint_comments (complaint_id, body)
+VALUES ('10000000-0000-0000-0000-000000000001', 'Crew is on the way');
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries d
+   JOIN public.notifications n ON n.id = d.notification_id
+   WHERE n.user_id = '00000000-0000-0000-0000-00000000000a' AND n.type = 'comment'), 1,
+  'comments go out by email only by default'
+);
+
+-- Preferences -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+UPDATE public.notification_preferences
+SET language = 'hi', email_types = ARRAY[]::TEXT[], sms_types = ARRAY['status_changed']
+WHERE user_id = '00000000-0000-0000-0000-00000000000a';
+
+UPDATE public.notification_preferences
+SET sms_types = ARRAY[]::TEXT[]
+WHERE user_id = '00000000-0000-0000-0000-00000000000b';
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.notification_preferences SET user_id = '00000000-0000-0000-0000-00000000000b'$sql$,
+  'users cannot move their preferences to someone else'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT count(*) FROM public.notification_deliveries$sql$,
+  'users cannot read the delivery queue'
+);
+
+DO $$
+BEGIN
+  UPDATE public.notification_preferences SET email_types = ARRAY['everything'];
+  RAISE EXCEPTION 'FAIL: unknown notification types are rejected (update was allowed)';
+EXCEPTION
+  WHEN check_violation THEN
+    RAISE NOTICE 'ok - unknown notification types are rejected';
+  WHEN OTHERS THEN
+    IF SQLERRM LIKE 'FAIL:%' THEN RAISE; END IF;
+    RAISE EXCEPTION 'FAIL: unknown notification types are rejected (%)', SQLERRM;
+END;
+$$;
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_preferences
+   WHERE user_id = '00000000-0000-0000-0000-00000000000b' AND sms_types = ARRAY['status_changed']), 1,
+  'users cannot change other people''s preferences'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'assigned'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries d
+   JOIN public.notifications n ON n.id = d.notification_id
+   WHERE n.user_id = '00000000-0000-0000-0000-00000000000a'
+     AND n.metadata ->> 'to_status' = 'assigned'
+     AND d.channel = 'sms'), 1,
+  'channels the user turned off are skipped'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries d
+   JOIN public.notifications n ON n.id = d.notification_id
+   WHERE n.user_id = '00000000-0000-0000-0000-00000000000a'
+     AND n.metadata ->> 'to_status' = 'assigned'), 1,
+  'only the channels the user kept are queued'
+);
+
+ROLLBACK;
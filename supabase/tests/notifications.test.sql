@@ -0,0 +1,133 @@
+-- Notification tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000d', 'commissioner@example.com', '{"name": "Commissioner"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+UPDATE public.profiles SET role = 'super_admin'
+WHERE id = '00000000-0000-0000-0000-00000000000d';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications), 0,
+  'filing a complaint notifies nobody'
+);
+
+-- Staff act on the complaint --------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000d');
+
+UPDATE public.complaints
+SET status = 'acknowledged', assigned_to = '00000000-0000-0000-0000-00000000000c'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000a'
+     AND type = 'status_changed'
+     AND metadata ->> 'to_status' = 'acknowledged'
+     AND metadata ->> 'category' = 'Pothole'
+     AND metadata ->> 'address' = 'Hazratganj'
+     AND metadata ->> 'actor_name' = 'Commissioner'), 1,
+  'the reporter hears about status changes'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000c' AND type IN ('assigned', 'status_changed')), 2,
+  'the assigned officer hears about the assignment and the status change'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000d'), 0,
+  'nobody is notified about their own action'
+);
+
+-- Comments --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaint_comments (complaint_id, body)
+VALUES ('10000000-0000-0000-0000-000000000001', 'It is getting bigger');
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000c' AND type = 'comment'), 1,
+  'the assigned officer hears about comments from the reporter'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications
+   WHERE user_id = '00000000-0000-0000-0000-00000000000a' AND type = 'comment'), 0,
+  'the reporter is not told about their own comment'
+);
+
+-- Reading ---------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications), 1,
+  'users only see their own notifications'
+);
+
+UPDATE public.notifications SET read_at = NOW() WHERE read_at IS NULL;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications WHERE read_at IS NULL), 0,
+  'users mark their notifications read'
+);
+
+SELECT tests.assert_denied(
+  $sql$UPDATE public.notifications SET metadata = '{}'::jsonb$sql$,
+  'users cannot rewrite a notification'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.notifications (user_id, type)
+       VALUES ('00000000-0000-0000-0000-00000000000b', 'comment')$sql$,
+  'users cannot create notifications'
+);
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.create_notification('00000000-0000-0000-0000-00000000000b', NULL, 'comment')$sql$,
+  'users cannot call create_notification'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.notifications SET read_at = NOW()
+WHERE user_id = '00000000-0000-0000-0000-00000000000a';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notifications WHERE read_at IS NULL), 3,
+  'users cannot mark other people''s notifications read'
+);
+
+ROLLBACK;
@@ -0,0 +1,170 @@
+-- Priority scoring tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}'),
+  ('00000000-0000-0000-0000-00000000000e', 'chitra@example.com', '{"name": "Chitra"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+DELETE FROM public.points_of_interest;
+
+-- About 80 m north of the pothole
+INSERT INTO public.points_of_interest (id, name, kind, latitude, longitude) VALUES
+  ('school-test', 'Test School', 'school', 26.85072, 80.9490);
+
+-- 1: open for 20 days, photo recognised, next to the school
+-- 2: fixed last month about 30 m away by someone else, a repeat report of
+--    the same spot
+-- 3: closed as a duplicate right next to it, which doesn't count again
+-- 4: new, in another part of town, no photo
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude, status, ai_prediction, ai_confidence, created_at) VALUES
+  ('30000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Deep pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490, 'pending',
+   '{"predictedClass": "Pothole", "confidence": 0.9}', 0.9, NOW() - INTERVAL '20 days'),
+  ('30000000-0000-0000-0000-000000000002', '00000000-0000-0000-0000-00000000000b', 'Pothole', 'Pothole again', 'Road Authority', 'Hazratganj, Lucknow', 26.85027, 80.9490, 'resolved',
+   NULL, NULL, NOW() - INTERVAL '60 days'),
+  ('30000000-0000-0000-0000-000000000003', '00000000-0000-0000-0000-00000000000b', 'Pothole', 'Same pothole', 'Road Authority', 'Hazratganj, Lucknow', 26.85005, 80.9490, 'duplicate',
+   NULL, NULL, NOW() - INTERVAL '5 days'),
+  ('30000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-00000000000a', 'Garbage', 'Overflowing bin', 'Sanitation Department', 'Aliganj, Lucknow', 26.8900, 80.9490, 'pending',
+   NULL, NULL, NOW());
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+SELECT public.support_complaint('30000000-0000-0000-0000-000000000001');
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000e');
+SELECT public.support_complaint('30000000-0000-0000-0000-000000000001');
+RESET ROLE;
+
+-- Scoring -------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+SELECT tests.assert_equals(
+  (SELECT count(*)
+   FROM public.complaints c
+   CROSS JOIN jsonb_array_elements(c.priority_breakdown) AS factor
+   WHERE c.id = '30000000-0000-0000-0000-000000000001'
+     AND (factor ->> 'factor', (factor ->> 'points')::INTEGER) IN (
+       ('category', 25), ('ai_confidence', 9), ('supporters', 8),
+       ('nearby_place', 15), ('age', 15), ('repeat_reports', 5)
+     )), 6,
+  'each factor adds its points'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*)
+   FROM public.complaints c
+   CROSS JOIN jsonb_array_elements(c.priority_breakdown) AS factor
+   WHERE c.id = '30000000-0000-0000-0000-000000000001'
+     AND factor ->> 'factor' = 'nearby_place'
+     AND factor ->> 'detail' LIKE '% m from Test School (school)'), 1,
+  'the breakdown explains where the points came from'
+);
+
+SELECT tests.assert_equals(
+  (SELECT priority_score FROM public.complaints WHERE id = '30000000-0000-0000-0000-000000000001')::BIGINT, 77,
+  'the score adds up the factors'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints c
+   WHERE id = '30000000-0000-0000-0000-000000000001' AND public.effective_priority(c) = 'urgent'), 1,
+  'a high score makes the complaint urgent whatever the citizen picked'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*)
+   FROM public.complaints c
+   CROSS JOIN jsonb_array_elements(c.priority_breakdown) AS factor
+   WHERE c.id = '30000000-0000-0000-0000-000000000002'
+     AND factor ->> 'factor' = 'age' AND (factor ->> 'points')::INTEGER = 0), 1,
+  'fixed complaints stop gaining points for age'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM (
+     SELECT id, row_number() OVER (ORDER BY priority_score DESC) AS position
+     FROM public.complaints
+   ) ranked
+   WHERE id = '30000000-0000-0000-0000-000000000001' AND position = 1), 1,
+  'complaints sort by score'
+);
+
+UPDATE public.complaints SET priority_score = 100, priority_breakdown = '[]'
+WHERE id = '30000000-0000-0000-0000-000000000001';
+
+SELECT tests.assert_equals(
+  (SELECT priority_score FROM public.complaints WHERE id = '30000000-0000-0000-0000-000000000001')::BIGINT, 77,
+  'staff cannot set the score themselves'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT priority_score FROM public.complaints WHERE id = '30000000-0000-0000-0000-000000000001')::BIGINT, 77,
+  'the reporter sees the same score, repeat reports they cannot read included'
+);
+
+RESET ROLE;
+
+-- Rescoring -------------------------------------------------------------------
+
+UPDATE public.app_settings SET value = '{"Garbage": 25}' WHERE key = 'category_severity';
+
+SELECT set_config('request.jwt.claims', '', true);
+
+SELECT tests.assert_equals(
+  public.refresh_priority_scores()::BIGINT, 2,
+  'the scheduled job rescores the open complaints the settings change moved'
+);
+
+SELECT tests.assert_equals(
+  (SELECT priority_score FROM public.complaints WHERE id = '30000000-0000-0000-0000-000000000004')::BIGINT, 25,
+  'category severity comes from the settings'
+);
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.complaints c
+   WHERE id = '30000000-0000-0000-0000-000000000001' AND public.effective_priority(c) = 'high'), 1,
+  'categories missing from the settings score 10'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_denied(
+  'SELECT public.refresh_priority_scores()',
+  'only the scheduled job rescores complaints'
+);
+
+RESET ROLE;
+
+-- Points of interest ----------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.points_of_interest), 1,
+  'signed-in users can read points of interest'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.points_of_interest (id, name, kind, latitude, longitude)
+       VALUES ('fake', 'Fake Hospital', 'hospital', 26.85, 80.949)$sql$,
+  'only the import script adds points of interest'
+);
+
+RESET ROLE;
+
+ROLLBACK;
@@ -0,0 +1,139 @@
+-- Web Push subscription tests
+--
+-- Runs inside a transaction that is rolled back, so it leaves no data behind.
+-- Needs the helpers from helpers.sql (npm run db:test loads them).
+
+BEGIN;
+
+-- Fixtures ------------------------------------------------------------------
+
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'asha@example.com', '{"name": "Asha"}'),
+  ('00000000-0000-0000-0000-00000000000b', 'bilal@example.com', '{"name": "Bilal"}'),
+  ('00000000-0000-0000-0000-00000000000c', 'road.officer@example.com', '{"name": "Road Officer"}');
+
+UPDATE public.profiles SET role = 'officer', department = 'Road Authority'
+WHERE id = '00000000-0000-0000-0000-00000000000c';
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+INSERT INTO public.complaints (id, user_id, category, description, department, address, latitude, longitude) VALUES
+  ('10000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-00000000000a', 'Pothole', 'Pothole near the bus stop', 'Road Authority', 'Hazratganj, Lucknow', 26.8500, 80.9490);
+
+RESET ROLE;
+
+-- Subscriptions -------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'acknowledged'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries WHERE channel = 'push'), 0,
+  'nothing is queued for push without a subscription'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+SELECT public.save_push_subscription('https://push.example.com/asha-phone', 'key-1', 'auth-1', 'Phone');
+SELECT public.save_push_subscription('https://push.example.com/asha-phone', 'key-2', 'auth-2', 'Phone');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.push_subscriptions WHERE p256dh = 'key-2'), 1,
+  'saving the same endpoint again refreshes its keys'
+);
+
+SELECT tests.assert_denied(
+  $sql$INSERT INTO public.push_subscriptions (user_id, endpoint, p256dh, auth)
+       VALUES ('00000000-0000-0000-0000-00000000000b', 'https://push.example.com/fake', 'k', 'a')$sql$,
+  'subscriptions can only be added through save_push_subscription()'
+);
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT public.save_push_subscription('https://push.example.com/bilal-laptop', 'key-3', 'auth-3');
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.push_subscriptions), 1,
+  'users only see their own subscriptions'
+);
+
+DELETE FROM public.push_subscriptions WHERE endpoint = 'https://push.example.com/asha-phone';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.push_subscriptions), 2,
+  'users cannot remove other people''s subscriptions'
+);
+
+-- Queueing --------------------------------------------------------------------
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'assigned'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries d
+   JOIN public.notifications n ON n.id = d.notification_id
+   WHERE n.user_id = '00000000-0000-0000-0000-00000000000a'
+     AND d.channel = 'push'
+     AND d.recipient = '00000000-0000-0000-0000-00000000000a'), 1,
+  'a status change is queued for push to a subscribed reporter'
+);
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000a');
+
+UPDATE public.notification_preferences
+SET push_types = ARRAY[]::TEXT[]
+WHERE user_id = '00000000-0000-0000-0000-00000000000a';
+
+RESET ROLE;
+
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000c');
+
+UPDATE public.complaints
+SET status = 'in_progress'
+WHERE id = '10000000-0000-0000-0000-000000000001';
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.notification_deliveries WHERE channel = 'push'), 1,
+  'push is skipped when the user turned it off'
+);
+
+-- A browser moves to whoever signs in on it last
+SELECT tests.authenticate_as('00000000-0000-0000-0000-00000000000b');
+
+SELECT public.save_push_subscription('https://push.example.com/asha-phone', 'key-4', 'auth-4', 'Phone');
+
+RESET ROLE;
+
+SELECT tests.assert_equals(
+  (SELECT count(*) FROM public.push_subscriptions
+   WHERE endpoint = 'https://push.example.com/asha-phone'
+     AND user_id = '00000000-0000-0000-0000-00000000000b'), 1,
+  'a shared browser follows the user who signed in last'
+);
+
+SET LOCAL ROLE anon;
+
+SELECT tests.assert_denied(
+  $sql$SELECT public.save_push_subscription('https://push.example.com/anon', 'k', 'a')$sql$,
+  'anonymous visitors cannot save subscriptions'
+);
+
+RESET ROLE;
+
+ROLLBACK;